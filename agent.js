@@ -1,61 +1,212 @@
+/**
+ * Risk classes each approval policy runs without asking, modelled on the Codex CLI modes:
+ * - suggest: only read-only tools run automatically,
+ * - auto-edit: read-only tools and file writes run automatically; external calls need approval,
+ * - full-auto: everything runs automatically.
+ */
+const APPROVAL_POLICIES = {
+    'suggest': ['read-only'],
+    'auto-edit': ['read-only', 'writes'],
+    'full-auto': ['read-only', 'writes', 'external'],
+};
+
+/**
+ * Creates the error used to unwind a cancelled run (named like fetch's abort error).
+ */
+function createAbortError(message = 'Run cancelled.') {
+    const err = new Error(message);
+    err.name = 'AbortError';
+    return err;
+}
+
+function isAbortError(err) {
+    return !!err && err.name === 'AbortError';
+}
+
+/**
+ * Whether two tool lock keys conflict: equal keys, or paths where one contains the other
+ * ("/docs" covers "/docs/a.txt", and "/" covers every path).
+ */
+function locksOverlap(a, b) {
+    const covers = (outer, inner) => outer.startsWith('/') && inner.startsWith(outer === '/' ? '/' : `${outer}/`);
+    return a === b || covers(a, b) || covers(b, a);
+}
+
 /**
  * Represents the core logic of the agent, inspired by the Codex CLI's agentic workflow.
  * It manages the conversation, tools, and the main ReAct (Reason + Act) loop.
  */
 class Agent {
-    constructor(llmProvider, tools, onThought, onMessage) {
+    /**
+     * @param {BaseLlmProvider} llmProvider
+     * @param {Array|ToolRegistry} tools Tool definitions ({ type, function: { name, description, ..., implementation } }),
+     *   or a ToolRegistry whose current tools are read at the start of every turn.
+     * @param {Function} onThought Callback to display agent's thinking.
+     * @param {Function} onMessage Callback to display a message in the chat log.
+     * @param {object} [options]
+     * @param {Function} [options.onStream] Receives streaming events ({ type: 'start' | 'text' | 'tool_call' | 'end' });
+     *   when set, completions are requested through `llmProvider.streamCompletion`.
+     * @param {Array} [options.history] Conversation history to continue; appended to in place by `run`.
+     * @param {string} [options.approvalPolicy] 'suggest' | 'auto-edit' | 'full-auto' (default), see APPROVAL_POLICIES.
+     * @param {Function} [options.requestApproval] Asked before a call the policy doesn't auto-approve:
+     *   `({ id, name, args, risk }) => Promise<{ decision: 'approve' | 'deny', args?, reason? }>`.
+     *   Without it such calls are denied.
+     * @param {Function} [options.onUsage] Receives `{ call, run, context }` after each completion: the call's
+     *   usage record, the run's `UsageTotals`, and `{ tokens, window }` for the request that was sent.
+     * @param {number} [options.contextWindow] Overrides the provider's context window (see BaseLlmProvider#contextWindow).
+     * @param {object} [options.plan] Plan to continue ({ explanation, steps }), as passed to `onPlan`.
+     * @param {Function} [options.onPlan] Receives the plan whenever `update_plan` changes it or a
+     *   tool call is attributed to one of its steps.
+     * @param {Function} [options.onTrace] Receives every trace event as it is emitted (see `trace`).
+     * @param {Function} [options.createProvider] Builds the provider for a sub-agent that asks for a
+     *   different provider or model: `({ provider, model }) => BaseLlmProvider`. Without it, sub-agents
+     *   share this agent's provider.
+     * @param {MemoryStore} [options.memoryStore] Long-term memories; those relevant to each query are
+     *   listed in the system prompt for its run.
+     * @param {object} [options.subAgent] Set on sub-agents by `delegate`: `{ label, depth, parentCallId, rootRunId }`.
+     * @param {string} [options.instructions] Custom instructions appended to the system prompt (e.g. from a profile).
+     * @param {Array<string>} [options.enabledTools] Names of the tools the model may use; the rest are hidden
+     *   from it. Omit (or null) to enable every tool.
+     * @param {number} [options.maxTurns] Turns before a run stops with 'max_turns' (default 10).
+     * @param {number} [options.toolTimeoutMs] Time limit for a tool call without its own `timeoutMs` (default 10000).
+     * @param {number} [options.obsTruncateChars] Characters of a tool result kept in the history (default 3000).
+     */
+    constructor(llmProvider, tools, onThought, onMessage, options = {}) {
         this.llmProvider = llmProvider;
-        this.tools = tools;
-        // Build a strict registry for white‑listing tool names.
-        this.registry = new Map(
-            (tools || [])
-                .filter((t) => t && t.function)
-                .map((t) => [t.function.name, t.function])
-        );
+        this.toolSource = tools;
+        this.enabledTools = options.enabledTools || null;
+        this.refreshTools();
         this.onThought = onThought; // Callback to display agent's thinking
         this.onMessage = onMessage; // Callback to display a message in the chat log
-        this.history = [];
-        this.maxTurns = 10; // Safety brake to prevent infinite loops
-        this.toolTimeoutMs = 10000;
-        this.obsTruncateChars = 3000;
+        this.onStream = options.onStream || null;
+        this.history = options.history || [];
+        this.queryIndex = 0; // index in `history` of the current run's query
+        this.approvalPolicy = options.approvalPolicy || 'full-auto';
+        this.requestApproval = options.requestApproval || null;
+        this.onUsage = options.onUsage || null;
+        this.contextWindow = options.contextWindow || (llmProvider && llmProvider.contextWindow) || DEFAULT_MODEL_INFO.contextWindow;
+        this.contextBudgetRatio = 0.8; // share of the window history may fill...
+        this.outputReserveTokens = 4096; // ...minus room for the reply
+        this.runUsage = new UsageTotals();
+        this.plan = options.plan || null;
+        this.onPlan = options.onPlan || null;
+        this.onTrace = options.onTrace || null;
+        this.createProvider = options.createProvider || null;
+        this.memoryStore = options.memoryStore || null;
+        this.memoryLimit = 5; // memories recalled into the system prompt per run
+        this.memories = []; // the current run's recalled memories
+        this.instructions = options.instructions || '';
+        this.subAgent = options.subAgent || null;
+        this.depth = this.subAgent ? this.subAgent.depth : 0;
+        this.maxDelegationDepth = 1; // sub-agents below this depth may delegate again
+        this.subAgentSeq = 0;
+        this.runId = null; // id of the current (or last) run
+        this.runStartedAt = 0;
+        this.turn = 0;
+        this.traceEvents = []; // the current (or last) run's trace
+        this.lastRequest = null; // the run's previous model request, which trace events are relative to
+        this.maxTurns = options.maxTurns || 10; // Safety brake to prevent infinite loops
+        this.toolTimeoutMs = options.toolTimeoutMs || 10000;
+        this.maxConcurrentTools = 4; // parallel calls per batch for concurrency-safe tools
+        this.obsTruncateChars = options.obsTruncateChars || 3000;
+        this.maxParseRetries = 2; // correction requests per unparseable reply before giving up
+        this.consecutiveParseErrors = 0;
+        this.parseStats = { errors: 0, repaired: 0, corrections: 0 };
         this.callSeq = 0; // stable, monotonically increasing id seed for tool_call_id
+        this.abortController = null; // set while a run is active
+    }
+
+    /**
+     * Records a trace event for the current run and forwards it to `onTrace`. Types:
+     * run_start, turn_start, model_request, model_response, tool_call, tool_result,
+     * thought, error and final. Every event has `{ type, runId, turn, time }` (epoch ms);
+     * responses and results also carry `durationMs`. A sub-agent's events also carry its
+     * `agent` label, `depth`, `parentCallId` (the delegate_task call that started it) and
+     * `rootRunId`, and are forwarded to the parent's trace.
+     * @param {string} type
+     * @param {object} [data] Event payload.
+     * @returns {object} The event.
+     */
+    trace(type, data = {}) {
+        const event = { type, runId: this.runId, turn: this.turn, time: Date.now(), ...data };
+        if (this.subAgent) {
+            const { label, depth, parentCallId, rootRunId } = this.subAgent;
+            Object.assign(event, { agent: label, depth, parentCallId, rootRunId });
+        }
+        this.traceEvents.push(event);
+        if (this.onTrace) this.onTrace(event);
+        return event;
     }
 
-    // Run a promise with timeout
-    async runWithTimeout(promise, ms) {
+    // Add a sub-agent's event to this run's trace and pass it on.
+    forwardTrace(event) {
+        this.traceEvents.push(event);
+        if (this.onTrace) this.onTrace(event);
+    }
+
+    // Show a progress line via `onThought` and keep it in the trace.
+    think(text) {
+        this.onThought(text);
+        this.trace('thought', { text });
+    }
+
+    /**
+     * Cancels the active run: aborts in-flight provider requests, signals running tools,
+     * and ends the loop with a "cancelled" message.
+     */
+    cancel() {
+        if (this.abortController) this.abortController.abort();
+    }
+
+    get isRunning() {
+        return this.abortController !== null;
+    }
+
+    throwIfCancelled() {
+        if (this.abortController && this.abortController.signal.aborted) throw createAbortError();
+    }
+
+    // Run a promise with timeout. When `controller` is given it is aborted on timeout so the
+    // work itself is told to stop, and an abort of the controller rejects immediately.
+    async runWithTimeout(promise, ms, controller) {
         let timer;
+        let onAbort;
         try {
             return await Promise.race([
                 promise,
                 new Promise((_, reject) => {
-                    timer = setTimeout(() => reject(new Error(`tool timeout after ${ms}ms`)), ms);
+                    timer = setTimeout(() => {
+                        if (controller) controller.abort();
+                        reject(new Error(`tool timeout after ${ms}ms`));
+                    }, ms);
+                    if (controller) {
+                        onAbort = () => reject(createAbortError());
+                        controller.signal.addEventListener('abort', onAbort, { once: true });
+                    }
                 }),
             ]);
         } finally {
             clearTimeout(timer);
+            if (onAbort) controller.signal.removeEventListener('abort', onAbort);
         }
     }
 
-    // Sanitize and truncate observation going back to the model
+    // Serialize and truncate an observation going back to the model. It stays raw text:
+    // escaping is the renderer's job, and escaped markup would only confuse the model.
     sanitizeObservation(value) {
         const limit = this.obsTruncateChars;
 
-        const escAndTrunc = (s) => {
+        const truncate = (s) => {
             if (typeof s !== 'string') {
                 try { s = String(s ?? ''); } catch { s = ''; }
             }
-            // Escape basic HTML to preserve structure instead of stripping tags
-            const safe = s
-                .replace(/&/g, '&')
-                .replace(/</g, '<')
-                .replace(/>/g, '>');
-            return safe.length > limit ? `${safe.slice(0, limit)}…` : safe;
+            return s.length > limit ? `${s.slice(0, limit)}…` : s;
         };
 
         if (value == null) return '';
         const t = typeof value;
         if (t === 'string' || t === 'number' || t === 'boolean') {
-            return escAndTrunc(String(value));
+            return truncate(String(value));
         }
 
         // Prefer JSON for objects/arrays; guard circular refs and BigInt
@@ -73,51 +224,610 @@ class Agent {
                 },
                 2
             );
-            return escAndTrunc(json);
+            return truncate(json);
         } catch {
-            try { return escAndTrunc(String(value)); } catch { return ''; }
+            try { return truncate(String(value)); } catch { return ''; }
+        }
+    }
+
+    /**
+     * Whether a tool of the given risk class needs the user's approval under the agent's policy.
+     * Tools without a (known) risk class are treated as 'external'.
+     */
+    needsApproval(risk) {
+        const autoApproved = APPROVAL_POLICIES[this.approvalPolicy] || APPROVAL_POLICIES.suggest;
+        return !autoApproved.includes(risk || 'external');
+    }
+
+    /**
+     * Replaces the plan (called by the `update_plan` tool). Tool calls already attributed
+     * to a step are kept when the step's text is unchanged.
+     * @param {Array<{step: string, status: 'pending' | 'in_progress' | 'done'}>} steps
+     * @param {string} [explanation]
+     */
+    setPlan(steps, explanation = '') {
+        if (steps.filter((s) => s.status === 'in_progress').length > 1) {
+            throw new Error('Only one step can be in_progress at a time.');
+        }
+        const previous = new Map(((this.plan && this.plan.steps) || []).map((s) => [s.step, s.calls]));
+        this.plan = {
+            explanation,
+            steps: steps.map((s) => ({ step: s.step, status: s.status, calls: previous.get(s.step) || [] })),
+        };
+        const done = this.plan.steps.filter((s) => s.status === 'done').length;
+        this.think(`[plan] Plan updated: ${done}/${this.plan.steps.length} step(s) done.`);
+        if (this.onPlan) this.onPlan(this.plan);
+    }
+
+    // The plan as a numbered list, returned to the model after update_plan.
+    describePlan() {
+        if (!this.plan || this.plan.steps.length === 0) return 'No plan.';
+        const lines = this.plan.steps.map((s, i) => `${i + 1}. [${s.status}] ${s.step}`);
+        return `Plan updated:\n${lines.join('\n')}`;
+    }
+
+    // Record that a tool call serves the given (1-based) plan step.
+    attributeToPlanStep(stepNumber, toolName) {
+        const step = this.plan && this.plan.steps[stepNumber - 1];
+        if (!step) return;
+        step.calls.push(toolName);
+        if (this.onPlan) this.onPlan(this.plan);
+    }
+
+    // A tool's parameters as sent to the model: with `update_plan` available, every other
+    // tool also accepts an optional `plan_step`, which the agent strips before validation.
+    toolParametersFor(fn) {
+        const params = fn.parameters;
+        if (fn.name === 'update_plan' || !this.registry.has('update_plan') || !params || params.type !== 'object') {
+            return params;
+        }
+        return {
+            ...params,
+            properties: {
+                ...(params.properties || {}),
+                plan_step: { type: 'integer', minimum: 1, description: 'Number of the plan step (from update_plan) this call serves.' },
+            },
+        };
+    }
+
+    /**
+     * Runs a subtask in a child Agent (called by the `delegate_task` tool). The child starts
+     * with an empty history, sees only the chosen tools, and shares this agent's approval
+     * policy and approver. Its thoughts, trace events and usage are forwarded here, labelled
+     * with its name. Cancelling this run (or timing out the delegate_task call) cancels it.
+     * @param {{task: string, context?: string, tools?: Array<string>, maxTurns?: number, provider?: string, model?: string}} args
+     * @param {{signal?: AbortSignal, callId?: string}} [call] - The delegate_task call's signal and id.
+     * @returns {Promise<{agent: string, status: string, turns: number, answer: string}>}
+     */
+    async delegate(args, { signal, callId } = {}) {
+        const { task, context, tools: toolNames, maxTurns = 6, provider, model } = args;
+        if (this.depth >= this.maxDelegationDepth) {
+            throw new Error(`Sub-agents cannot delegate further (maximum depth ${this.maxDelegationDepth}).`);
+        }
+
+        // Without a tool list the child gets every tool here, minus delegate_task at the depth limit.
+        const childDepth = this.depth + 1;
+        let childTools = this.tools.filter((t) => t && t.function
+            && (t.function.name !== 'delegate_task' || childDepth < this.maxDelegationDepth));
+        if (toolNames && toolNames.length > 0) {
+            const unknown = toolNames.filter((name) => !this.registry.has(name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown tool(s) for the sub-agent: ${unknown.join(', ')}. Available: ${Array.from(this.registry.keys()).join(', ')}.`);
+            }
+            childTools = childTools.filter((t) => toolNames.includes(t.function.name));
+        }
+
+        let llmProvider = this.llmProvider;
+        if (provider || (model && model !== this.llmProvider.model)) {
+            if (!this.createProvider) throw new Error('This agent cannot switch providers or models for sub-agents.');
+            llmProvider = await this.createProvider({ provider, model });
+        }
+
+        this.subAgentSeq++;
+        const label = this.subAgent ? `${this.subAgent.label}.${this.subAgentSeq}` : `sub-${this.subAgentSeq}`;
+        const child = new Agent(llmProvider, childTools, (text) => this.onThought(`[${label}] ${text}`), () => {}, {
+            approvalPolicy: this.approvalPolicy,
+            requestApproval: this.requestApproval,
+            createProvider: this.createProvider,
+            memoryStore: this.memoryStore,
+            onTrace: (event) => this.forwardTrace(event),
+            onUsage: ({ call, context: requestContext }) => {
+                this.runUsage.add(call);
+                if (this.onUsage) this.onUsage({ call, run: this.runUsage, context: requestContext });
+            },
+            subAgent: { label, depth: childDepth, parentCallId: callId, rootRunId: (this.subAgent && this.subAgent.rootRunId) || this.runId },
+        });
+        child.maxTurns = maxTurns;
+        child.toolTimeoutMs = this.toolTimeoutMs;
+        child.maxConcurrentTools = this.maxConcurrentTools;
+        child.maxDelegationDepth = this.maxDelegationDepth;
+
+        if (signal && signal.aborted) throw createAbortError();
+        const onAbort = () => child.cancel();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        this.think(`[delegate] ${label} started (${childTools.length} tool(s), ${llmProvider.model}): ${task}`);
+        try {
+            const result = await child.run(context ? `${task}\n\nContext:\n${context}` : task);
+            this.think(`[delegate] ${label} ${result.status} after ${child.turn} turn(s).`);
+            return { agent: label, status: result.status, turns: child.turn, answer: result.content };
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Runs a turn's tool calls. Calls to concurrency-safe tools run in parallel, at most
+     * `maxConcurrentTools` at a time, except that calls with overlapping locks (e.g. two
+     * writes to one file) run in call order. Any other call runs alone, after every call
+     * before it has finished. Calls not yet started when the run is cancelled are rejected.
+     * @param {Array<{id: string, name: string, args: object}>} calls
+     * @returns {Promise<Array<{status: string, value?: string, reason?: Error}>>} The settled
+     *   observations, in call order.
+     */
+    async runToolBatch(calls) {
+        const entries = []; // { promise, locks } per call, in call order
+        const running = new Set(); // settled-wrappers of the calls holding a slot
+        const start = (c, after) => {
+            const promise = Promise.allSettled(after).then(() => {
+                this.throwIfCancelled();
+                return this.runToolCall(c);
+            });
+            const done = promise.then(() => {}, () => {});
+            running.add(done);
+            done.then(() => running.delete(done));
+            return promise;
+        };
+
+        const parallel = calls.filter((c) => this.registry.has(c.name) && this.registry.get(c.name).concurrencySafe).length;
+        if (parallel > 1) {
+            this.think(`[act] Running ${parallel} concurrency-safe call(s) in parallel (up to ${this.maxConcurrentTools} at a time).`);
+        }
+
+        for (const c of calls) {
+            const fn = this.registry.get(c.name);
+            if (fn && !fn.concurrencySafe) {
+                await Promise.allSettled(entries.map((e) => e.promise));
+                const promise = start(c, []);
+                entries.push({ promise, locks: null });
+                await Promise.allSettled([promise]);
+                continue;
+            }
+            while (running.size >= this.maxConcurrentTools) await Promise.race(running);
+            let locks = [];
+            if (fn && typeof fn.locks === 'function') {
+                try {
+                    locks = fn.locks(c.args || {}) || [];
+                } catch (_) {
+                    locks = ['/'];
+                }
+            }
+            const after = entries
+                .filter((e) => e.locks && e.locks.some((a) => locks.some((b) => locksOverlap(a, b))))
+                .map((e) => e.promise);
+            entries.push({ promise: start(c, after), locks });
+        }
+        return Promise.allSettled(entries.map((e) => e.promise));
+    }
+
+    /**
+     * Runs one normalized tool call, tracing the call and its result.
+     * @param {{id: string, name: string, args: object}} c
+     * @returns {Promise<string>} The sanitized observation for the model.
+     */
+    async runToolCall(c) {
+        const started = Date.now();
+        this.trace('tool_call', { callId: c.id, name: c.name, args: c.args });
+        const observation = await this.executeToolCall(c);
+        this.trace('tool_result', { callId: c.id, name: c.name, observation, durationMs: Date.now() - started });
+        return observation;
+    }
+
+    /**
+     * Validates, approves and executes one normalized tool call.
+     * @param {{id: string, name: string, args: object}} c
+     * @returns {Promise<string>} The sanitized observation for the model.
+     */
+    async executeToolCall(c) {
+        const fn = this.registry.get(c.name);
+        if (!fn) {
+            const msg = `Unknown tool '${c.name}'. Please choose a listed tool.`;
+            this.trace('error', { source: 'tool', name: c.name, kind: 'unknown_tool', message: msg });
+            this.think(`[act] ${msg}`);
+            return msg;
+        }
+
+        let planStep = null;
+        if (c.name !== 'update_plan' && c.args && Object.prototype.hasOwnProperty.call(c.args, 'plan_step')) {
+            const { plan_step, ...rest } = c.args;
+            planStep = Number.isInteger(plan_step) ? plan_step : null;
+            c = { ...c, args: rest };
+        }
+
+        // Check arguments against the tool's schema; report problems so the model can retry.
+        const invalid = (args) => {
+            const argErrors = validateSchema(fn.parameters, args);
+            if (argErrors.length === 0) return null;
+            this.trace('error', { source: 'tool', name: c.name, kind: 'invalid_arguments', message: argErrors.map((e) => `${e.path} ${e.message}`).join('; ') });
+            this.think(`[act] Rejected ${c.name}: ${argErrors.map((e) => `${e.path} ${e.message}`).join('; ')}`);
+            return this.sanitizeObservation({
+                error: 'invalid_arguments',
+                tool: c.name,
+                problems: argErrors.map((e) => `${e.path} ${e.message}`),
+                expected: fn.parameters,
+            });
+        };
+        const rejected = invalid(c.args);
+        if (rejected) return rejected;
+
+        let args = c.args;
+        let note = '';
+        if (this.needsApproval(fn.risk)) {
+            this.think(`[act] Waiting for approval: ${c.name} ${JSON.stringify(args)}`);
+            const signal = this.abortController && this.abortController.signal;
+            const decision = this.requestApproval
+                ? await this.requestApproval({
+                    id: c.id, name: c.name, args, risk: fn.risk || 'external', signal, agent: this.subAgent && this.subAgent.label,
+                })
+                : { decision: 'deny', reason: 'No approver is available for this call.' };
+            this.throwIfCancelled();
+
+            if (!decision || decision.decision !== 'approve') {
+                const reason = (decision && decision.reason) || 'The user denied this tool call.';
+                this.think(`[act] Denied ${c.name}`);
+                return this.sanitizeObservation({
+                    error: 'denied_by_user',
+                    tool: c.name,
+                    reason,
+                    hint: 'Do not retry the same call; choose another approach or ask the user.',
+                });
+            }
+            if (decision.args && JSON.stringify(decision.args) !== JSON.stringify(args)) {
+                args = decision.args;
+                const editedInvalid = invalid(args);
+                if (editedInvalid) return editedInvalid;
+                note = `The user edited the arguments before running: ${JSON.stringify(args)}\n`;
+            }
+        }
+
+        this.think(`[act] Executing ${c.name}${planStep ? ` (plan step ${planStep})` : ''} ${JSON.stringify(args)}`);
+        if (planStep) this.attributeToPlanStep(planStep, c.name);
+        // Each call gets its own controller: a timeout aborts just this tool, a cancel aborts all.
+        const toolController = new AbortController();
+        const runSignal = this.abortController && this.abortController.signal;
+        const forwardAbort = () => toolController.abort();
+        if (runSignal) runSignal.addEventListener('abort', forwardAbort, { once: true });
+        let result;
+        try {
+            result = await this.runWithTimeout(
+                Promise.resolve().then(() => fn.implementation(args, { signal: toolController.signal, agent: this, callId: c.id })),
+                fn.timeoutMs || this.toolTimeoutMs,
+                toolController
+            );
+        } catch (e) {
+            this.throwIfCancelled();
+            this.trace('error', { source: 'tool', name: c.name, message: e.message });
+            result = `Tool '${c.name}' failed: ${e.message}`;
+        } finally {
+            if (runSignal) runSignal.removeEventListener('abort', forwardAbort);
+        }
+        const obsText = this.sanitizeObservation(result);
+        this.think(`[observe] ${c.name} => ${obsText.slice(0, 120)}${obsText.length > 120 ? '…' : ''}`);
+        return note + obsText;
+    }
+
+    // Estimated tokens of a request with these messages: them, tool specs and the system prompt around them.
+    estimateRequestTokens(messages, toolSpecs) {
+        const systemPromptAllowance = 500;
+        return messages.reduce((sum, h) => sum + estimateTokens(h.content) + estimateTokens(h.tool_calls), 0)
+            + estimateTokens(toolSpecs) + estimateTokens(this.memories.map((m) => m.text))
+            + estimateTokens(this.instructions) + systemPromptAllowance;
+    }
+
+    /**
+     * The messages for the next request, kept inside the model's context window. Over budget,
+     * tool observations older than the latest tool batch are cut to a short preview first; if
+     * that isn't enough, the oldest turns are dropped whole (the request always starts at a user
+     * query, so tool calls and their results stay paired). The current query is never dropped.
+     * Works on a copy: `this.history` is the saved conversation and is left as it is.
+     * @returns {{messages: Array<object>, tokens: number}} The messages and the estimated request size.
+     */
+    fitHistoryToBudget(toolSpecs) {
+        const reserve = Math.min(this.outputReserveTokens, Math.floor(this.contextWindow / 4));
+        const budget = Math.floor(this.contextWindow * this.contextBudgetRatio) - reserve;
+        const messages = this.history.slice();
+        let tokens = this.estimateRequestTokens(messages, toolSpecs);
+        if (tokens <= budget) return { messages, tokens };
+
+        const before = tokens;
+        const previewChars = 200;
+        const marker = '[Trimmed to fit the context window]';
+        let lastBatch = -1;
+        messages.forEach((h, i) => { if (h.role === 'assistant' && h.tool_calls) lastBatch = i; });
+        let trimmed = 0;
+        for (let i = 0; i < lastBatch && tokens > budget; i++) {
+            const h = messages[i];
+            if (h.role !== 'tool' || typeof h.content !== 'string' || h.content.includes(marker)) continue;
+            const match = /^OBSERVATION\[[^\]]*\]: /.exec(h.content);
+            const label = match ? match[0] : '';
+            const body = h.content.slice(label.length);
+            if (body.length <= previewChars) continue;
+            const short = `${label}${marker} ${body.slice(0, previewChars)}… (${body.length} chars originally)`;
+            tokens -= estimateTokens(h.content) - estimateTokens(short);
+            messages[i] = { ...h, content: short };
+            trimmed++;
+        }
+
+        // Turns start at the user's queries, up to the current one; format corrections are user
+        // messages too, but they belong to the turn they correct.
+        let start = 0;
+        for (let i = 1; i <= this.queryIndex && tokens > budget; i++) {
+            if (messages[i].role !== 'user' || messages[i].correction) continue;
+            start = i;
+            tokens = this.estimateRequestTokens(messages.slice(start), toolSpecs);
+        }
+
+        this.think(`[budget] Request was ~${before} tokens (budget ${budget}): trimmed ${trimmed} old observation(s), left out ${start} old message(s); now ~${tokens}`
+            + (tokens > budget ? ', still over budget.' : '.'));
+        return { messages: messages.slice(start), tokens };
+    }
+
+    /**
+     * The `model_request` trace payload. Traces are saved, so rather than the whole request
+     * (the history again on every turn) it holds what changed since the run's previous request:
+     * `messageCount`, `reused` (leading messages the previous request also sent), the other
+     * `messages`, and `tools` when they changed; the first request adds `memories` and
+     * `instructions`. `expandTraceRequests` rebuilds the whole requests for export.
+     */
+    requestTraceData(messages, toolSpecs) {
+        const previous = this.lastRequest;
+        let reused = 0;
+        if (previous) {
+            while (reused < messages.length && messages[reused] === previous.messages[reused]) reused++;
+        }
+        const toolsJson = JSON.stringify(toolSpecs);
+        this.lastRequest = { messages, toolsJson };
+        const data = { messageCount: messages.length, reused, messages: JSON.parse(JSON.stringify(messages.slice(reused))) };
+        if (!previous || previous.toolsJson !== toolsJson) data.tools = toolSpecs;
+        if (!previous) Object.assign(data, { memories: this.memories, instructions: this.instructions });
+        return data;
+    }
+
+    // Add a completion's usage to the run totals (estimating when the provider reported none) and report it.
+    recordUsage(step, requestTokens) {
+        let usage = step.usage;
+        if (!usage) {
+            const outputTokens = estimateTokens(step.content) + estimateTokens(step.toolCalls || step.tool_calls);
+            usage = {
+                inputTokens: requestTokens,
+                outputTokens,
+                totalTokens: requestTokens + outputTokens,
+                model: this.llmProvider.model,
+                estimated: true,
+            };
+        }
+        this.runUsage.add(usage);
+        if (this.onUsage) {
+            this.onUsage({ call: usage, run: this.runUsage, context: { tokens: requestTokens, window: this.contextWindow } });
+        }
+    }
+
+    /**
+     * Handles a reply the protocol parser couldn't use (`stopReason: 'parse_error'`): records it
+     * in the trace and, while retries remain, answers with a correction naming the problem.
+     * @returns {boolean} True when a correction was queued; false once retries are used up.
+     */
+    requestCorrection(step) {
+        const { kind = 'invalid', message = 'Your reply could not be parsed.' } = step.parseError || {};
+        this.parseStats.errors++;
+        this.consecutiveParseErrors++;
+        const attempt = this.consecutiveParseErrors;
+        const willRetry = attempt <= this.maxParseRetries;
+        this.trace('error', {
+            source: 'parser',
+            kind,
+            message,
+            raw: step.content,
+            attempt,
+            maxRetries: this.maxParseRetries,
+            willRetry,
+            parseStats: { ...this.parseStats },
+        });
+        if (!willRetry) {
+            this.think(`[parse] Still unparseable after ${this.maxParseRetries} correction(s); using the reply as the answer.`);
+            return false;
+        }
+
+        this.think(`[parse] Could not parse the model reply (${kind}); asking for a correction (${attempt}/${this.maxParseRetries}).`);
+        this.history.push({ role: 'assistant', content: step.content || '' });
+        this.history.push({
+            role: 'user',
+            correction: true, // not a new query: the budget never cuts the history here
+            content: `[format correction] ${message} Reply again with exactly one JSON object and nothing else: `
+                + '{"tool":"<tool_name>","arguments":{...}} to call a tool, or {"final":"<answer>"} to answer.',
+        });
+        this.parseStats.corrections++;
+        return true;
+    }
+
+    /**
+     * Looks up the long-term memories relevant to a query (with embeddings when the provider
+     * offers them) for this run's system prompt. A failing lookup is traced and skipped.
+     */
+    async recallMemories(query) {
+        this.memories = [];
+        if (!this.memoryStore) return;
+        try {
+            const results = await this.memoryStore.search(query, {
+                limit: this.memoryLimit,
+                embedder: memoryEmbedderFor(this.llmProvider),
+                signal: this.abortController && this.abortController.signal,
+            });
+            this.memories = results.map(({ memory, score }) => ({ id: memory.id, text: memory.text, tags: memory.tags, score }));
+        } catch (e) {
+            this.throwIfCancelled();
+            this.trace('error', { source: 'memory', message: e.message });
+        }
+        if (this.memories.length > 0) {
+            this.think(`[memory] Recalled ${this.memories.length} relevant memory(ies) into the system prompt.`);
+        }
+    }
+
+    /**
+     * Requests the next step for `messages` (the history as fitted to the context window). With
+     * an `onStream` callback the response is streamed: answer text opens a live message ('start'
+     * then 'text' deltas) and partially built tool calls are forwarded as they form.
+     * @returns {Promise<{step: object, streamed: boolean}>} `streamed` is true when a live message was opened.
+     */
+    async requestStep(messages, toolSpecs) {
+        const signal = this.abortController && this.abortController.signal;
+        if (!this.onStream || typeof this.llmProvider.streamCompletion !== 'function') {
+            return { step: await this.llmProvider.getCompletion(messages, toolSpecs, { signal, memories: this.memories, instructions: this.instructions }), streamed: false };
         }
+
+        let step = null;
+        let streamed = false;
+        let partial = '';
+        try {
+            for await (const event of this.llmProvider.streamCompletion(messages, toolSpecs, { signal, memories: this.memories, instructions: this.instructions })) {
+                if (event.type === 'text') {
+                    if (!streamed) {
+                        streamed = true;
+                        this.onStream({ type: 'start', sender: 'agent' });
+                    }
+                    partial += event.delta;
+                    this.onStream({ type: 'text', delta: event.delta });
+                } else if (event.type === 'tool_call') {
+                    this.onStream(event);
+                } else if (event.type === 'done') {
+                    step = event.step;
+                }
+            }
+        } catch (e) {
+            // Close the live message with whatever arrived before the failure.
+            if (streamed) this.onStream({ type: 'end', content: partial });
+            throw e;
+        }
+        return { step: step || { toolCalls: null, content: '', stopReason: 'continue' }, streamed };
     }
 
     /**
-     * Starts the agentic loop to process a user's query.
-     * @param {string} userInput The initial query from the user.
+     * Starts the agentic loop to process a user's query. Earlier turns in `this.history`
+     * are kept, so follow-up questions see the whole conversation.
+     * @param {string} userInput The query from the user.
+     * @returns {Promise<{status: 'completed' | 'max_turns' | 'cancelled', content: string}>} How the run ended and its last answer.
+     * @throws {ProviderError} When the model can't be reached (after retries and any fallbacks).
      */
     async run(userInput) {
-        this.history = [{ role: 'user', content: userInput }];
+        if (this.isRunning) throw new Error('Agent is already running.');
+        this.queryIndex = this.history.length; // where this run's turn starts
+        this.history.push({ role: 'user', content: userInput });
         this.onMessage('user', userInput);
 
+        this.abortController = new AbortController();
+        this.runUsage = new UsageTotals();
+        this.runId = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `run-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        this.runStartedAt = Date.now();
+        this.turn = 0;
+        this.traceEvents = [];
+        this.lastRequest = null;
+        this.consecutiveParseErrors = 0;
+        this.parseStats = { errors: 0, repaired: 0, corrections: 0 };
+        this.trace('run_start', { input: userInput, model: this.llmProvider.model, approvalPolicy: this.approvalPolicy });
+        try {
+            await this.recallMemories(userInput);
+            return await this.runTurns();
+        } catch (e) {
+            if (!isAbortError(e) && !this.abortController.signal.aborted) {
+                this.trace('error', e instanceof ProviderError
+                    ? { source: 'provider', kind: e.kind, status: e.status, message: e.message }
+                    : { source: 'agent', message: e.message, stack: e.stack });
+                throw e;
+            }
+            this.trace('error', { source: 'agent', message: 'Run cancelled.', cancelled: true });
+            this.think('[cancel] Run cancelled by user.');
+            this.onMessage('agent', 'Run cancelled.');
+            return { status: 'cancelled', content: 'Run cancelled.' };
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * Rebuilds `tools` and the strict name registry from the tool source, so tools registered
+     * or removed in a ToolRegistry since the last turn take effect. With `enabledTools` set,
+     * only the named tools are kept.
+     */
+    refreshTools() {
+        const source = this.toolSource;
+        const tools = source instanceof ToolRegistry ? source.definitions() : (source || []);
+        const enabled = this.enabledTools;
+        this.tools = enabled ? tools.filter((t) => t && t.function && enabled.includes(t.function.name)) : tools;
+        // Build a strict registry for white‑listing tool names.
+        this.registry = new Map(
+            this.tools
+                .filter((t) => t && t.function)
+                .map((t) => [t.function.name, t.function])
+        );
+    }
+
+    // The ReAct loop behind `run`; throws an AbortError when the run is cancelled.
+    async runTurns() {
         for (let i = 0; i < this.maxTurns; i++) {
+            this.throwIfCancelled();
+            this.turn = i + 1;
+            this.refreshTools();
+            this.trace('turn_start');
             // Ask model for next step (Planner)
-            // Only pass sanitized tool specs (name/description/usage) to the provider, not implementations.
+            // Only pass sanitized tool specs (name/description/parameters) to the provider, not implementations.
             const toolSpecs = Array.from(this.registry.values()).map((f) => ({
                 name: f.name,
                 description: f.description,
-                usage: f.usage,
+                parameters: this.toolParametersFor(f),
             }));
-            const step = await this.llmProvider.getCompletion(this.history, toolSpecs);
+            const { messages, tokens: requestTokens } = this.fitHistoryToBudget(toolSpecs);
+            const requested = this.trace('model_request', {
+                estimatedTokens: requestTokens,
+                request: this.requestTraceData(messages, toolSpecs),
+            });
+            const { step, streamed } = await this.requestStep(messages, toolSpecs);
+            this.trace('model_response', { response: step, streamed, durationMs: Date.now() - requested.time });
+            for (const failure of step.fallbacks || []) {
+                this.trace('error', { source: 'provider', kind: failure.kind, model: failure.model, message: failure.message, fellBack: true });
+                this.think(`[provider] ${failure.model} failed (${failure.kind}); fell back to the next provider. ${failure.message}`);
+            }
+            this.recordUsage(step, requestTokens);
             const toolCalls = step.toolCalls || step.tool_calls || [];
-            const stopReason = step.stopReason || step.stop_reason || 'continue';
+            let stopReason = step.stopReason || step.stop_reason || 'continue';
             const content = step.content;
 
+            if (step.repaired) {
+                this.parseStats.repaired++;
+                this.think('[parse] Repaired malformed JSON in the model reply.');
+            }
+            if (stopReason === 'parse_error') {
+                if (this.requestCorrection(step)) continue;
+                stopReason = 'final'; // out of retries: take the reply as the answer
+            } else {
+                this.consecutiveParseErrors = 0;
+            }
+
+            // Settle the live message: keep any text the model streamed before its tool calls.
+            if (streamed) {
+                this.onStream({ type: 'end', content: content || '' });
+            }
+
             // A) Tool calls – aggregate into a single assistant message, then emit per-call tool observations
             if (toolCalls && toolCalls.length > 0) {
-                this.onThought(`[plan] Model proposed ${toolCalls.length} tool call(s).`);
+                this.think(`[plan] Model proposed ${toolCalls.length} tool call(s).`);
 
                 // Normalize calls: ids, names, robust args parse
                 const normalizedCalls = toolCalls
                     .map((call, idx) => {
                         const name = call.name || call.tool;
-                        let args = call.args ?? call.arguments ?? {};
-                        if (typeof args === 'string') {
-                            // strip possible code fences and attempt double-parse
-                            let s = args.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1').trim();
-                            try { args = JSON.parse(s); }
-                            catch {
-                                try { args = JSON.parse(JSON.parse(s)); }
-                                catch { args = {}; }
-                            }
-                        }
+                        // Fenced, double-encoded or JSON5-style strings are repaired by the protocol parser.
+                        let args = parseToolArguments(call.args ?? call.arguments ?? {});
                         if (typeof args !== 'object' || args === null) args = {};
 
                         const id = call.id
@@ -139,36 +849,22 @@ class Agent {
                     })),
                 });
 
-                // 2) Execute each tool and emit its observation
-                for (const c of normalizedCalls) {
-                    const fn = this.registry.get(c.name);
-                    if (!fn) {
-                        const msg = `Unknown tool '${c.name}'. Please choose a listed tool.`;
-                        this.onThought(`[act] ${msg}`);
-                        this.history.push({
-                            role: 'tool',
-                            tool_call_id: c.id,
-                            content: `OBSERVATION[${c.name}]: ${msg}`,
-                        });
-                        continue;
-                    }
-
-                    this.onThought(`[act] Executing ${c.name} ${JSON.stringify(c.args)}`);
-                    let result;
-                    try {
-                        result = await this.runWithTimeout(fn.implementation(c.args), this.toolTimeoutMs);
-                    } catch (e) {
-                        result = `Tool '${c.name}' failed: ${e.message}`;
-                    }
-                    const obsText = this.sanitizeObservation(result);
-                    this.onThought(`[observe] ${c.name} => ${obsText.slice(0, 120)}${obsText.length > 120 ? '…' : ''}`);
-
+                // 2) Execute the tools (independent calls in parallel) and emit observations in call order
+                const outcomes = await this.runToolBatch(normalizedCalls);
+                const failure = outcomes.find((o) => o.status === 'rejected' && !isAbortError(o.reason));
+                if (failure) throw failure.reason;
+                let cancelled = null;
+                normalizedCalls.forEach((c, idx) => {
+                    const outcome = outcomes[idx];
+                    // Answer cancelled calls too, so the history stays valid for the next query.
+                    if (outcome.status === 'rejected') cancelled = outcome.reason;
                     this.history.push({
                         role: 'tool',
                         tool_call_id: c.id,
-                        content: `OBSERVATION[${c.name}]: ${obsText}`,
+                        content: `OBSERVATION[${c.name}]: ${outcome.status === 'fulfilled' ? outcome.value : 'Cancelled by the user before completion.'}`,
                     });
-                }
+                });
+                if (cancelled) throw cancelled;
 
                 // After tools, continue next turn so the model can reflect or finalize.
                 continue;
@@ -176,24 +872,28 @@ class Agent {
 
             // B) Natural language content
             if (typeof content === 'string' && content.length > 0) {
-                this.onThought(`[reflect] Model produced content. stopReason=${stopReason}`);
-                this.onMessage('agent', content);
+                this.think(`[reflect] Model produced content. stopReason=${stopReason}`);
+                if (!streamed) this.onMessage('agent', content);
                 this.history.push({ role: 'assistant', content });
 
                 // Only stop when the model explicitly emits a final answer
                 const isFinal = (s) => ['final', 'stop', 'completed', 'end', 'done'].includes((s || '').toLowerCase());
                 if (isFinal(stopReason)) {
-                    return;
+                    this.trace('final', { content, parseStats: { ...this.parseStats }, durationMs: Date.now() - this.runStartedAt });
+                    return { status: 'completed', content };
                 }
                 // Otherwise allow another round (e.g., verification/refinement)
                 continue;
             }
 
             // C) No tool and no content – nudge replanning
-            this.onThought('[plan] Model produced no content and no tool. Replanning.');
+            this.think('[plan] Model produced no content and no tool. Replanning.');
             this.history.push({ role: 'assistant', content: 'No valid next action. Replanning with constraints.' });
         }
 
-        this.onMessage('agent', "I seem to be stuck in a loop. Please try rephrasing your query.");
+        const stuck = "I seem to be stuck in a loop. Please try rephrasing your query.";
+        this.trace('final', { content: stuck, reason: 'max_turns', parseStats: { ...this.parseStats }, durationMs: Date.now() - this.runStartedAt });
+        this.onMessage('agent', stuck);
+        return { status: 'max_turns', content: stuck };
     }
 }
\ No newline at end of file
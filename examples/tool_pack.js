@@ -0,0 +1,50 @@
+/**
+ * An example tool pack. Load it from the Tools panel with the URL "examples/tool_pack.js";
+ * its tools are then called `text__word_count` and `text__slugify`.
+ *
+ * A pack is an ES module whose default export is `{ namespace, version, tools }`. Each tool
+ * is shaped like the built-ins in tools.js: `name`, `description`, a JSON Schema for
+ * `parameters`, a `risk` ('read-only', 'writes' or 'external'; 'external' if left out) and
+ * an async `implementation(args, { signal, agent, callId })` whose result is the observation.
+ */
+export default {
+    namespace: 'text',
+    version: '1.0.0',
+    tools: [
+        {
+            name: 'word_count',
+            description: 'Counts the words, lines and characters in a text.',
+            risk: 'read-only',
+            concurrencySafe: true,
+            parameters: {
+                type: 'object',
+                properties: { text: { type: 'string', description: 'The text to count.' } },
+                required: ['text'],
+                additionalProperties: false,
+            },
+            implementation: async ({ text }) => ({
+                words: text.split(/\s+/).filter(Boolean).length,
+                lines: text.split('\n').length,
+                characters: text.length,
+            }),
+        },
+        {
+            name: 'slugify',
+            description: 'Turns a title into a URL slug, e.g. "Hello, World!" -> "hello-world".',
+            risk: 'read-only',
+            concurrencySafe: true,
+            parameters: {
+                type: 'object',
+                properties: { title: { type: 'string', minLength: 1 } },
+                required: ['title'],
+                additionalProperties: false,
+            },
+            implementation: async ({ title }) => title
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, ''),
+        },
+    ],
+};
\ No newline at end of file
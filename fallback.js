@@ -0,0 +1,122 @@
+/**
+ * An ordered chain of providers, e.g. gemini-2.5-pro → gemini-2.5-flash → OpenAI. Each
+ * request goes to the first provider in the chain; when it fails with a ProviderError
+ * (after that provider's own retries) the next one is asked, and so on down the chain.
+ *
+ * A provider that was rate limited is skipped until its `Retry-After` has passed (a minute
+ * when the server didn't say), and one that rejected its API key is skipped for good, so
+ * later turns don't wait on them again. If every provider is cooling down, all are tried.
+ */
+class FallbackProvider extends BaseLlmProvider {
+    static requiresApiKey = false;
+
+    /**
+     * @param {Array<BaseLlmProvider>} providers - The chain, primary first.
+     * @param {object} [options]
+     */
+    constructor(providers, options = {}) {
+        if (!Array.isArray(providers) || providers.length === 0) {
+            throw new Error('A fallback chain needs at least one provider.');
+        }
+        super(null, providers[0].model, options);
+        this.label = 'Fallback';
+        this.providers = providers;
+        this.cooldownUntil = providers.map(() => 0);
+    }
+
+    // Any provider in the chain may answer, so the history must fit the smallest window.
+    get contextWindow() {
+        return Math.min(...this.providers.map((p) => p.contextWindow));
+    }
+
+    // The providers to try, in order: those not cooling down, or all of them if none is ready.
+    candidates() {
+        const now = Date.now();
+        const ready = this.providers.map((p, i) => i).filter((i) => this.cooldownUntil[i] <= now);
+        return ready.length > 0 ? ready : this.providers.map((p, i) => i);
+    }
+
+    // Notes a failed provider and puts it on cooldown; returns the failure for the step's `fallbacks`.
+    recordFailure(index, err) {
+        if (err.kind === 'auth') this.cooldownUntil[index] = Infinity;
+        if (err.kind === 'rate_limit') this.cooldownUntil[index] = Date.now() + (err.retryAfterMs ?? 60000);
+        const provider = this.providers[index];
+        return { provider: provider.label, model: provider.model, kind: err.kind, message: err.message };
+    }
+
+    // Whether the next provider should be asked after this error (not after aborts or bugs).
+    canFallBack(err, signal) {
+        return err instanceof ProviderError && !BaseLlmProvider.isAbort(err, signal);
+    }
+
+    // The error thrown once every provider has failed: the last one's kind, every message.
+    exhausted(failures, lastErr) {
+        if (failures.length === 1) return lastErr;
+        const summary = failures.map((f) => `${f.model}: ${f.message}`).join('; ');
+        const err = new ProviderError(`All ${failures.length} providers failed. ${summary}`, {
+            kind: lastErr.kind,
+            status: lastErr.status,
+            provider: this.label,
+        });
+        err.failures = failures;
+        return err;
+    }
+
+    // Lists the providers that failed before this step was produced, for the agent to report.
+    annotate(step, failures) {
+        return failures.length > 0 ? { ...step, fallbacks: failures } : step;
+    }
+
+    async getCompletion(history, tools, options = {}) {
+        const failures = [];
+        let lastErr;
+        for (const index of this.candidates()) {
+            try {
+                const step = await this.providers[index].getCompletion(history, tools, options);
+                return this.annotate(step, failures);
+            } catch (e) {
+                if (!this.canFallBack(e, options.signal)) throw e;
+                failures.push(this.recordFailure(index, e));
+                lastErr = e;
+            }
+        }
+        throw this.exhausted(failures, lastErr);
+    }
+
+    // Falls back only while nothing has been streamed; a failure mid-answer is thrown as is.
+    async *streamCompletion(history, tools, options = {}) {
+        const failures = [];
+        let lastErr;
+        for (const index of this.candidates()) {
+            let streamed = false;
+            try {
+                for await (const event of this.providers[index].streamCompletion(history, tools, options)) {
+                    if (event.type === 'done') {
+                        yield { type: 'done', step: this.annotate(event.step, failures) };
+                        return;
+                    }
+                    streamed = true;
+                    yield event;
+                }
+                return;
+            } catch (e) {
+                if (streamed || !this.canFallBack(e, options.signal)) throw e;
+                failures.push(this.recordFailure(index, e));
+                lastErr = e;
+            }
+        }
+        throw this.exhausted(failures, lastErr);
+    }
+
+    // Memories are embedded by the first provider in the chain that can embed.
+    get embeddingModel() {
+        const embedder = this.providers.find((p) => p.embeddingModel);
+        return embedder ? embedder.embeddingModel : null;
+    }
+
+    async embed(texts, options = {}) {
+        const embedder = this.providers.find((p) => p.embeddingModel);
+        if (!embedder) return super.embed(texts, options);
+        return embedder.embed(texts, options);
+    }
+}
\ No newline at end of file
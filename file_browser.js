@@ -0,0 +1,127 @@
+/**
+ * A panel that shows the agent's virtual file system as a tree, with a viewer and
+ * download button for the selected file. Re-renders whenever the file system changes.
+ */
+class FileBrowser {
+    /**
+     * @param {{tree: HTMLElement, path: HTMLElement, content: HTMLElement, download: HTMLButtonElement}} elements
+     * @param {VirtualFileSystem} vfs
+     */
+    constructor(elements, vfs) {
+        this.elements = elements;
+        this.vfs = vfs;
+        this.selected = null;
+        this.elements.download.addEventListener('click', () => this.download());
+        this.vfs.onChange(() => this.render());
+        this.render();
+    }
+
+    render() {
+        const { tree } = this.elements;
+        tree.innerHTML = '';
+        const entries = this.vfs.list('/', { recursive: true });
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'file-empty';
+            empty.textContent = 'No files yet.';
+            tree.appendChild(empty);
+        }
+
+        for (const entry of entries) {
+            const depth = entry.path.split('/').length - 2;
+            const name = entry.path.slice(entry.path.lastIndexOf('/') + 1);
+            const item = document.createElement('li');
+            item.className = `file-entry file-${entry.type}`;
+            item.style.paddingLeft = `${depth * 1}rem`;
+            item.textContent = entry.type === 'dir' ? `${name}/` : name;
+            if (entry.type === 'file') {
+                item.title = `${entry.path} (${entry.size} bytes)`;
+                item.classList.toggle('selected', entry.path === this.selected);
+                item.addEventListener('click', () => this.select(entry.path));
+            }
+            tree.appendChild(item);
+        }
+
+        // Keep the viewer in sync (the selected file may have been edited, moved or deleted).
+        if (this.selected && !this.vfs.exists(this.selected)) this.selected = null;
+        this.showSelected();
+    }
+
+    select(path) {
+        this.selected = path;
+        this.render();
+    }
+
+    showSelected() {
+        const { path, content, download } = this.elements;
+        path.textContent = this.selected || 'Select a file to view it.';
+        content.textContent = this.selected ? this.vfs.readFile(this.selected) : '';
+        download.disabled = !this.selected;
+    }
+
+    /**
+     * A chat card for a file the agent produced: its name, size and first lines. Clicking the
+     * card opens the file in the viewer; its button downloads it. A file deleted since the card
+     * was drawn is reported as missing instead.
+     * @param {string} path
+     * @returns {HTMLElement}
+     */
+    renderArtifactCard(path) {
+        const card = document.createElement('div');
+        card.className = 'artifact-card';
+        card.title = `Open ${path}`;
+
+        const name = document.createElement('div');
+        name.className = 'artifact-name';
+        name.textContent = path.slice(path.lastIndexOf('/') + 1);
+        const meta = document.createElement('div');
+        meta.className = 'artifact-meta';
+        const preview = document.createElement('pre');
+        preview.className = 'artifact-preview';
+        const downloadBtn = document.createElement('button');
+        downloadBtn.textContent = 'Download';
+
+        const missing = () => {
+            card.classList.add('missing');
+            meta.textContent = `${path} · no longer exists`;
+            preview.textContent = '';
+            downloadBtn.disabled = true;
+        };
+        if (this.vfs.exists(path)) {
+            const content = this.vfs.readFile(path);
+            meta.textContent = `${path} · ${VirtualFileSystem.byteLength(content)} bytes`;
+            const lines = content.split('\n');
+            preview.textContent = lines.slice(0, 4).join('\n').slice(0, 300) + (lines.length > 4 ? '\n…' : '');
+        } else {
+            missing();
+        }
+
+        card.addEventListener('click', () => {
+            if (!this.vfs.exists(path)) return missing();
+            this.select(path);
+            this.elements.path.scrollIntoView?.({ behavior: 'smooth', block: 'nearest' });
+        });
+        downloadBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (this.vfs.exists(path)) this.download(path);
+            else missing();
+        });
+
+        card.append(name, meta, preview, downloadBtn);
+        return card;
+    }
+
+    download(path = this.selected) {
+        if (!path) return;
+        const blob = new Blob([this.vfs.readFile(path)], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = path.slice(path.lastIndexOf('/') + 1);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
\ No newline at end of file
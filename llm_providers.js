@@ -1,11 +1,18 @@
-function buildSystemPrompt(tools) {
-    // Accept either full tool objects ({ function: { name, description, usage } })
-    // or sanitized specs ({ name, description, usage })
+/**
+ * System prompt for the JSON-in-text protocol: the loop rules, every tool with its usage,
+ * then the run's custom instructions and recalled memories.
+ * @param {Array} tools
+ * @param {{instructions?: string, memories?: Array<object>}} [prompt]
+ */
+function buildSystemPrompt(tools, prompt = {}) {
+    // Accept either full tool objects ({ function: { name, description, parameters } })
+    // or sanitized specs ({ name, description, parameters })
     const toolDescriptions = (tools || []).map((t) => {
         const name = (t && (t.name || (t.function && t.function.name))) || 'unknown';
         const description = (t && (t.description || (t.function && t.function.description))) || '';
-        const usage = (t && (t.usage || (t.function && t.function.usage))) || '';
-        return `- ${name}: ${description}\n  Usage: ${usage}`;
+        const parameters = toolParameters(t);
+        const params = describeSchemaParameters(parameters).map((line) => `\n    - ${line}`).join('');
+        return `- ${name}: ${description}\n  Usage: ${toolUsageExample(name, parameters)}${params ? `\n  Parameters:${params}` : ''}`;
     }).join('\n');
 
     return `You are an agent that works in an iterative loop: Think -> Act (call a tool) -> Observe -> Repeat, until the task is finished.
@@ -21,155 +28,757 @@ Rules:
 - Use ONLY tools listed below. Do not invent tool names or parameters.
 - If no tool is appropriate or the user asks a simple question, reply with {"final":"..."}.
 - After I send you an "Observation: ..." message, use that observation to decide the next action (another tool or a final answer).
-- Do NOT include any text outside the single JSON object.
+- If an observation reports "invalid_arguments", fix the listed problems and call the tool again.
+${planningRule(tools)}- Do NOT include any text outside the single JSON object.
 
 Available Tools:
 ${toolDescriptions}
-`;
+${instructionsSection(prompt.instructions)}${memorySection(prompt.memories)}`;
 }
 
-function tryParseToolCall(text) {
-    // Helper to robustly parse arguments which might be double-encoded or fenced
-    const robustParseArgs = (val) => {
-        if (val == null) return {};
-        if (typeof val === 'object') return val;
-        if (typeof val === 'string') {
-            let s = val.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1').trim();
-            try { return JSON.parse(s); } catch (_) {
-                try { return JSON.parse(JSON.parse(s)); } catch (_) { return {}; }
-            }
-        }
-        return {};
-    };
+/**
+ * System prompt for providers that use native function calling. Tool definitions
+ * travel as structured declarations, so only the loop behaviour is described here.
+ */
+function buildNativeSystemPrompt(tools, prompt = {}) {
+    const toolNames = (tools || [])
+        .map((t) => (t && (t.name || (t.function && t.function.name))) || null)
+        .filter(Boolean)
+        .join(', ');
 
-    try {
-        // Strip code fences if present ```json ... ```
-        const cleaned = (text || '').replace(/```(?:json)?\s*([\s\S]*?)\s*```/i, '$1').trim();
+    return `You are an agent that works in an iterative loop: Think -> Act (call a tool) -> Observe -> Repeat, until the task is finished.
+Rules:
+- Use ONLY the functions you have been given${toolNames ? ` (${toolNames})` : ''}. Do not invent function names or parameters.
+- You may call several functions in one turn when they are independent of each other.
+- Each function result is returned to you as a tool message; use it to decide the next action.
+- If a result reports "invalid_arguments", fix the listed problems and call the function again.
+${planningRule(tools)}- When the task is finished, or no function is appropriate, reply with your concise, human‑readable answer as plain text and no function call.
+${instructionsSection(prompt.instructions)}${memorySection(prompt.memories)}`;
+}
 
-        // Prefer strict JSON parse first
-        try {
-            const obj = JSON.parse(cleaned);
+/**
+ * The system-prompt rule for planning, when the `update_plan` tool is available (else '').
+ */
+function planningRule(tools) {
+    const hasPlanTool = (tools || []).some((t) => t && (t.name || (t.function && t.function.name)) === 'update_plan');
+    if (!hasPlanTool) return '';
+    return '- For tasks that take several steps, first publish a short plan with update_plan, keep it current '
+        + '(mark a step in_progress when you start it and done when it is finished), and pass "plan_step" '
+        + '(the 1-based step number) with your other tool calls to say which step each one serves.\n';
+}
+
+/**
+ * The system-prompt section with the agent profile's custom instructions (else '').
+ */
+function instructionsSection(instructions) {
+    const text = String(instructions || '').trim();
+    if (!text) return '';
+    return `\nAdditional instructions (follow them unless they conflict with the rules above):\n${text}\n`;
+}
+
+/**
+ * The system-prompt section listing long-term memories relevant to the run (else '').
+ * @param {Array<{text: string, tags?: Array<string>}>} memories
+ */
+function memorySection(memories) {
+    if (!memories || memories.length === 0) return '';
+    const lines = memories.map((m) => `- ${m.text}${m.tags && m.tags.length > 0 ? ` (tags: ${m.tags.join(', ')})` : ''}`);
+    return `\nRelevant memories (facts saved in earlier conversations; they may be out of date):\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Returns a tool's JSON Schema parameters (an empty object schema when it declares none).
+ */
+function toolParameters(t) {
+    return (t && (t.parameters || (t.function && t.function.parameters))) || { type: 'object', properties: {} };
+}
+
+/**
+ * Converts sanitized tool specs ({ name, description, parameters }) into
+ * Chat Completions tool definitions.
+ */
+function toOpenAiTools(tools) {
+    return (tools || [])
+        .map((t) => {
+            const name = t && (t.name || (t.function && t.function.name));
+            if (!name) return null;
+            const description = (t.description || (t.function && t.function.description)) || '';
+            return {
+                type: 'function',
+                function: { name, description, parameters: toolParameters(t) },
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Maps Agent history entries to role-tagged Chat Completions messages.
+ * Assistant tool_calls and tool_call_id pairings are passed through unchanged.
+ */
+function toOpenAiMessages(history, systemPrompt) {
+    const messages = [{ role: 'system', content: systemPrompt }];
+    for (const h of history || []) {
+        if (!h) continue;
+        const content = typeof h.content === 'string' ? h.content : (h.content == null ? '' : String(h.content));
+
+        if (h.role === 'assistant' && Array.isArray(h.tool_calls) && h.tool_calls.length > 0) {
+            messages.push({
+                role: 'assistant',
+                content: content || null,
+                tool_calls: h.tool_calls.map((c) => ({
+                    id: c.id,
+                    type: 'function',
+                    function: {
+                        name: c.function?.name ?? c.name,
+                        arguments: typeof c.function?.arguments === 'string'
+                            ? c.function.arguments
+                            : JSON.stringify(c.function?.arguments ?? c.args ?? {}),
+                    },
+                })),
+            });
+        } else if (h.role === 'tool') {
+            messages.push({ role: 'tool', tool_call_id: h.tool_call_id, content });
+        } else {
+            messages.push({ role: h.role === 'assistant' ? 'assistant' : 'user', content });
+        }
+    }
+    return messages;
+}
+
+/**
+ * Strips JSON Schema keywords the Gemini function-declaration schema (an OpenAPI subset) rejects.
+ */
+function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const unsupported = new Set(['additionalProperties', '$schema', '$id', 'default', 'examples']);
+    const out = {};
+    for (const [key, val] of Object.entries(schema)) {
+        if (unsupported.has(key)) continue;
+        // `properties` maps names to schemas; recurse into each value rather than the map itself.
+        out[key] = key === 'properties'
+            ? Object.fromEntries(Object.entries(val || {}).map(([k, v]) => [k, toGeminiSchema(v)]))
+            : toGeminiSchema(val);
+    }
+    return out;
+}
 
-            // Case 1: Final answer
-            if (typeof obj.final === 'string') {
-                return { toolCalls: null, content: obj.final, stopReason: 'final' };
+/**
+ * Converts sanitized tool specs into Gemini `functionDeclarations`.
+ */
+function toGeminiFunctionDeclarations(tools) {
+    return (tools || [])
+        .map((t) => {
+            const name = t && (t.name || (t.function && t.function.name));
+            if (!name) return null;
+            const description = (t.description || (t.function && t.function.description)) || '';
+            const parameters = toolParameters(t);
+            const decl = { name, description };
+            // Gemini rejects an object schema without properties, so omit it for argument-less tools.
+            if (Object.keys(parameters.properties || {}).length > 0) {
+                decl.parameters = toGeminiSchema(parameters);
             }
+            return decl;
+        })
+        .filter(Boolean);
+}
 
-            // Case 2: Multiple tool calls: {"tool_calls":[{name,args,id?}, ...]}
-            if (Array.isArray(obj.tool_calls)) {
-                const calls = obj.tool_calls
-                    .map((c, idx) => {
-                        const name = c?.name || c?.tool || c?.function?.name;
-                        if (!name) return null;
-                        const argsRaw = c?.arguments ?? c?.args ?? c?.function?.arguments ?? {};
-                        const args = robustParseArgs(argsRaw);
-                        const id = c?.id || name || `parsed-${Date.now()}-${idx}`;
-                        return { id, name, args };
-                    })
-                    .filter(Boolean);
-                if (calls.length > 0) {
-                    return { toolCalls: calls, content: null, stopReason: 'continue' };
+/**
+ * Maps Agent history entries to Gemini `contents`.
+ * Assistant tool_calls become `functionCall` parts; consecutive `role: 'tool'` entries are
+ * grouped into one user turn of `functionResponse` parts, matched to calls by tool_call_id.
+ */
+function toGeminiContents(history) {
+    const contents = [];
+    const callNames = new Map(); // tool_call_id -> function name
+
+    const textOf = (h) => (typeof h.content === 'string' ? h.content : (h.content == null ? '' : String(h.content)));
+
+    for (const h of history || []) {
+        if (!h) continue;
+
+        if (h.role === 'assistant') {
+            const parts = [];
+            const text = textOf(h);
+            if (text) parts.push({ text });
+            for (const c of h.tool_calls || []) {
+                const name = c.function?.name ?? c.name;
+                let args = c.function?.arguments ?? c.args ?? {};
+                if (typeof args === 'string') {
+                    try { args = JSON.parse(args); } catch (_) { args = {}; }
                 }
+                callNames.set(c.id, name);
+                parts.push({ functionCall: { name, args } });
             }
+            if (parts.length === 0) parts.push({ text: ' ' }); // Gemini rejects empty parts
+            contents.push({ role: 'model', parts });
+            continue;
+        }
 
-            // Case 3: Single tool call in object form
-            if (obj.tool || obj.name) {
-                const toolName = obj.tool || obj.name;
-                const toolArgs = robustParseArgs(obj.arguments ?? obj.args ?? {});
-                return {
-                    toolCalls: [{ id: toolName, name: toolName, args: toolArgs }],
-                    content: null,
-                    stopReason: 'continue',
-                };
+        if (h.role === 'tool' && callNames.has(h.tool_call_id)) {
+            const part = {
+                functionResponse: {
+                    name: callNames.get(h.tool_call_id),
+                    response: { content: textOf(h) },
+                },
+            };
+            const last = contents[contents.length - 1];
+            if (last && last.role === 'user' && last.parts.every((p) => p.functionResponse)) {
+                last.parts.push(part);
+            } else {
+                contents.push({ role: 'user', parts: [part] });
             }
+            continue;
+        }
 
-            // Case 4: Parsed to a plain string content
-            if (typeof obj === 'string' && obj.trim()) {
-                return { toolCalls: null, content: obj.trim(), stopReason: 'continue' };
+        // user turns, and tool observations without a matching call, travel as text
+        contents.push({ role: 'user', parts: [{ text: textOf(h) || ' ' }] });
+    }
+    return contents;
+}
+
+/**
+ * Reads a `text/event-stream` response body and yields the `data:` payload of each event.
+ */
+async function* readSseEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dataOf = (block) => block
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+            let sep;
+            while ((sep = buffer.indexOf('\n\n')) !== -1) {
+                const data = dataOf(buffer.slice(0, sep));
+                buffer = buffer.slice(sep + 2);
+                if (data) yield data;
             }
-        } catch (_) {
-            // JSON.parse failed – fall back to regex heuristics below
         }
+        const tail = dataOf(buffer + decoder.decode());
+        if (tail) yield tail;
+    } finally {
+        reader.releaseLock();
+    }
+}
 
-        // Heuristic 1: Final-answer JSON embedded in text
-        const finalMatch = cleaned.match(/{\s*"final"\s*:\s*"([\s\S]*?)"\s*}/);
-        if (finalMatch) {
-            return { toolCalls: null, content: finalMatch[1], stopReason: 'final' };
-        }
+/**
+ * Reads a newline-delimited JSON stream (as Ollama sends) and yields each line's text.
+ */
+async function* readNdjsonLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
 
-        // Heuristic 2: Single tool call JSON embedded in text
-        const toolMatch = cleaned.match(/{\s*["'](tool|name)["']\s*:\s*["']([^"']+)["']\s*,\s*["']arguments["']\s*:\s*({[^}]*}|"[^"]*")\s*}/);
-        if (toolMatch) {
-            const jsonString = toolMatch[0];
-            const parsed = JSON.parse(jsonString);
-            const toolName = parsed.tool || parsed.name;
-            const toolArgs = robustParseArgs(parsed.arguments);
-            if (toolName) {
-                return {
-                    toolCalls: [{ id: toolName, name: toolName, args: toolArgs }],
-                    content: null,
-                    stopReason: 'continue',
-                };
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).trim();
+                buffer = buffer.slice(newline + 1);
+                if (line) yield line;
             }
         }
+        const tail = (buffer + decoder.decode()).trim();
+        if (tail) yield tail;
+    } finally {
+        reader.releaseLock();
+    }
+}
 
-        // Otherwise treat as plain content (continue)
-        if (cleaned) {
-            return { toolCalls: null, content: cleaned, stopReason: 'continue' };
+/**
+ * Converts Agent history into Ollama `/api/chat` messages: the OpenAI shape, except that
+ * tool call arguments are objects and tool results name their tool instead of a call id.
+ */
+function toOllamaMessages(history, systemPrompt) {
+    const toolNames = new Map();
+    return toOpenAiMessages(history, systemPrompt).map((m) => {
+        if (m.tool_calls) {
+            return {
+                role: 'assistant',
+                content: m.content || '',
+                tool_calls: m.tool_calls.map((c) => {
+                    toolNames.set(c.id, c.function.name);
+                    let args = {};
+                    try { args = JSON.parse(c.function.arguments || '{}'); } catch (_) { /* send no arguments */ }
+                    return { function: { name: c.function.name, arguments: args } };
+                }),
+            };
         }
-    } catch (_) {
-        // swallow and fall through
+        if (m.role === 'tool') {
+            return { role: 'tool', content: m.content, tool_name: toolNames.get(m.tool_call_id) };
+        }
+        return m;
+    });
+}
+
+// GET a model-list endpoint and decode its JSON.
+async function fetchModelList(url, headers, signal) {
+    const response = await fetch(url, { headers, signal });
+    if (!response.ok) {
+        throw new Error(`Model list request failed: HTTP ${response.status}`);
     }
+    return response.json();
+}
 
-    // If nothing parsed, return raw content so the caller can treat it as normal text.
-    return { toolCalls: null, content: text, stopReason: 'continue' };
+/**
+ * A failed provider request. `kind` says what retrying can do about it:
+ * - 'auth': the API key is missing, wrong or not allowed to use the model (401/403),
+ * - 'rate_limit': too many requests or quota exhausted (429); `retryAfterMs` is how long
+ *   the server asked us to wait, when it said,
+ * - 'transient': network failures, timeouts and server errors (408, 5xx), worth retrying,
+ * - 'bad_request': the request itself was rejected (other 4xx); retrying won't help.
+ */
+class ProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {{kind: string, status?: number, retryAfterMs?: number, provider?: string, cause?: Error}} details
+     */
+    constructor(message, { kind, status, retryAfterMs, provider, cause } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.kind = kind || 'transient';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.provider = provider;
+        if (cause) this.cause = cause;
+    }
+
+    get retryable() {
+        return this.kind === 'transient' || this.kind === 'rate_limit';
+    }
+
+    // Wraps anything else a request threw (network errors, unreadable responses) as transient.
+    static from(err, provider) {
+        if (err instanceof ProviderError) return err;
+        return new ProviderError(`${provider} request failed: ${(err && err.message) || err}`, { kind: 'transient', provider, cause: err });
+    }
+
+    static kindForStatus(status) {
+        if (status === 401 || status === 403) return 'auth';
+        if (status === 429) return 'rate_limit';
+        if (status === 408 || status === 425 || status >= 500) return 'transient';
+        return 'bad_request';
+    }
+}
+
+/**
+ * How long a rate-limited response asks us to wait: the `Retry-After` header (seconds or an
+ * HTTP date), else Gemini's `RetryInfo` detail (e.g. "37s").
+ * @returns {number|undefined} Milliseconds.
+ */
+function parseRetryAfter(header, details) {
+    if (header) {
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const retryInfo = (Array.isArray(details) ? details : []).find((d) => d && typeof d.retryDelay === 'string');
+    const match = retryInfo && retryInfo.retryDelay.match(/^([\d.]+)s$/);
+    return match ? Number(match[1]) * 1000 : undefined;
 }
 
+/**
+ * Builds the ProviderError for a non-OK response, with the API's own error message.
+ * @param {Response} response
+ * @param {string} provider - Label for messages, e.g. "Gemini".
+ * @returns {Promise<ProviderError>}
+ */
+async function providerHttpError(response, provider) {
+    let message = `HTTP ${response.status}`;
+    let details;
+    try {
+        const error = await response.json();
+        const body = error && error.error;
+        message = (typeof body === 'string' ? body : body && body.message) || message;
+        details = body && body.details;
+    } catch (_) {
+        // ignore parse error
+    }
+    return new ProviderError(`${provider} API error: ${message}`, {
+        kind: ProviderError.kindForStatus(response.status),
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers && response.headers.get('retry-after'), details),
+        provider,
+    });
+}
 
 /**
  * A factory to create instances of LLM providers.
+ * - 'openai-compatible' and 'ollama' talk to self-hosted servers at `options.baseUrl`
+ *   and don't need an API key,
+ * - 'replay' plays back a recorded fixture (`options.fixture`, see replay.js).
  */
 class LlmProviderFactory {
-    static create(provider, model, apiKey) {
+    static providerClass(provider) {
         switch (provider) {
             case 'google':
-                return new GeminiProvider(apiKey, model);
+                return GeminiProvider;
             case 'openai':
-                return new OpenAiProvider(apiKey, model);
+                return OpenAiProvider;
+            case 'openai-compatible':
+                return OpenAiCompatibleProvider;
+            case 'ollama':
+                return OllamaProvider;
+            case 'replay':
+                return ReplayProvider;
             default:
                 throw new Error(`Unknown provider: ${provider}`);
         }
     }
+
+    static create(provider, model, apiKey, options = {}) {
+        const ProviderClass = LlmProviderFactory.providerClass(provider);
+        return new ProviderClass(apiKey, model, options);
+    }
+
+    // Whether the provider can only be created with an API key.
+    static requiresApiKey(provider) {
+        return LlmProviderFactory.providerClass(provider).requiresApiKey;
+    }
+
+    /**
+     * Asks the provider's server which models it offers.
+     * @param {string} provider
+     * @param {{apiKey?: string, baseUrl?: string, signal?: AbortSignal}} [options]
+     * @returns {Promise<Array<string>>}
+     */
+    static async listModels(provider, options = {}) {
+        return LlmProviderFactory.providerClass(provider).listModels(options);
+    }
+
+    // Models to offer when discovery isn't possible (e.g. no API key yet).
+    static defaultModels(provider) {
+        return LlmProviderFactory.providerClass(provider).defaultModels;
+    }
 }
 
 /**
  * Base class for LLM providers.
  */
 class BaseLlmProvider {
-    constructor(apiKey, model) {
-        if (!apiKey) {
+    static requiresApiKey = true;
+    static defaultModels = [];
+
+    /**
+     * Lists the models the provider's server offers; subclasses query their API.
+     * @returns {Promise<Array<string>>}
+     */
+    static async listModels(options = {}) {
+        return this.defaultModels;
+    }
+
+    /**
+     * @param {string} apiKey
+     * @param {string} model
+     * @param {object} [options] Provider settings such as `baseUrl`; `temperature` sets the
+     *   sampling temperature (by default the model's own is used).
+     */
+    constructor(apiKey, model, options = {}) {
+        if (!apiKey && this.constructor.requiresApiKey) {
             throw new Error("API key is required.");
         }
         this.apiKey = apiKey;
         this.model = model;
+        this.options = options;
+        this.temperature = options.temperature ?? null; // null leaves the model's default
+        this.label = this.constructor.name; // names the provider in error messages
     }
 
-    async getCompletion(history, tools) {
+    /**
+     * The context window (tokens) of the model requests are sent to, from MODEL_INFO.
+     */
+    get contextWindow() {
+        return getModelInfo(this.model).contextWindow;
+    }
+
+    /**
+     * The model `embed` uses, or null when the provider can't embed text (the default).
+     */
+    get embeddingModel() {
+        return null;
+    }
+
+    /**
+     * Embeds texts as vectors (used to rank long-term memories).
+     * @param {Array<string>} texts
+     * @param {{signal?: AbortSignal}} [options]
+     * @returns {Promise<Array<Array<number>>>} One vector per text, in order.
+     */
+    async embed(texts, options = {}) {
+        throw new Error(`${this.constructor.name} cannot embed text.`);
+    }
+
+    /**
+     * Requests the next step.
+     * @param {Array} history Agent history.
+     * @param {Array} tools Sanitized tool specs.
+     * @param {{signal?: AbortSignal, memories?: Array<object>, instructions?: string}} [options] Aborting the
+     *   signal cancels the request; `instructions` and `memories` are added to the system prompt.
+     * @returns {Promise<{toolCalls: Array|null, content: string|null, stopReason: string, usage?: object}>}
+     *   `usage` ({ inputTokens, outputTokens, totalTokens, model }) is set when the API reports token counts.
+     * @throws {ProviderError} When the request fails after retries.
+     */
+    async getCompletion(history, tools, options = {}) {
         throw new Error("getCompletion must be implemented by subclasses.");
     }
+
+    /**
+     * Streams a completion as events:
+     * - `{ type: 'text', delta }` for each chunk of answer text,
+     * - `{ type: 'tool_call', index, id, name, arguments }` with the arguments received so far,
+     * - `{ type: 'done', step }` once, with the same step shape `getCompletion` returns.
+     * A failure throws a ProviderError, possibly after some events were yielded.
+     * Providers without streaming support fall back to a single `done` event.
+     */
+    async *streamCompletion(history, tools, options = {}) {
+        yield { type: 'done', step: await this.getCompletion(history, tools, options) };
+    }
+
+    // True when an error comes from an aborted request (never retried or wrapped as a ProviderError).
+    static isAbort(err, signal) {
+        return (err && err.name === 'AbortError') || !!(signal && signal.aborted);
+    }
+
+    /**
+     * Runs a request, retrying transient and rate-limit failures; auth and bad-request
+     * errors are thrown at once. Waits `Retry-After` when the server gives one, else backs off
+     * exponentially (0.5 s, 1 s, ...) with jitter. A wait longer than `maxRetryWaitMs` is not
+     * worth blocking on, so the error is thrown for a fallback provider to take over.
+     * An aborted signal stops immediately, including during the wait.
+     * @throws {ProviderError} The last failure, or the AbortError.
+     */
+    async retry(requestOnce, signal) {
+        const maxAttempts = this.options.maxAttempts ?? 3;
+        const maxRetryWaitMs = this.options.maxRetryWaitMs ?? 20000;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await requestOnce();
+            } catch (e) {
+                if (BaseLlmProvider.isAbort(e, signal)) throw e;
+                const err = ProviderError.from(e, this.label);
+                if (!err.retryable || attempt >= maxAttempts) throw err;
+                const delay = err.retryAfterMs ?? 500 * Math.pow(2, attempt - 1) + Math.random() * 250;
+                if (delay > maxRetryWaitMs) throw err;
+                await new Promise((res, rej) => {
+                    const onAbort = () => {
+                        clearTimeout(timer);
+                        const abortErr = new Error('Request aborted.');
+                        abortErr.name = 'AbortError';
+                        rej(abortErr);
+                    };
+                    // The run's signal outlives this wait, so the listener is removed once it ends.
+                    const timer = setTimeout(() => {
+                        if (signal) signal.removeEventListener('abort', onAbort);
+                        res();
+                    }, delay);
+                    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+                });
+            }
+        }
+    }
+
+    // A failure from the middle of a streamed response, as a ProviderError (aborts pass through).
+    streamError(err, signal) {
+        return BaseLlmProvider.isAbort(err, signal) ? err : ProviderError.from(err, this.label);
+    }
 }
 
 /**
  * LLM provider for Google Gemini.
+ *
+ * `options.mode`:
+ * - 'native' (default): `systemInstruction`, tools as `functionDeclarations`, and
+ *   `functionCall`/`functionResponse` parts for tool turns.
+ * - 'text': the JSON-in-text protocol from `buildSystemPrompt`, history as plain text parts.
  */
 class GeminiProvider extends BaseLlmProvider {
-    constructor(apiKey, model) {
-        super(apiKey, model);
+    static defaultModels = ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-1.5-flash-latest', 'gemini-1.5-pro-latest'];
+
+    /**
+     * Lists the Gemini models that support `generateContent`.
+     * @param {{apiKey?: string, signal?: AbortSignal}} [options]
+     * @returns {Promise<Array<string>>}
+     */
+    static async listModels(options = {}) {
+        if (!options.apiKey) throw new Error('API key is required.');
+        const url = `https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${options.apiKey}`;
+        const data = await fetchModelList(url, {}, options.signal);
+        return (data.models || [])
+            .filter((m) => (m.supportedGenerationMethods || []).includes('generateContent'))
+            .map((m) => m.name.replace(/^models\//, ''))
+            .filter((name) => name.startsWith('gemini'));
+    }
+
+    constructor(apiKey, model, options = {}) {
+        super(apiKey, model, options);
+        this.mode = options.mode || 'native';
+        this.label = 'Gemini';
         this.apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.apiKey}`;
+        this.streamUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+    }
+
+    async getCompletion(history, tools, options = {}) {
+        return this.mode === 'text'
+            ? this.getTextCompletion(history, tools, options.signal, options)
+            : this.getNativeCompletion(history, tools, options.signal, options);
+    }
+
+    async *streamCompletion(history, tools, options = {}) {
+        if (this.mode === 'text') {
+            yield* super.streamCompletion(history, tools, options);
+            return;
+        }
+        const { signal } = options;
+
+        const parts = [];
+        let usageMetadata; // cumulative; the last chunk has the final counts
+        let callIndex = 0;
+        try {
+            const response = await this.retry(() => this.post(this.streamUrl, this.buildNativeBody(history, tools, options), signal), signal);
+            for await (const data of readSseEvents(response)) {
+                let chunk;
+                try { chunk = JSON.parse(data); } catch (_) { continue; }
+                if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+                const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+                for (const part of chunkParts) {
+                    parts.push(part);
+                    if (typeof part.text === 'string' && part.text && !part.thought) {
+                        yield { type: 'text', delta: part.text };
+                    } else if (part.functionCall && part.functionCall.name) {
+                        // Gemini streams each functionCall whole rather than as argument fragments.
+                        yield {
+                            type: 'tool_call',
+                            index: callIndex++,
+                            id: part.functionCall.id,
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {}),
+                        };
+                    }
+                }
+            }
+        } catch (e) {
+            throw this.streamError(e, signal);
+        }
+
+        yield { type: 'done', step: this.parseNativeResponse({ candidates: [{ content: { parts } }], usageMetadata }) };
+    }
+
+    // POST a body and return the response once it has an OK status.
+    async post(url, body, signal) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw await providerHttpError(response, this.label);
+        }
+        return response;
     }
 
-    async getCompletion(history, tools) {
-        const systemPrompt = buildSystemPrompt(tools);
+    get embeddingModel() {
+        return 'text-embedding-004';
+    }
+
+    async embed(texts, options = {}) {
+        const model = this.embeddingModel;
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents?key=${this.apiKey}`;
+        const body = { requests: texts.map((text) => ({ model: `models/${model}`, content: { parts: [{ text }] } })) };
+        const data = await (await this.post(url, body, options.signal)).json();
+        return (data.embeddings || []).map((e) => e.values);
+    }
+
+    // POST a body to the generateContent endpoint and return the decoded JSON response.
+    async postJson(body, signal) {
+        const response = await this.post(this.apiUrl, body, signal);
+        try {
+            return await response.json();
+        } catch (e) {
+            throw new Error(`Gemini JSON parse error: ${e.message}`);
+        }
+    }
+
+    buildNativeBody(history, tools, prompt) {
+        const functionDeclarations = toGeminiFunctionDeclarations(tools);
+        const body = {
+            systemInstruction: { parts: [{ text: buildNativeSystemPrompt(tools, prompt) }] },
+            contents: toGeminiContents(history),
+        };
+        if (this.temperature !== null) body.generationConfig = { temperature: this.temperature };
+        if (functionDeclarations.length > 0) {
+            body.tools = [{ functionDeclarations }];
+            body.toolConfig = { functionCallingConfig: { mode: 'AUTO' } };
+        }
+        return body;
+    }
+
+    async getNativeCompletion(history, tools, signal, prompt) {
+        const body = this.buildNativeBody(history, tools, prompt);
+        return this.retry(async () => {
+            const data = await this.postJson(body, signal);
+            return this.parseNativeResponse(data);
+        }, signal);
+    }
+
+    // Map a generateContent response to the { toolCalls, content, stopReason } step shape.
+    // Every functionCall part becomes its own tool call, so parallel calls are preserved.
+    parseNativeResponse(data) {
+        const candidate = data && data.candidates && data.candidates[0];
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+
+        const text = parts
+            .filter((p) => typeof p.text === 'string' && !p.thought)
+            .map((p) => p.text)
+            .join('')
+            .trim();
+        const toolCalls = parts
+            .filter((p) => p.functionCall && p.functionCall.name)
+            .map((p) => ({
+                id: p.functionCall.id, // Agent assigns an id when Gemini omits one
+                name: p.functionCall.name,
+                args: p.functionCall.args || {},
+            }));
+
+        const usage = this.parseUsage(data);
+        if (toolCalls.length > 0) {
+            return { toolCalls, content: text || null, stopReason: 'continue', usage };
+        }
+        // Without function calls a native reply is the model's answer for this run.
+        return { toolCalls: null, content: text, stopReason: text ? 'final' : 'continue', usage };
+    }
+
+    // Read `usageMetadata` into a usage record; thinking tokens are billed as output.
+    parseUsage(data) {
+        const meta = data && data.usageMetadata;
+        if (!meta) return undefined;
+        const inputTokens = meta.promptTokenCount || 0;
+        const outputTokens = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+        return {
+            inputTokens,
+            outputTokens,
+            totalTokens: meta.totalTokenCount || inputTokens + outputTokens,
+            model: data.modelVersion || this.model,
+        };
+    }
+
+    async getTextCompletion(history, tools, signal, prompt) {
+        const systemPrompt = buildSystemPrompt(tools, prompt);
         const fullHistory = [{ role: 'user', content: systemPrompt }, ...history];
 
         const contents = fullHistory.map((h) => {
@@ -193,130 +802,409 @@ class GeminiProvider extends BaseLlmProvider {
         });
 
         const body = { contents };
+        if (this.temperature !== null) body.generationConfig = { temperature: this.temperature };
 
-        const requestOnce = async () => {
-            const response = await fetch(this.apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body),
-            });
+        return this.retry(async () => {
+            const data = await this.postJson(body, signal);
+            const textResponse = data.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+            return { ...tryParseToolCall((textResponse || '').trim()), usage: this.parseUsage(data) };
+        }, signal);
+    }
+}
 
-            if (!response.ok) {
-                let message = `HTTP ${response.status}`;
-                try {
-                    const error = await response.json();
-                    message = (error && error.error && error.error.message) || message;
-                } catch (_) {
-                    // ignore parse error
-                }
-                throw new Error(`Gemini API error: ${message}`);
-            }
+/**
+ * LLM provider for OpenAI.
+ *
+ * `options.mode`:
+ * - 'native' (default): Chat Completions with role-tagged messages and JSON-schema tools;
+ *   tool calls come back as structured `tool_calls`.
+ * - 'text': legacy `/v1/completions` with the JSON-in-text protocol from `buildSystemPrompt`.
+ *
+ * `options.baseUrl` replaces `https://api.openai.com/v1`, e.g. for a proxy.
+ */
+class OpenAiProvider extends BaseLlmProvider {
+    static defaultModels = ['gpt-5', 'gpt-5-mini'];
 
-            let data;
-            try {
-                data = await response.json();
-            } catch (e) {
-                throw new Error(`Gemini JSON parse error: ${e.message}`);
+    constructor(apiKey, model, options = {}) {
+        super(apiKey, model, options);
+        this.mode = options.mode || 'native';
+        this.label = 'OpenAI';
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiUrl = this.mode === 'text' ? `${this.baseUrl}/completions` : `${this.baseUrl}/chat/completions`;
+        this.textModel = 'gpt-3.5-turbo-instruct';
+    }
+
+    // Text mode sends requests to `textModel`, whose window may be far smaller.
+    get contextWindow() {
+        return getModelInfo(this.mode === 'text' ? this.textModel : this.model).contextWindow;
+    }
+
+    // Request headers, with a bearer token when there is an API key.
+    headers(extra = {}) {
+        return this.apiKey ? { ...extra, 'Authorization': `Bearer ${this.apiKey}` } : extra;
+    }
+
+    /**
+     * Lists the chat models available at `GET {baseUrl}/models`.
+     * @param {{apiKey?: string, baseUrl?: string, signal?: AbortSignal}} [options]
+     * @returns {Promise<Array<string>>}
+     */
+    static async listModels(options = {}) {
+        const provider = new this(options.apiKey, '', options);
+        const data = await fetchModelList(`${provider.baseUrl}/models`, provider.headers(), options.signal);
+        return (data.data || []).map((m) => m.id).filter((id) => this.isChatModel(id)).sort();
+    }
+
+    // OpenAI's model list also has embedding, audio and image models; keep the chat models.
+    static isChatModel(id) {
+        return /^(gpt-|o\d|chatgpt-)/.test(id) && !/(audio|realtime|transcribe|tts|image|search|embedding)/.test(id);
+    }
+
+    async getCompletion(history, tools, options = {}) {
+        return this.mode === 'text'
+            ? this.getTextCompletion(history, tools, options.signal, options)
+            : this.getNativeCompletion(history, tools, options.signal, options);
+    }
+
+    async *streamCompletion(history, tools, options = {}) {
+        if (this.mode === 'text') {
+            yield* super.streamCompletion(history, tools, options);
+            return;
+        }
+        const { signal } = options;
+
+        let content = '';
+        let usage; // sent in a final chunk with no choices
+        let model;
+        const calls = []; // tool calls assembled from `delta.tool_calls` fragments, by index
+        try {
+            const body = { ...this.buildNativeBody(history, tools, options), stream: true, stream_options: { include_usage: true } };
+            const response = await this.retry(() => this.post(body, signal), signal);
+            for await (const data of readSseEvents(response)) {
+                if (data === '[DONE]') break;
+                let chunk;
+                try { chunk = JSON.parse(data); } catch (_) { continue; }
+                if (chunk.usage) usage = chunk.usage;
+                if (chunk.model) model = chunk.model;
+                const delta = chunk.choices?.[0]?.delta || {};
+
+                if (typeof delta.content === 'string' && delta.content) {
+                    content += delta.content;
+                    yield { type: 'text', delta: delta.content };
+                }
+                for (const frag of delta.tool_calls || []) {
+                    const index = frag.index ?? calls.length;
+                    const call = calls[index] || (calls[index] = { id: undefined, name: '', arguments: '' });
+                    if (frag.id) call.id = frag.id;
+                    if (frag.function?.name) call.name += frag.function.name;
+                    if (frag.function?.arguments) call.arguments += frag.function.arguments;
+                    yield { type: 'tool_call', index, id: call.id, name: call.name, arguments: call.arguments };
+                }
             }
+        } catch (e) {
+            throw this.streamError(e, signal);
+        }
 
-            const textResponse = data.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
-            return (textResponse || '').trim();
+        const message = {
+            content,
+            tool_calls: calls.filter(Boolean).map((c) => ({
+                id: c.id,
+                type: 'function',
+                function: { name: c.name, arguments: c.arguments },
+            })),
         };
+        yield { type: 'done', step: this.parseNativeResponse({ choices: [{ message }], usage, model }) };
+    }
 
-        let lastErr;
-        for (let attempt = 0; attempt < 3; attempt++) {
-            try {
-                const text = await requestOnce();
-                return tryParseToolCall(text);
-            } catch (e) {
-                lastErr = e;
-                const delay = 200 * Math.pow(2, attempt); // 200ms, 400ms
-                await new Promise((res) => setTimeout(res, delay));
-            }
+    // POST a body (to the completions endpoint unless `url` is given) and return the response once it has an OK status.
+    async post(body, signal, url = this.apiUrl) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: this.headers({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw await providerHttpError(response, this.label);
         }
+        return response;
+    }
 
-        return {
-            toolCalls: null,
-            content: `[ProviderError Gemini] ${lastErr?.message || 'unknown error'}`,
-            stopReason: 'continue',
+    // POST a body to the configured endpoint and return the decoded JSON response.
+    async postJson(body, signal) {
+        const response = await this.post(body, signal);
+        try {
+            return await response.json();
+        } catch (e) {
+            throw new Error(`${this.label} JSON parse error: ${e.message}`);
+        }
+    }
+
+    // Embeddings need an API key; OpenAI-compatible servers opt out (see below).
+    get embeddingModel() {
+        return this.apiKey ? 'text-embedding-3-small' : null;
+    }
+
+    async embed(texts, options = {}) {
+        const response = await this.post({ model: this.embeddingModel, input: texts }, options.signal, `${this.baseUrl}/embeddings`);
+        const data = await response.json();
+        return (data.data || []).sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    }
+
+    buildNativeBody(history, tools, prompt) {
+        const openAiTools = toOpenAiTools(tools);
+        const body = {
+            model: this.model,
+            messages: toOpenAiMessages(history, buildNativeSystemPrompt(tools, prompt)),
+            max_completion_tokens: 4096,
         };
+        if (this.temperature !== null) body.temperature = this.temperature;
+        if (openAiTools.length > 0) {
+            body.tools = openAiTools;
+            body.tool_choice = 'auto';
+        }
+        return body;
     }
-}
 
-/**
- * LLM provider for OpenAI.
- */
-class OpenAiProvider extends BaseLlmProvider {
-    constructor(apiKey, model) {
-        super(apiKey, model);
-        this.apiUrl = 'https://api.openai.com/v1/completions';
+    async getNativeCompletion(history, tools, signal, prompt) {
+        const body = this.buildNativeBody(history, tools, prompt);
+        return this.retry(async () => {
+            const data = await this.postJson(body, signal);
+            return this.parseNativeResponse(data);
+        }, signal);
+    }
+
+    // Map a Chat Completions response to the { toolCalls, content, stopReason } step shape.
+    parseNativeResponse(data) {
+        const choice = data && data.choices && data.choices[0];
+        const message = (choice && choice.message) || {};
+        const content = typeof message.content === 'string' ? message.content.trim() : '';
+
+        const toolCalls = (message.tool_calls || [])
+            .filter((c) => c && c.function && c.function.name)
+            .map((c) => {
+                let args = {};
+                try {
+                    args = c.function.arguments ? JSON.parse(c.function.arguments) : {};
+                } catch (_) {
+                    // Leave the raw string; Agent normalization retries fenced/double-encoded forms.
+                    args = c.function.arguments;
+                }
+                return { id: c.id, name: c.function.name, args };
+            });
+
+        const usage = this.parseUsage(data);
+        if (toolCalls.length > 0) {
+            return { toolCalls, content: content || null, stopReason: 'continue', usage };
+        }
+        // Without function calls a native reply is the model's answer for this run.
+        return { toolCalls: null, content, stopReason: content ? 'final' : 'continue', usage };
+    }
+
+    // Read the response's `usage` into a usage record; `model` is the model that actually answered.
+    parseUsage(data) {
+        const u = data && data.usage;
+        if (!u) return undefined;
+        const inputTokens = u.prompt_tokens || 0;
+        const outputTokens = u.completion_tokens || 0;
+        return {
+            inputTokens,
+            outputTokens,
+            totalTokens: u.total_tokens || inputTokens + outputTokens,
+            model: data.model || this.model,
+        };
     }
 
-    async getCompletion(history, tools) {
-        const systemPrompt = buildSystemPrompt(tools);
+    async getTextCompletion(history, tools, signal, prompt) {
+        const systemPrompt = buildSystemPrompt(tools, prompt);
         
         // Convert history to a single string prompt
         const historyString = history.map(h => `${h.role}: ${h.content}`).join('\n');
         const fullPrompt = `${systemPrompt}\n\n${historyString}\nassistant:`;
 
         const body = {
-            // The v1/completions endpoint does not support newer models like gpt-5.
-            // We fall back to a compatible model to prevent API errors.
-            model: 'gpt-3.5-turbo-instruct',
+            // The v1/completions endpoint does not support newer models like gpt-5,
+            // so OpenAI falls back to a compatible model (see `textModel`).
+            model: this.textModel,
             prompt: fullPrompt,
             max_tokens: 1500,
-            temperature: 0.7,
+            temperature: this.temperature ?? 0.7,
             stop: ["\nuser:", "\ntool:"],
         };
 
-        const requestOnce = async () => {
-            const response = await fetch(this.apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.apiKey}`,
-                },
-                body: JSON.stringify(body),
-            });
+        return this.retry(async () => {
+            const data = await this.postJson(body, signal);
+            const textResponse = (data.choices && data.choices[0] && data.choices[0].text) ? data.choices[0].text : '';
+            return { ...tryParseToolCall((textResponse || '').trim()), usage: this.parseUsage({ model: body.model, ...data }) };
+        }, signal);
+    }
+}
 
-            if (!response.ok) {
-                let message = `HTTP ${response.status}`;
-                try {
-                    const error = await response.json();
-                    message = (error && error.error && error.error.message) || message;
-                } catch (_) {
-                    // ignore parse error
-                }
-                throw new Error(`OpenAI API error: ${message}`);
-            }
+/**
+ * LLM provider for self-hosted servers with an OpenAI-compatible API (llama.cpp server,
+ * vLLM, LM Studio, ...). `options.baseUrl` is required and should include the `/v1`
+ * prefix, e.g. "http://localhost:8080/v1". The API key is optional and is sent as a bearer
+ * token when given. Text mode uses the selected model with `/completions`.
+ */
+class OpenAiCompatibleProvider extends OpenAiProvider {
+    static requiresApiKey = false;
+
+    constructor(apiKey, model, options = {}) {
+        if (!options.baseUrl) {
+            throw new Error('A base URL is required for an OpenAI-compatible server.');
+        }
+        super(apiKey, model, options);
+        this.label = 'OpenAI-compatible';
+        this.textModel = model;
+    }
+
+    // Local servers list whatever they have loaded, so every model is kept.
+    static isChatModel(id) {
+        return true;
+    }
+
+    // Not every server offers an embedding endpoint or model.
+    get embeddingModel() {
+        return null;
+    }
 
+    // Older servers reject `max_completion_tokens`; `max_tokens` is understood everywhere.
+    buildNativeBody(history, tools, prompt) {
+        const { max_completion_tokens, ...body } = super.buildNativeBody(history, tools, prompt);
+        return { ...body, max_tokens: max_completion_tokens };
+    }
+}
+
+/**
+ * LLM provider for Ollama's `/api/chat` endpoint, with native tool calling.
+ * `options.baseUrl` defaults to "http://localhost:11434"; no API key is needed, but one is
+ * sent as a bearer token when given (for servers behind an authenticating proxy).
+ * Streaming responses are newline-delimited JSON rather than SSE.
+ */
+class OllamaProvider extends BaseLlmProvider {
+    static requiresApiKey = false;
+
+    constructor(apiKey, model, options = {}) {
+        super(apiKey, model, options);
+        this.label = 'Ollama';
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+        this.apiUrl = `${this.baseUrl}/api/chat`;
+    }
+
+    headers(extra = {}) {
+        return this.apiKey ? { ...extra, 'Authorization': `Bearer ${this.apiKey}` } : extra;
+    }
+
+    /**
+     * Lists the locally pulled models from `GET {baseUrl}/api/tags`.
+     * @param {{apiKey?: string, baseUrl?: string, signal?: AbortSignal}} [options]
+     * @returns {Promise<Array<string>>}
+     */
+    static async listModels(options = {}) {
+        const provider = new this(options.apiKey, '', options);
+        const data = await fetchModelList(`${provider.baseUrl}/api/tags`, provider.headers(), options.signal);
+        return (data.models || []).map((m) => m.name || m.model).filter(Boolean).sort();
+    }
+
+    buildBody(history, tools, stream, prompt) {
+        const body = {
+            model: this.model,
+            messages: toOllamaMessages(history, buildNativeSystemPrompt(tools, prompt)),
+            stream,
+        };
+        if (this.temperature !== null) body.options = { temperature: this.temperature };
+        const ollamaTools = toOpenAiTools(tools);
+        if (ollamaTools.length > 0) body.tools = ollamaTools;
+        return body;
+    }
+
+    // POST a body and return the response once it has an OK status.
+    async post(body, signal) {
+        const response = await fetch(this.apiUrl, {
+            method: 'POST',
+            headers: this.headers({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw await providerHttpError(response, this.label);
+        }
+        return response;
+    }
+
+    async getCompletion(history, tools, options = {}) {
+        const { signal } = options;
+        const body = this.buildBody(history, tools, false, options);
+        return this.retry(async () => {
+            const response = await this.post(body, signal);
             let data;
             try {
                 data = await response.json();
             } catch (e) {
-                throw new Error(`OpenAI JSON parse error: ${e.message}`);
+                throw new Error(`Ollama JSON parse error: ${e.message}`);
             }
+            return this.parseResponse(data);
+        }, signal);
+    }
 
-            const textResponse = (data.choices && data.choices[0] && data.choices[0].text) ? data.choices[0].text : '';
-            return (textResponse || '').trim();
-        };
-
-        let lastErr;
-        for (let attempt = 0; attempt < 3; attempt++) {
-            try {
-                const text = await requestOnce();
-                return tryParseToolCall(text);
-            } catch (e) {
-                lastErr = e;
-                const delay = 200 * Math.pow(2, attempt); // 200ms, 400ms
-                await new Promise((res) => setTimeout(res, delay));
+    async *streamCompletion(history, tools, options = {}) {
+        const { signal } = options;
+        let content = '';
+        const toolCalls = [];
+        let final = {};
+        try {
+            const response = await this.retry(() => this.post(this.buildBody(history, tools, true, options), signal), signal);
+            for await (const line of readNdjsonLines(response)) {
+                let chunk;
+                try { chunk = JSON.parse(line); } catch (_) { continue; }
+                if (chunk.error) throw new Error(`Ollama API error: ${chunk.error}`);
+                const message = chunk.message || {};
+                if (typeof message.content === 'string' && message.content) {
+                    content += message.content;
+                    yield { type: 'text', delta: message.content };
+                }
+                // Ollama sends each tool call whole rather than as argument fragments.
+                for (const call of message.tool_calls || []) {
+                    toolCalls.push(call);
+                    yield {
+                        type: 'tool_call',
+                        index: toolCalls.length - 1,
+                        id: call.id,
+                        name: call.function && call.function.name,
+                        arguments: JSON.stringify((call.function && call.function.arguments) || {}),
+                    };
+                }
+                if (chunk.done) final = chunk;
             }
+        } catch (e) {
+            throw this.streamError(e, signal);
         }
 
-        return {
-            toolCalls: null,
-            content: `[ProviderError OpenAI] ${lastErr?.message || 'unknown error'}`,
-            stopReason: 'continue',
-        };
+        yield { type: 'done', step: this.parseResponse({ ...final, message: { content, tool_calls: toolCalls } }) };
+    }
+
+    // Map a `/api/chat` response to the { toolCalls, content, stopReason } step shape.
+    parseResponse(data) {
+        const message = (data && data.message) || {};
+        const content = typeof message.content === 'string' ? message.content.trim() : '';
+        const toolCalls = (message.tool_calls || [])
+            .filter((c) => c && c.function && c.function.name)
+            .map((c) => ({ id: c.id, name: c.function.name, args: c.function.arguments || {} }));
+
+        const usage = data && typeof data.prompt_eval_count === 'number'
+            ? {
+                inputTokens: data.prompt_eval_count,
+                outputTokens: data.eval_count || 0,
+                totalTokens: data.prompt_eval_count + (data.eval_count || 0),
+                model: data.model || this.model,
+            }
+            : undefined;
+        if (toolCalls.length > 0) {
+            return { toolCalls, content: content || null, stopReason: 'continue', usage };
+        }
+        // Without tool calls a reply is the model's answer for this run.
+        return { toolCalls: null, content, stopReason: content ? 'final' : 'continue', usage };
     }
 }
\ No newline at end of file
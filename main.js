@@ -2,21 +2,142 @@ document.addEventListener('DOMContentLoaded', () => {
     const chatLog = document.getElementById('chat-log');
     const userInput = document.getElementById('user-input');
     const submitBtn = document.getElementById('submit-btn');
+    const stopBtn = document.getElementById('stop-btn');
     const llmProviderSelect = document.getElementById('llm-provider');
     const llmModelSelect = document.getElementById('llm-model');
     const apiKeyInput = document.getElementById('api-key');
+    const baseUrlInput = document.getElementById('base-url');
+    const baseUrlItem = document.getElementById('base-url-item');
+    const refreshModelsBtn = document.getElementById('refresh-models-btn');
+    const approvalPolicySelect = document.getElementById('approval-policy');
+    const profileSelect = document.getElementById('profile-select');
+    const editProfilesBtn = document.getElementById('edit-profiles-btn');
+    const searchBackendSelect = document.getElementById('search-backend');
+    const searchUrlInput = document.getElementById('search-url');
+    const fetchProxyInput = document.getElementById('fetch-proxy');
+    const fallbackChainInput = document.getElementById('fallback-chain');
+    const replayFixtureInput = document.getElementById('replay-fixture');
+    const recordTrafficCheckbox = document.getElementById('record-traffic');
+    const downloadFixtureBtn = document.getElementById('download-fixture-btn');
     const agentThought = document.getElementById('agent-thought');
+    const usageDisplay = document.getElementById('usage-display');
+    const sessionList = document.getElementById('session-list');
+    const newSessionBtn = document.getElementById('new-session-btn');
+
+    const fileBrowser = new FileBrowser({
+        tree: document.getElementById('file-tree'),
+        path: document.getElementById('file-viewer-path'),
+        content: document.getElementById('file-viewer-content'),
+        download: document.getElementById('file-download-btn'),
+    }, virtualFileSystem);
+    const planView = new PlanView({
+        container: document.getElementById('plan-panel'),
+        explanation: document.getElementById('plan-explanation'),
+        list: document.getElementById('plan-list'),
+    });
+    const traceView = new TraceView({ timeline: document.getElementById('trace-timeline') });
+    new MemoryManager({
+        list: document.getElementById('memory-list'),
+        filter: document.getElementById('memory-filter'),
+        count: document.getElementById('memory-count'),
+    }, longTermMemory);
+    new ToolManager({
+        list: document.getElementById('tool-source-list'),
+        url: document.getElementById('tool-source-url'),
+        loadPack: document.getElementById('load-pack-btn'),
+        connect: document.getElementById('connect-mcp-btn'),
+        count: document.getElementById('tool-count'),
+    }, toolRegistry, {
+        sources: JSON.parse(localStorage.getItem('codex-agent-tool-sources') || '[]'),
+        onSourcesChange: (sources) => localStorage.setItem('codex-agent-tool-sources', JSON.stringify(sources)),
+    });
+    const profileEditor = new ProfileEditor({
+        dialog: document.getElementById('profile-dialog'),
+        list: document.getElementById('profile-list'),
+        name: document.getElementById('profile-name'),
+        instructions: document.getElementById('profile-instructions'),
+        provider: document.getElementById('profile-provider'),
+        model: document.getElementById('profile-model'),
+        temperature: document.getElementById('profile-temperature'),
+        maxTurns: document.getElementById('profile-max-turns'),
+        toolTimeout: document.getElementById('profile-tool-timeout'),
+        obsChars: document.getElementById('profile-obs-chars'),
+        allTools: document.getElementById('profile-all-tools'),
+        tools: document.getElementById('profile-tool-list'),
+        error: document.getElementById('profile-error'),
+        add: document.getElementById('profile-new-btn'),
+        save: document.getElementById('profile-save-btn'),
+        remove: document.getElementById('profile-delete-btn'),
+        importFile: document.getElementById('profile-import-file'),
+        export: document.getElementById('profile-export-btn'),
+        close: document.getElementById('profile-close-btn'),
+    }, profileStore, toolRegistry);
+
+    const GREETING = "Hello! I'm a web-based agent inspired by Codex CLI. How can I help you with a complex task today?";
 
     let agent;
+    let running = false; // true while a run is active; only one Agent may write to the chat log at a time
+    const sessionStore = new SessionStore();
+    const traceStore = new TraceStore();
+    let currentSession = null;
+
+    const modelCache = new Map(); // "provider|baseUrl" -> model ids discovered from the server
 
-    const models = {
-        google: ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-1.5-flash-latest', 'gemini-1.5-pro-latest'],
-        openai: ['gpt-5', 'gpt-5-mini'],
+    let replayProvider = null; // loaded from the replay fixture file; its position carries across runs
+    let recordedInteractions = []; // provider traffic recorded while "Record LLM traffic" is on
+    let recorder = null; // the RecordingProvider of the latest recorded run
+
+    // Base URL placeholders for the providers that accept one; others hide the field.
+    const BASE_URL_PLACEHOLDERS = {
+        'openai': 'https://api.openai.com/v1',
+        'openai-compatible': 'http://localhost:8080/v1',
+        'ollama': 'http://localhost:11434',
     };
 
-    function updateModels() {
+    /**
+     * Shows the provider's base URL field and API key hint, restoring its saved base URL and key.
+     */
+    function updateProviderFields() {
+        const provider = llmProviderSelect.value;
+        const placeholder = BASE_URL_PLACEHOLDERS[provider];
+        baseUrlItem.hidden = !placeholder;
+        baseUrlInput.placeholder = placeholder || '';
+        baseUrlInput.value = localStorage.getItem(`codex-agent-base-url-${provider}`) || '';
+        apiKeyInput.value = localStorage.getItem(`codex-agent-api-key-${provider}`) || '';
+        apiKeyInput.placeholder = LlmProviderFactory.requiresApiKey(provider)
+            ? 'Enter your API key'
+            : 'API key (optional)';
+    }
+
+    /**
+     * Fills the model list from the provider's server (cached per provider and base URL),
+     * falling back to the provider's default models when the server can't be asked.
+     * @param {{refresh?: boolean}} [options] - `refresh` ignores the cache.
+     */
+    async function updateModels({ refresh = false } = {}) {
         const selectedProvider = llmProviderSelect.value;
-        const providerModels = models[selectedProvider] || [];
+        const baseUrl = baseUrlInput.value.trim();
+        const cacheKey = `${selectedProvider}|${baseUrl}`;
+        let providerModels = refresh ? null : modelCache.get(cacheKey);
+        if (!providerModels && LlmProviderFactory.requiresApiKey(selectedProvider) && !apiKeyInput.value) {
+            providerModels = LlmProviderFactory.defaultModels(selectedProvider); // can't ask without a key
+        }
+        if (!providerModels) {
+            try {
+                providerModels = await LlmProviderFactory.listModels(selectedProvider, {
+                    apiKey: apiKeyInput.value,
+                    baseUrl: baseUrl || undefined,
+                });
+                if (providerModels.length > 0) modelCache.set(cacheKey, providerModels);
+            } catch (error) {
+                console.warn(`Could not list ${selectedProvider} models:`, error);
+                providerModels = [];
+                if (refresh) updateThought(`Could not list models: ${error.message}`);
+            }
+            if (providerModels.length === 0) providerModels = LlmProviderFactory.defaultModels(selectedProvider);
+        }
+        if (llmProviderSelect.value !== selectedProvider) return; // the provider changed while listing
+
         llmModelSelect.innerHTML = '';
         providerModels.forEach(model => {
             const option = document.createElement('option');
@@ -37,34 +158,400 @@ document.addEventListener('DOMContentLoaded', () => {
         if (savedProvider) {
             llmProviderSelect.value = savedProvider;
         }
+        // Keys used to be saved under one name for whichever provider was selected.
+        const legacyApiKey = localStorage.getItem('codex-agent-api-key');
+        if (legacyApiKey !== null) {
+            const keyName = `codex-agent-api-key-${llmProviderSelect.value}`;
+            if (legacyApiKey && !localStorage.getItem(keyName)) localStorage.setItem(keyName, legacyApiKey);
+            localStorage.removeItem('codex-agent-api-key');
+        }
+
+        updateProviderFields();
         updateModels(); // This will also set the model from localStorage if available
 
-        const savedApiKey = localStorage.getItem('codex-agent-api-key');
-        if (savedApiKey) {
-            apiKeyInput.value = savedApiKey;
+        const savedPolicy = localStorage.getItem('codex-agent-approval-policy');
+        if (savedPolicy) {
+            approvalPolicySelect.value = savedPolicy;
         }
+
+        searchBackendSelect.value = localStorage.getItem('codex-agent-search-backend') || 'mock';
+        searchUrlInput.value = localStorage.getItem('codex-agent-search-url') || '';
+        fetchProxyInput.value = localStorage.getItem('codex-agent-fetch-proxy') || '';
+        fallbackChainInput.value = localStorage.getItem('codex-agent-fallback-chain') || '';
+    }
+
+    /**
+     * Points the web tools at the search backend and fetch proxy chosen in the settings.
+     */
+    function applyWebToolsSettings() {
+        webToolsConfig.searchProvider = SearchProviderFactory.create({
+            type: searchBackendSelect.value,
+            url: searchUrlInput.value.trim(),
+        });
+        webToolsConfig.fetchProxy = fetchProxyInput.value.trim();
     }
 
     // Save settings to localStorage
     function saveSettings(provider, model, apiKey) {
         localStorage.setItem('codex-agent-provider', provider);
         localStorage.setItem('codex-agent-model', model);
-        localStorage.setItem('codex-agent-api-key', apiKey);
+        localStorage.setItem(`codex-agent-api-key-${provider}`, apiKey);
+        localStorage.setItem(`codex-agent-base-url-${provider}`, baseUrlInput.value.trim());
+        localStorage.setItem('codex-agent-approval-policy', approvalPolicySelect.value);
+        localStorage.setItem('codex-agent-search-backend', searchBackendSelect.value);
+        localStorage.setItem('codex-agent-search-url', searchUrlInput.value.trim());
+        localStorage.setItem('codex-agent-fetch-proxy', fetchProxyInput.value.trim());
+        localStorage.setItem('codex-agent-fallback-chain', fallbackChainInput.value.trim());
+    }
+
+    /**
+     * Creates a provider from its settings: the form's for the selected provider, the saved
+     * API key and base URL for any other.
+     * @param {{temperature?: number|null}} [options] - The active profile's sampling settings.
+     * @throws {Error} When the provider needs an API key and none is saved.
+     */
+    function createConfiguredProvider(name, model, options = {}) {
+        const selected = name === llmProviderSelect.value;
+        const apiKey = selected ? apiKeyInput.value : localStorage.getItem(`codex-agent-api-key-${name}`) || '';
+        if (!apiKey && LlmProviderFactory.requiresApiKey(name)) {
+            throw new Error(`No API key is saved for "${name}". Select that provider once and enter its key.`);
+        }
+        const baseUrl = selected ? baseUrlInput.value.trim() : localStorage.getItem(`codex-agent-base-url-${name}`);
+        return LlmProviderFactory.create(name, model, apiKey, { baseUrl: baseUrl || undefined, temperature: options.temperature });
+    }
+
+    /**
+     * Reads the fallback chain setting: "model" or "provider:model" entries separated by commas
+     * or arrows, e.g. "gemini-2.5-flash, openai:gpt-5-mini". Bare models use the selected provider.
+     * @returns {Array<{provider: string, model: string}>}
+     */
+    function parseFallbackChain(text, selectedProvider) {
+        const providerNames = Array.from(llmProviderSelect.options, (o) => o.value).filter((name) => name !== 'replay');
+        return text.split(/,|→|->/).map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+            const colon = entry.indexOf(':');
+            const name = colon > 0 ? entry.slice(0, colon).trim() : '';
+            // Ollama models have colons too ("llama3:8b"), so only a known provider name is a prefix.
+            return providerNames.includes(name)
+                ? { provider: name, model: entry.slice(colon + 1).trim() }
+                : { provider: selectedProvider, model: entry };
+        });
+    }
+
+    // The chat message for a failed run; provider errors say what to do about them.
+    function describeRunError(error) {
+        if (!(error instanceof ProviderError)) return `An error occurred: ${error.message}`;
+        const hints = {
+            auth: 'Check the API key.',
+            rate_limit: 'The provider is rate limiting requests; wait a moment, or add fallback models under Advanced settings.',
+            transient: 'The provider could not be reached; try again shortly.',
+            bad_request: 'The provider rejected the request.',
+        };
+        return `The model request failed: ${error.message} ${hints[error.kind] || ''}`.trim();
     }
 
     /**
-     * Appends a message to the chat log.
+     * Appends a message to the chat log. Agent messages are rendered as markdown; the user's
+     * are shown as typed.
      * @param {string} sender - 'user' or 'agent'.
      * @param {string} text - The message content.
      */
     function appendMessage(sender, text) {
         const messageDiv = document.createElement('div');
         messageDiv.classList.add('message', `${sender}-message`);
-        messageDiv.textContent = text;
+        setMessageText(messageDiv, sender, text);
         chatLog.appendChild(messageDiv);
         chatLog.scrollTop = chatLog.scrollHeight; // Auto-scroll to bottom
     }
 
+    function setMessageText(messageDiv, sender, text) {
+        if (sender === 'agent') {
+            messageDiv.classList.add('markdown');
+            messageDiv.replaceChildren(renderMarkdown(text));
+        } else {
+            messageDiv.textContent = text;
+        }
+    }
+
+    /**
+     * Appends cards for the files a run created or changed.
+     * @param {Array<string>} paths
+     */
+    function appendArtifacts(paths) {
+        const group = document.createElement('div');
+        group.className = 'message artifact-list';
+        for (const path of paths) group.appendChild(fileBrowser.renderArtifactCard(path));
+        chatLog.appendChild(group);
+        chatLog.scrollTop = chatLog.scrollHeight;
+    }
+
+    /**
+     * Records the files written since `since` as the run's artifacts and shows them.
+     * @param {object} session - The session the run belongs to.
+     * @param {number} since - When the run started.
+     */
+    function addArtifacts(session, since) {
+        const paths = virtualFileSystem.list('/', { recursive: true })
+            .filter((entry) => entry.type === 'file' && virtualFileSystem.stat(entry.path).updatedAt >= since)
+            .map((entry) => entry.path);
+        if (paths.length === 0) return;
+        session.messages.push({ sender: 'agent', artifacts: paths });
+        if (session === currentSession) appendArtifacts(paths);
+    }
+
+    let liveMessage = null; // the agent bubble currently receiving streamed text
+
+    /**
+     * Renders streaming events from the agent: answer text fills a live message bubble
+     * token by token, and tool-call arguments are shown in the thought panel as they form.
+     * The finished text is recorded in the session the run belongs to.
+     * @param {object} session - The session the run belongs to.
+     * @param {object} event - A streaming event from `Agent`.
+     */
+    function handleStream(session, event) {
+        if (event.type === 'end' && event.content) {
+            session.messages.push({ sender: 'agent', text: event.content });
+        }
+        if (session !== currentSession) return; // the user switched conversations mid-run
+
+        switch (event.type) {
+            case 'start':
+                liveMessage = document.createElement('div');
+                liveMessage.classList.add('message', `${event.sender || 'agent'}-message`, 'streaming');
+                chatLog.appendChild(liveMessage);
+                break;
+            case 'text':
+                if (liveMessage) liveMessage.textContent += event.delta;
+                break;
+            case 'tool_call':
+                updateThought(`[act] Preparing ${event.name || 'tool call'} ${event.arguments || ''}`);
+                break;
+            case 'end':
+                if (liveMessage) {
+                    if (event.content) {
+                        setMessageText(liveMessage, 'agent', event.content);
+                        liveMessage.classList.remove('streaming');
+                    } else {
+                        liveMessage.remove();
+                    }
+                }
+                liveMessage = null;
+                break;
+        }
+        chatLog.scrollTop = chatLog.scrollHeight;
+    }
+
+    /**
+     * Shows an inline card asking the user to approve, deny or edit a tool call.
+     * Resolves once the user decides; the card then stays in the log as a record.
+     * @param {{name: string, args: object, risk: string}} call - The proposed tool call.
+     * @returns {Promise<{decision: string, args?: object, reason?: string}>}
+     */
+    function requestApproval(call) {
+        return new Promise((resolve) => {
+            if (call.signal && call.signal.aborted) {
+                resolve({ decision: 'deny', reason: 'Run cancelled.' });
+                return;
+            }
+            const card = document.createElement('div');
+            card.className = 'message approval-card';
+
+            const title = document.createElement('div');
+            title.className = 'approval-title';
+            title.textContent = call.agent ? `Run ${call.name} for ${call.agent}?` : `Run ${call.name}?`;
+            const badge = document.createElement('span');
+            badge.className = `risk-badge risk-${call.risk}`;
+            badge.textContent = call.risk;
+            title.appendChild(badge);
+
+            const argsInput = document.createElement('textarea');
+            argsInput.className = 'approval-args';
+            argsInput.value = JSON.stringify(call.args, null, 2);
+            argsInput.spellcheck = false;
+
+            const error = document.createElement('div');
+            error.className = 'approval-error';
+
+            const approveBtn = document.createElement('button');
+            approveBtn.textContent = 'Approve';
+            const denyBtn = document.createElement('button');
+            denyBtn.textContent = 'Deny';
+            denyBtn.className = 'deny';
+            const actions = document.createElement('div');
+            actions.className = 'approval-actions';
+            actions.append(approveBtn, denyBtn);
+
+            const settle = (outcome, decision) => {
+                argsInput.readOnly = true;
+                actions.remove();
+                error.remove();
+                const status = document.createElement('div');
+                status.className = 'approval-status';
+                status.textContent = outcome;
+                card.appendChild(status);
+                resolve(decision);
+            };
+
+            approveBtn.addEventListener('click', () => {
+                let args;
+                try {
+                    args = JSON.parse(argsInput.value);
+                } catch (e) {
+                    error.textContent = `Arguments must be valid JSON: ${e.message}`;
+                    return;
+                }
+                const edited = JSON.stringify(args) !== JSON.stringify(call.args);
+                settle(edited ? 'Approved with edited arguments' : 'Approved', { decision: 'approve', args });
+            });
+            denyBtn.addEventListener('click', () => settle('Denied', { decision: 'deny' }));
+            if (call.signal) {
+                call.signal.addEventListener('abort', () => {
+                    if (actions.isConnected) settle('Cancelled', { decision: 'deny', reason: 'Run cancelled.' });
+                }, { once: true });
+            }
+
+            card.append(title, argsInput, error, actions);
+            chatLog.appendChild(card);
+            chatLog.scrollTop = chatLog.scrollHeight;
+        });
+    }
+
+    /**
+     * Lists the profiles in the settings bar, selecting the current conversation's.
+     */
+    function renderProfileOptions() {
+        profileSelect.innerHTML = '';
+        for (const profile of profileStore.list()) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        }
+        profileSelect.value = profileStore.get(currentSession && currentSession.profileId).id;
+    }
+
+    // Switches the current conversation's profile; it applies from the next run.
+    async function selectProfile() {
+        if (!currentSession) return;
+        currentSession.profileId = profileSelect.value;
+        // Unsaved conversations are saved with their first query.
+        if (currentSession.messages.length > 0) await sessionStore.save(currentSession);
+    }
+
+    /**
+     * Replaces the chat log with the messages recorded in a session.
+     * @param {object} session - The session to display.
+     */
+    function renderChat(session) {
+        chatLog.innerHTML = '';
+        liveMessage = null;
+        appendMessage('agent', GREETING);
+        for (const m of session.messages) {
+            if (m.artifacts) appendArtifacts(m.artifacts);
+            else appendMessage(m.sender, m.text);
+        }
+    }
+
+    /**
+     * Rebuilds the sidebar of saved conversations, including the current one if unsaved.
+     */
+    async function renderSessionList() {
+        const sessions = await sessionStore.list();
+        if (currentSession && !sessions.some((s) => s.id === currentSession.id)) {
+            sessions.unshift(currentSession);
+        }
+
+        sessionList.innerHTML = '';
+        for (const session of sessions) {
+            const item = document.createElement('li');
+            item.classList.toggle('active', !!currentSession && session.id === currentSession.id);
+
+            const title = document.createElement('span');
+            title.className = 'session-title';
+            title.textContent = session.title;
+            title.title = new Date(session.updatedAt).toLocaleString();
+            title.addEventListener('click', () => openSession(session.id));
+
+            const renameBtn = document.createElement('button');
+            renameBtn.textContent = '✎';
+            renameBtn.title = 'Rename';
+            renameBtn.addEventListener('click', () => renameSession(session.id));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Delete';
+            deleteBtn.addEventListener('click', () => deleteSession(session.id));
+
+            item.append(title, renameBtn, deleteBtn);
+            sessionList.appendChild(item);
+        }
+    }
+
+    /**
+     * Makes a session current: restores its virtual file system and chat log.
+     * @param {object} session - The session record.
+     */
+    async function showSession(session) {
+        currentSession = session;
+        await virtualFileSystem.load(session.id);
+        if (session.files) {
+            // Sessions saved before files moved to their own store kept a flat [filename, content] snapshot.
+            for (const [filename, content] of session.files) {
+                if (!virtualFileSystem.exists(filename)) virtualFileSystem.writeFile(filename, content);
+            }
+            delete session.files;
+        }
+        renderChat(session);
+        renderProfileOptions();
+        planView.render(session.plan || null);
+        traceView.showRuns(await traceStore.listForSession(session.id));
+        updateThought('');
+        renderSessionList();
+    }
+
+    async function openSession(id) {
+        if (running || (currentSession && currentSession.id === id)) return;
+        const session = await sessionStore.get(id);
+        if (session) await showSession(session);
+    }
+
+    function startNewSession() {
+        if (running) return;
+        // An untouched conversation is reused rather than stacking empty ones.
+        if (currentSession && currentSession.messages.length === 0) return;
+        const session = sessionStore.create();
+        session.profileId = profileSelect.value; // new conversations keep the profile in use
+        showSession(session);
+    }
+
+    async function renameSession(id) {
+        const session = currentSession && currentSession.id === id ? currentSession : await sessionStore.get(id);
+        if (!session) return;
+        const title = prompt('Rename conversation', session.title);
+        if (!title || !title.trim()) return;
+        session.title = title.trim();
+        await sessionStore.save(session);
+        renderSessionList();
+    }
+
+    async function deleteSession(id) {
+        if (running && currentSession && currentSession.id === id) return;
+        if (!confirm('Delete this conversation?')) return;
+        await sessionStore.delete(id);
+        await virtualFileSystem.deleteNamespace(id);
+        await traceStore.deleteForSession(id);
+        if (currentSession && currentSession.id === id) {
+            const [latest] = await sessionStore.list();
+            await showSession(latest || sessionStore.create());
+        } else {
+            renderSessionList();
+        }
+    }
+
+    async function loadSessions() {
+        const [latest] = await sessionStore.list();
+        await showSession(latest || sessionStore.create());
+    }
+
     /**
      * Updates the agent's thought process display.
      * @param {string} thought - The thought text to display.
@@ -73,37 +560,193 @@ document.addEventListener('DOMContentLoaded', () => {
         agentThought.textContent = thought;
     }
 
+    /**
+     * Shows token counts and estimated cost for the last call and the run so far,
+     * and how much of the model's context window the last request used.
+     * @param {{call: object, run: UsageTotals, context: {tokens: number, window: number}}} usage
+     */
+    function updateUsage({ call, run, context }) {
+        const n = (value) => value.toLocaleString();
+        const cost = (value) => (value < 0.01 ? `$${value.toFixed(4)}` : `$${value.toFixed(2)}`);
+        const approx = (estimated) => (estimated ? '~' : '');
+        const callCost = estimateCost(call);
+        const parts = [
+            `Last call: ${approx(call.estimated)}${n(call.inputTokens)} in / ${approx(call.estimated)}${n(call.outputTokens)} out${callCost == null ? '' : ` (${cost(callCost)})`}`,
+            `Run: ${run.calls} call(s), ${approx(run.estimated)}${n(run.totalTokens)} tokens${run.costKnown ? `, ~${cost(run.cost)}` : ''}`,
+            `Context: ${Math.min(100, Math.round((context.tokens / context.window) * 100))}% of ${n(context.window)}`,
+        ];
+        usageDisplay.textContent = parts.join(' · ');
+        usageDisplay.title = `Model: ${call.model}${call.estimated ? ' (counts estimated; the provider reported no usage)' : ''}`;
+    }
+
+    /**
+     * Toggles the controls that depend on whether a run is active.
+     * @param {boolean} value - Whether a run is active.
+     */
+    function setRunning(value) {
+        running = value;
+        submitBtn.disabled = value;
+        stopBtn.disabled = !value;
+        newSessionBtn.disabled = value;
+        sessionList.classList.toggle('locked', value);
+    }
+
     /**
      * Initializes the agent and starts processing the user's query.
      */
     async function handleUserQuery() {
         const query = userInput.value.trim();
-        if (!query) return;
+        if (!query || running) return;
 
-        const provider = llmProviderSelect.value;
-        const model = llmModelSelect.value;
+        // The conversation's profile may pick its own provider and model; a replay fixture
+        // answers whatever the profile asks for.
+        const session = currentSession;
+        const profile = profileStore.get(session.profileId);
+        const selectedProvider = llmProviderSelect.value;
+        const provider = selectedProvider === 'replay' ? 'replay' : profile.provider || selectedProvider;
+        const model = provider === selectedProvider
+            ? profile.model || llmModelSelect.value
+            : profile.model || LlmProviderFactory.defaultModels(provider)[0];
         const apiKey = apiKeyInput.value;
 
-        if (!apiKey) {
+        if (!apiKey && provider === selectedProvider && LlmProviderFactory.requiresApiKey(provider)) {
             appendMessage('agent', 'Error: Please enter your API key.');
             return;
         }
-        saveSettings(provider, model, apiKey); // Save settings when they are used
+        if (!model) {
+            appendMessage('agent', 'Error: No model selected. Check the base URL and refresh the model list.');
+            return;
+        }
+        if (provider === 'replay' && !replayProvider) {
+            appendMessage('agent', 'Error: Load a replay fixture under Advanced settings first.');
+            return;
+        }
+        saveSettings(selectedProvider, llmModelSelect.value, apiKey); // Save settings when they are used
 
+        setRunning(true);
+        const runStartedAt = Date.now();
         userInput.value = '';
-        updateThought('Initializing agent...');
+        updateThought(`Initializing agent (profile "${profile.name}")...`);
+
+        // Bind the run to its session so switching conversations mid-run can't cross the streams.
+        const onMessage = (sender, text) => {
+            session.messages.push({ sender, text });
+            if (session === currentSession) appendMessage(sender, text);
+        };
+        if (session.messages.length === 0) {
+            session.title = query.length > 40 ? `${query.slice(0, 40)}…` : query;
+        }
+
+        // The run's trace, filled from the agent's events and saved when the run ends.
+        let traceRun = null;
+        const onTrace = (event) => {
+            if (event.type === 'run_start' && !event.parentCallId) { // sub-agent runs nest inside it
+                traceRun = { id: event.runId, sessionId: session.id, input: event.input, startedAt: event.time, events: [] };
+                if (session === currentSession) traceView.startRun(traceRun);
+            }
+            if (!traceRun) return;
+            traceRun.events.push(event);
+            if (session === currentSession) traceView.addEvent(event);
+        };
 
         try {
-            const llmProvider = LlmProviderFactory.create(provider, model, apiKey);
-            agent = new Agent(llmProvider, tools, updateThought, appendMessage);
+            // Inside the try, so a storage failure (quota, private mode) ends the run instead of locking the controls.
+            await sessionStore.save(session);
+            renderSessionList();
+            applyWebToolsSettings();
+            const sampling = { temperature: profile.temperature };
+            let llmProvider = provider === 'replay' ? replayProvider : createConfiguredProvider(provider, model, sampling);
+            const fallbacks = provider === 'replay' ? [] : parseFallbackChain(fallbackChainInput.value, provider);
+            if (fallbacks.length > 0) {
+                llmProvider = new FallbackProvider([llmProvider, ...fallbacks.map((f) => createConfiguredProvider(f.provider, f.model, sampling))]);
+            }
+            if (recordTrafficCheckbox.checked) {
+                recorder = new RecordingProvider(llmProvider, { provider, interactions: recordedInteractions });
+                llmProvider = recorder;
+            }
+            // Providers for sub-agents that ask for another provider or model, using that
+            // provider's saved API key.
+            const createProvider = ({ provider: name = provider, model: childModel }) => {
+                if (provider === 'replay') return llmProvider; // the fixture answers every agent in order
+                const subModel = childModel || (name === provider ? model : LlmProviderFactory.defaultModels(name)[0]);
+                if (!subModel) throw new Error(`Name a model for the "${name}" sub-agent.`);
+                const subProvider = createConfiguredProvider(name, subModel, sampling);
+                return recordTrafficCheckbox.checked
+                    ? new RecordingProvider(subProvider, { provider: name, interactions: recordedInteractions })
+                    : subProvider;
+            };
+            agent = new Agent(llmProvider, toolRegistry, updateThought, onMessage, {
+                ...profileAgentOptions(profile),
+                onStream: (event) => handleStream(session, event),
+                history: session.history,
+                approvalPolicy: approvalPolicySelect.value,
+                requestApproval,
+                onUsage: updateUsage,
+                onTrace,
+                createProvider,
+                memoryStore: longTermMemory,
+                plan: session.plan || null,
+                onPlan: (plan) => {
+                    session.plan = plan;
+                    if (session === currentSession) planView.render(plan);
+                },
+            });
             await agent.run(query);
         } catch (error) {
             console.error(error);
-            appendMessage('agent', `An error occurred: ${error.message}`);
+            onMessage('agent', describeRunError(error));
+        } finally {
+            addArtifacts(session, runStartedAt);
+            try {
+                if (traceRun) await traceStore.save(traceRun);
+                await virtualFileSystem.flush();
+                await sessionStore.save(session);
+                renderSessionList();
+            } catch (error) {
+                console.error(error);
+                onMessage('agent', `Could not save this conversation: ${error.message}`);
+            }
+            setRunning(false);
+            downloadFixtureBtn.disabled = recordedInteractions.length === 0;
         }
     }
 
+    /**
+     * Loads the chosen fixture file and switches the provider to replay it.
+     */
+    async function loadReplayFixture() {
+        const file = replayFixtureInput.files && replayFixtureInput.files[0];
+        if (!file) return;
+        try {
+            replayProvider = LlmProviderFactory.create('replay', 'fixture', null, { fixture: await file.text() });
+            llmProviderSelect.value = 'replay';
+            updateProviderFields();
+            updateModels();
+            updateThought(`Loaded replay fixture "${file.name}" (${replayProvider.remaining} response(s), model ${replayProvider.model}).`);
+        } catch (error) {
+            replayProvider = null;
+            appendMessage('agent', `Error: Could not load the replay fixture: ${error.message}`);
+        }
+    }
+
+    // Download the recorded traffic as a fixture for the replay provider.
+    function downloadFixture() {
+        if (!recorder || recordedInteractions.length === 0) return;
+        const blob = new Blob([JSON.stringify(recorder.toFixture(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `fixture-${Date.now()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     submitBtn.addEventListener('click', handleUserQuery);
+    stopBtn.addEventListener('click', () => {
+        if (agent) agent.cancel();
+    });
     userInput.addEventListener('keydown', (event) => {
         if (event.key === 'Enter' && !event.shiftKey) {
             event.preventDefault();
@@ -111,8 +754,25 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    llmProviderSelect.addEventListener('change', updateModels);
+    llmProviderSelect.addEventListener('change', () => {
+        updateProviderFields();
+        updateModels();
+    });
+    baseUrlInput.addEventListener('change', () => updateModels({ refresh: true }));
+    apiKeyInput.addEventListener('change', () => updateModels({ refresh: true }));
+    refreshModelsBtn.addEventListener('click', () => updateModels({ refresh: true }));
+    newSessionBtn.addEventListener('click', startNewSession);
+    profileSelect.addEventListener('change', selectProfile);
+    editProfilesBtn.addEventListener('click', () => profileEditor.open(profileSelect.value));
+    profileStore.onChange(renderProfileOptions);
+    replayFixtureInput.addEventListener('change', loadReplayFixture);
+    downloadFixtureBtn.addEventListener('click', downloadFixture);
+    recordTrafficCheckbox.addEventListener('change', () => {
+        // Turning recording on starts a new fixture.
+        if (recordTrafficCheckbox.checked) recordedInteractions = [];
+        downloadFixtureBtn.disabled = recordedInteractions.length === 0;
+    });
 
     loadSettings(); // Load settings when the page loads
-    appendMessage('agent', "Hello! I'm a web-based agent inspired by Codex CLI. How can I help you with a complex task today?");
+    loadSessions(); // Reopen the most recent conversation (or start a new one)
 });
\ No newline at end of file
@@ -0,0 +1,397 @@
+/**
+ * Markdown rendering for agent messages. Nodes are built with the DOM API and all text is
+ * set as text, so nothing in a message is ever parsed as HTML; links are kept only for
+ * http(s) and mailto URLs. Covers what models write in answers: headings, paragraphs,
+ * emphasis, inline code, links, lists (nested by indentation), blockquotes, tables, rules
+ * and fenced code blocks, which get syntax highlighting and a copy button.
+ */
+const MARKDOWN_FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MARKDOWN_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKDOWN_RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MARKDOWN_QUOTE = /^\s{0,3}>/;
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline syntax, earliest match first; on a tie the rule listed first wins (`**` before `*`).
+const MARKDOWN_INLINE = [
+    { type: 'code', pattern: /(`+)([\s\S]*?[^`])\1(?!`)/ },
+    { type: 'link', pattern: /\[([^\]\n]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/ },
+    { type: 'url', pattern: /\bhttps?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]*_~]/ },
+    { type: 'strong', pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/ },
+    { type: 'del', pattern: /~~(?=\S)([\s\S]*?\S)~~/ },
+    { type: 'em', pattern: /\*(?=\S)([\s\S]*?\S)\*|(?<!\w)_(?=\S)([\s\S]*?\S)_(?!\w)/ },
+];
+
+/**
+ * Renders markdown text.
+ * @param {string} text
+ * @returns {DocumentFragment}
+ */
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    appendMarkdownBlocks(fragment, String(text ?? '').replace(/\r\n?/g, '\n').split('\n'));
+    return fragment;
+}
+
+function markdownIndent(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+// Whether lines[i] opens a block that ends the paragraph before it.
+function startsMarkdownBlock(lines, i) {
+    const line = lines[i];
+    return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line)
+        || MARKDOWN_QUOTE.test(line) || MARKDOWN_LIST_ITEM.test(line) || startsMarkdownTable(lines, i);
+}
+
+function startsMarkdownTable(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-')
+        && MARKDOWN_TABLE_DIVIDER.test(lines[i + 1]);
+}
+
+function appendMarkdownBlocks(parent, lines) {
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(MARKDOWN_FENCE);
+        if (fence) {
+            const close = new RegExp(`^\\s{0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            const body = [];
+            i++;
+            while (i < lines.length && !close.test(lines[i])) body.push(lines[i++]);
+            i++; // the closing fence; a reply cut off mid-block just ends
+            parent.appendChild(renderCodeBlock(body.join('\n'), fence[2]));
+            continue;
+        }
+
+        const heading = line.match(MARKDOWN_HEADING);
+        if (heading) {
+            const h = document.createElement(`h${heading[1].length}`);
+            appendMarkdownInline(h, heading[2]);
+            parent.appendChild(h);
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_RULE.test(line)) {
+            parent.appendChild(document.createElement('hr'));
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && MARKDOWN_QUOTE.test(lines[i])) quoted.push(lines[i++].replace(/^\s{0,3}>\s?/, ''));
+            const quote = document.createElement('blockquote');
+            appendMarkdownBlocks(quote, quoted);
+            parent.appendChild(quote);
+            continue;
+        }
+
+        if (startsMarkdownTable(lines, i)) {
+            i = appendMarkdownTable(parent, lines, i);
+            continue;
+        }
+
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            i = appendMarkdownList(parent, lines, i);
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !(paragraph.length > 0 && startsMarkdownBlock(lines, i))) {
+            paragraph.push(lines[i++].trim());
+        }
+        const p = document.createElement('p');
+        appendMarkdownInline(p, paragraph.join('\n'));
+        parent.appendChild(p);
+    }
+}
+
+/**
+ * Renders the list that starts at `lines[start]`. Lines indented under an item belong to it,
+ * so nested lists and code blocks work; blank lines between items make the list loose
+ * (items keep their paragraphs). Returns the index of the first line after the list.
+ */
+function appendMarkdownList(parent, lines, start) {
+    const first = lines[start].match(MARKDOWN_LIST_ITEM);
+    const indent = markdownIndent(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && parseInt(first[2], 10) !== 1) list.start = parseInt(first[2], 10);
+
+    let i = start;
+    while (i < lines.length) {
+        let next = i;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const item = next < lines.length && lines[next].match(MARKDOWN_LIST_ITEM);
+        if (!item || markdownIndent(item[1]) !== indent || /\d/.test(item[2]) !== ordered) break;
+
+        i = next + 1;
+        const contentIndent = indent + item[2].length + 1;
+        const body = [item[3]];
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                let after = i + 1;
+                while (after < lines.length && !lines[after].trim()) after++;
+                if (after >= lines.length || markdownIndent(lines[after]) <= indent) break;
+                body.push('');
+                i++;
+            } else if (markdownIndent(line) > indent) {
+                body.push(line.replace(new RegExp(`^ {0,${contentIndent}}`), ''));
+                i++;
+            } else if (!startsMarkdownBlock(lines, i)) {
+                body.push(line.trim()); // a lazy continuation of the item's text
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        const li = document.createElement('li');
+        appendMarkdownBlocks(li, body);
+        // A tight item's text sits directly in the <li>, not in a paragraph.
+        if (!body.includes('')) {
+            for (const p of Array.from(li.children).filter((c) => c.tagName === 'P')) p.replaceWith(...p.childNodes);
+        }
+        list.appendChild(li);
+    }
+    parent.appendChild(list);
+    return i;
+}
+
+// Renders a GFM table (header row, divider row with alignments, body rows).
+function appendMarkdownTable(parent, lines, start) {
+    const cells = (line) => line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map((c) => c.trim().replace(/\\\|/g, '|'));
+    const header = cells(lines[start]);
+    const aligns = cells(lines[start + 1]).map((c) => {
+        if (c.startsWith(':') && c.endsWith(':')) return 'center';
+        if (c.endsWith(':')) return 'right';
+        return c.startsWith(':') ? 'left' : '';
+    });
+    const row = (values, tag) => {
+        const tr = document.createElement('tr');
+        header.forEach((_, col) => {
+            const cell = document.createElement(tag);
+            if (aligns[col]) cell.style.textAlign = aligns[col];
+            appendMarkdownInline(cell, values[col] || '');
+            tr.appendChild(cell);
+        });
+        return tr;
+    };
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    thead.appendChild(row(header, 'th'));
+    const tbody = document.createElement('tbody');
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) tbody.appendChild(row(cells(lines[i++]), 'td'));
+    table.append(thead, tbody);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-wrapper'; // wide tables scroll instead of stretching the message
+    wrapper.appendChild(table);
+    parent.appendChild(wrapper);
+    return i;
+}
+
+// Only absolute http(s) and mailto links are followed; anything else (javascript:, data:) is dropped.
+function markdownSafeUrl(href) {
+    const url = String(href || '').trim();
+    return /^(?:https?:\/\/|mailto:)/i.test(url) ? url : null;
+}
+
+function appendMarkdownInline(parent, text) {
+    let rest = text;
+    while (rest) {
+        let best = null;
+        for (const rule of MARKDOWN_INLINE) {
+            const match = rule.pattern.exec(rest);
+            if (match && (!best || match.index < best.match.index)) best = { type: rule.type, match };
+        }
+        if (!best) {
+            appendMarkdownText(parent, rest);
+            break;
+        }
+        appendMarkdownText(parent, rest.slice(0, best.match.index));
+        appendMarkdownToken(parent, best.type, best.match);
+        rest = rest.slice(best.match.index + best.match[0].length);
+    }
+}
+
+// Plain text: backslash escapes are resolved and line breaks kept, as chat replies expect.
+function appendMarkdownText(parent, text) {
+    text.replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, '$1').split('\n').forEach((line, i) => {
+        if (i > 0) parent.appendChild(document.createElement('br'));
+        if (line) parent.appendChild(document.createTextNode(line));
+    });
+}
+
+function appendMarkdownToken(parent, type, match) {
+    if (type === 'code') {
+        const code = document.createElement('code');
+        code.textContent = match[2].replace(/^ (.*) $/, '$1');
+        parent.appendChild(code);
+        return;
+    }
+    if (type === 'link' || type === 'url') {
+        const href = markdownSafeUrl(type === 'link' ? match[2] : match[0]);
+        if (!href) {
+            appendMarkdownInline(parent, type === 'link' ? match[1] : match[0]);
+            return;
+        }
+        const a = document.createElement('a');
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        if (type === 'link') appendMarkdownInline(a, match[1]);
+        else a.textContent = href;
+        parent.appendChild(a);
+        return;
+    }
+    const element = document.createElement(type);
+    appendMarkdownInline(element, match[1] ?? match[2]);
+    parent.appendChild(element);
+}
+
+/**
+ * A fenced code block: a header with the language and a copy button over the highlighted code.
+ * @param {string} code
+ * @param {string} [lang] - The fence's info string, e.g. "js".
+ * @returns {HTMLElement}
+ */
+function renderCodeBlock(code, lang) {
+    const block = document.createElement('div');
+    block.className = 'code-block';
+
+    const header = document.createElement('div');
+    header.className = 'code-block-header';
+    const label = document.createElement('span');
+    label.textContent = lang || 'text';
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'code-copy-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(code);
+            copyBtn.textContent = 'Copied';
+        } catch (_) {
+            copyBtn.textContent = 'Copy failed';
+        }
+        setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+    });
+    header.append(label, copyBtn);
+
+    const pre = document.createElement('pre');
+    const codeEl = document.createElement('code');
+    codeEl.appendChild(highlightCode(code, lang));
+    pre.appendChild(codeEl);
+
+    block.append(header, pre);
+    return block;
+}
+
+// Token patterns per language. Each is one alternative of a combined regex, so none may
+// contain capturing groups.
+const HIGHLIGHT_C_COMMENT = /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/;
+const HIGHLIGHT_STRING = /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/;
+const HIGHLIGHT_GRAMMARS = {
+    javascript: {
+        comment: HIGHLIGHT_C_COMMENT,
+        string: /`(?:\\[\s\S]|[^\\`])*`?|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/,
+        keywords: 'as async await break case catch class const continue default delete do else enum export extends false finally for from function if implements import in instanceof interface let new null of return static super switch this throw true try type typeof undefined var void while yield',
+    },
+    python: {
+        comment: /#[^\n]*/,
+        string: /[rbfuRBFU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/,
+        keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+    },
+    json: {
+        property: /"(?:\\.|[^\\"\n])*"(?=\s*:)/,
+        string: HIGHLIGHT_STRING,
+        keywords: 'true false null',
+    },
+    bash: {
+        comment: /(?<![\w$#{])#[^\n]*/,
+        string: HIGHLIGHT_STRING,
+        keywords: 'case do done echo elif else esac exit export fi for function if in local read return set source then unset until while',
+    },
+    sql: {
+        comment: /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/,
+        string: /'(?:''|[^'])*'?/,
+        keywords: 'all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null offset on or order outer primary right select set table then union update values when where with',
+        ignoreCase: true,
+    },
+    css: {
+        comment: /\/\*[\s\S]*?(?:\*\/|$)/,
+        string: HIGHLIGHT_STRING,
+        property: /(?<=[{;]\s*)-?[A-Za-z][\w-]*(?=\s*:)/,
+    },
+    html: {
+        comment: /<!--[\s\S]*?(?:-->|$)/,
+        tag: /<\/?[A-Za-z][\w:-]*|\/?>/,
+        string: HIGHLIGHT_STRING,
+        plainText: true, // words and numbers between tags aren't code
+    },
+};
+const HIGHLIGHT_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+    py: 'python', python3: 'python',
+    jsonc: 'json', json5: 'json',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    xml: 'html', svg: 'html', htm: 'html', vue: 'html',
+    scss: 'css', less: 'css',
+};
+
+/**
+ * Highlights code with `tok-*` spans (comment, string, number, keyword, property, tag).
+ * Unknown languages come back as plain text.
+ * @returns {DocumentFragment}
+ */
+function highlightCode(code, lang) {
+    const fragment = document.createDocumentFragment();
+    const key = String(lang || '').toLowerCase();
+    const grammar = HIGHLIGHT_GRAMMARS[HIGHLIGHT_ALIASES[key] || key];
+    if (!grammar) {
+        fragment.appendChild(document.createTextNode(code));
+        return fragment;
+    }
+
+    const rules = [
+        ['comment', grammar.comment],
+        ['tag', grammar.tag],
+        ['property', grammar.property],
+        ['string', grammar.string],
+        ['number', !grammar.plainText && /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+        ['word', !grammar.plainText && /[A-Za-z_$][\w$]*/],
+    ].filter(([, pattern]) => pattern);
+    const keywords = new Set((grammar.keywords || '').split(' '));
+    const combined = new RegExp(rules.map(([, pattern]) => `(${pattern.source})`).join('|'), 'g');
+
+    let last = 0;
+    for (const match of code.matchAll(combined)) {
+        if (!match[0]) continue;
+        let kind = rules[match.slice(1).findIndex((group) => group !== undefined)][0];
+        if (kind === 'word') {
+            if (!keywords.has(grammar.ignoreCase ? match[0].toLowerCase() : match[0])) continue;
+            kind = 'keyword';
+        }
+        if (match.index > last) fragment.appendChild(document.createTextNode(code.slice(last, match.index)));
+        const span = document.createElement('span');
+        span.className = `tok-${kind}`;
+        span.textContent = match[0];
+        fragment.appendChild(span);
+        last = match.index + match[0].length;
+    }
+    if (last < code.length) fragment.appendChild(document.createTextNode(code.slice(last)));
+    return fragment;
+}
\ No newline at end of file
@@ -0,0 +1,499 @@
+/**
+ * A client for Model Context Protocol (MCP) tool servers. An `McpConnection` initializes the
+ * session, turns the server's `tools/list` into registry entries in their own namespace,
+ * and routes the agent's calls through `tools/call`. When the server announces that its
+ * tools changed, the registry is updated.
+ *
+ * Transports, chosen by the server URL:
+ * - http(s)://: Streamable HTTP. Each JSON-RPC message is POSTed; the reply is JSON or an
+ *   SSE stream. The session id from `Mcp-Session-Id` is sent back on later requests.
+ * - ws(s)://: a WebSocket with the "mcp" subprotocol, one JSON-RPC message per frame.
+ * - mock://: `MockMcpServer`, an in-page server with a few demo tools, for trying it offline.
+ */
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+const MCP_CLIENT_INFO = { name: 'vanilla-agent-demo', version: '1.0.0' };
+
+/**
+ * JSON-RPC over a transport: numbered requests matched to their responses, notifications,
+ * and the few requests a server may send us (only `ping` is supported).
+ */
+class McpClient {
+    /**
+     * @param {object} transport - `{ open(signal), send(message), close() }`; it calls
+     *   `onMessage(message)` for each message received and `onClose(error)` when it drops.
+     * @param {{timeoutMs?: number, onNotification?: Function}} [options]
+     */
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.timeoutMs = options.timeoutMs ?? 30000;
+        this.onNotification = options.onNotification || null;
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.serverInfo = null;
+        this.capabilities = {};
+        transport.onMessage = (message) => this.handleMessage(message);
+        transport.onClose = (error) => {
+            for (const { reject } of this.pending.values()) reject(error || new Error('The MCP connection closed.'));
+        };
+    }
+
+    /**
+     * Opens the transport and performs the `initialize` handshake.
+     * @returns {Promise<object>} The server's initialize result.
+     */
+    async connect(signal) {
+        await this.transport.open(signal);
+        const result = await this.request('initialize', {
+            protocolVersion: MCP_PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: MCP_CLIENT_INFO,
+        }, { signal });
+        this.serverInfo = result.serverInfo || {};
+        this.capabilities = result.capabilities || {};
+        await this.notify('notifications/initialized');
+        return result;
+    }
+
+    /**
+     * Sends a request and waits for its response. Aborting sends `notifications/cancelled`.
+     * @returns {Promise<*>} The response's `result`.
+     * @throws {Error} The server's JSON-RPC error, a timeout, or an AbortError.
+     */
+    request(method, params, { signal } = {}) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                cleanup();
+                this.notify('notifications/cancelled', { requestId: id, reason: 'Cancelled by the client.' }).catch(() => {});
+                const err = new Error('Aborted.');
+                err.name = 'AbortError';
+                reject(err);
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`MCP request "${method}" timed out after ${this.timeoutMs} ms.`));
+            }, this.timeoutMs);
+            if (signal) {
+                if (signal.aborted) return onAbort();
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            this.pending.set(id, {
+                resolve: (result) => { cleanup(); resolve(result); },
+                reject: (err) => { cleanup(); reject(err); },
+            });
+            this.transport.send({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) }).catch((err) => {
+                const pending = this.pending.get(id);
+                if (pending) pending.reject(err);
+            });
+        });
+    }
+
+    notify(method, params) {
+        return this.transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    }
+
+    handleMessage(message) {
+        if (Array.isArray(message)) {
+            message.forEach((m) => this.handleMessage(m));
+            return;
+        }
+        if (!message || message.jsonrpc !== '2.0') return;
+        if (message.method === undefined) {
+            const pending = this.pending.get(message.id);
+            if (!pending) return; // a response to a request that was cancelled or timed out
+            if (message.error) pending.reject(new Error(`MCP error ${message.error.code}: ${message.error.message}`));
+            else pending.resolve(message.result);
+        } else if (message.id !== undefined) {
+            const reply = message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } };
+            this.transport.send(reply).catch(() => {});
+        } else if (this.onNotification) {
+            this.onNotification(message);
+        }
+    }
+
+    /**
+     * Lists all the server's tools, following `nextCursor` pagination.
+     * @returns {Promise<Array<{name: string, description?: string, inputSchema?: object, annotations?: object}>>}
+     */
+    async listTools(signal) {
+        const tools = [];
+        let cursor;
+        do {
+            const page = await this.request('tools/list', cursor ? { cursor } : {}, { signal });
+            tools.push(...(page.tools || []));
+            cursor = page.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    /**
+     * @returns {Promise<{content: Array<object>, isError?: boolean, structuredContent?: *}>}
+     */
+    callTool(name, args, { signal } = {}) {
+        return this.request('tools/call', { name, arguments: args || {} }, { signal });
+    }
+
+    close() {
+        for (const { reject } of this.pending.values()) reject(new Error('The MCP connection was closed.'));
+        return this.transport.close();
+    }
+}
+
+/**
+ * Streamable HTTP transport: every message is a POST; a request's response arrives as the
+ * JSON body or in an SSE stream (which may carry notifications before it). Browsers only
+ * let us read `Mcp-Session-Id` if the server lists it in `Access-Control-Expose-Headers`.
+ */
+class HttpMcpTransport {
+    constructor(url, { headers = {} } = {}) {
+        this.url = url;
+        this.headers = headers;
+        this.sessionId = null;
+        this.controller = new AbortController();
+        this.onMessage = null;
+        this.onClose = null;
+    }
+
+    async open() {}
+
+    requestHeaders(extra = {}) {
+        return { ...this.headers, ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}), ...extra };
+    }
+
+    async send(message) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: this.requestHeaders({ 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' }),
+            body: JSON.stringify(message),
+            signal: this.controller.signal,
+        });
+        const sessionId = response.headers.get('mcp-session-id');
+        if (sessionId) this.sessionId = sessionId;
+        if (!response.ok) {
+            throw new Error(`MCP server error: HTTP ${response.status}${response.status === 404 && this.sessionId ? ' (session expired)' : ''}`);
+        }
+        const type = response.headers.get('content-type') || '';
+        if (type.includes('text/event-stream')) {
+            for await (const data of readSseEvents(response)) {
+                try {
+                    this.onMessage(JSON.parse(data));
+                } catch (_) {
+                    // skip events that aren't JSON-RPC
+                }
+            }
+        } else if (type.includes('application/json')) {
+            this.onMessage(await response.json());
+        } // notifications get 202 Accepted with no body
+    }
+
+    async close() {
+        this.controller.abort();
+        if (!this.sessionId) return;
+        // Ends the session on the server; servers that don't support this answer 405.
+        try {
+            await fetch(this.url, { method: 'DELETE', headers: this.requestHeaders() });
+        } catch (_) {
+            // the server is gone anyway
+        }
+    }
+}
+
+class WebSocketMcpTransport {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.onMessage = null;
+        this.onClose = null;
+    }
+
+    open(signal) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url, 'mcp');
+            this.socket = socket;
+            let opened = false;
+            const onAbort = () => {
+                socket.close();
+                const err = new Error('Aborted.');
+                err.name = 'AbortError';
+                reject(err);
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            socket.onopen = () => {
+                opened = true;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            socket.onmessage = (event) => {
+                try {
+                    this.onMessage(JSON.parse(event.data));
+                } catch (_) {
+                    // skip frames that aren't JSON-RPC
+                }
+            };
+            socket.onclose = () => {
+                const err = new Error(`The MCP WebSocket to ${this.url} closed.`);
+                if (opened) this.onClose && this.onClose(err);
+                else reject(new Error(`Could not connect to ${this.url}.`));
+            };
+        });
+    }
+
+    async send(message) {
+        if (!this.socket || this.socket.readyState !== 1) throw new Error('The MCP WebSocket is not open.');
+        this.socket.send(JSON.stringify(message));
+    }
+
+    async close() {
+        if (this.socket) this.socket.close();
+    }
+}
+
+/**
+ * An in-page MCP server with a few demo tools (echo, add, get_forecast), reachable as
+ * mock://<name>. It answers like a real server, including errors, so the client and the
+ * agent's handling of remote tools can be tried without running anything.
+ */
+class MockMcpServer {
+    constructor(name = 'demo') {
+        this.name = name;
+        this.tools = [
+            {
+                name: 'echo',
+                description: 'Echoes the given text back.',
+                inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+                annotations: { readOnlyHint: true, openWorldHint: false },
+                run: ({ text }) => ({ content: [{ type: 'text', text }] }),
+            },
+            {
+                name: 'add',
+                description: 'Adds two numbers.',
+                inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+                annotations: { readOnlyHint: true, openWorldHint: false },
+                run: ({ a, b }) => ({ content: [{ type: 'text', text: String(a + b) }], structuredContent: { sum: a + b } }),
+            },
+            {
+                name: 'get_forecast',
+                description: 'Returns a made-up three-day weather forecast for a city.',
+                inputSchema: { type: 'object', properties: { city: { type: 'string', description: 'City name.' } }, required: ['city'] },
+                annotations: { readOnlyHint: true },
+                run: ({ city }) => {
+                    if (!String(city).trim()) return { content: [{ type: 'text', text: 'City must not be empty.' }], isError: true };
+                    const seed = Array.from(String(city)).reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+                    const days = ['today', 'tomorrow', 'the day after'].map((day, i) => `${day}: ${12 + ((seed + i * 7) % 15)}°C, ${['sunny', 'cloudy', 'rain'][(seed + i) % 3]}`);
+                    return { content: [{ type: 'text', text: `Forecast for ${city} (mock data):\n${days.join('\n')}` }] };
+                },
+            },
+        ];
+    }
+
+    /**
+     * Handles one JSON-RPC message.
+     * @returns {object|null} The response, or null for notifications.
+     */
+    handle(message) {
+        if (message.id === undefined) return null;
+        const reply = (result) => ({ jsonrpc: '2.0', id: message.id, result });
+        const fail = (code, text) => ({ jsonrpc: '2.0', id: message.id, error: { code, message: text } });
+        const params = message.params || {};
+        switch (message.method) {
+            case 'initialize':
+                return reply({
+                    protocolVersion: MCP_PROTOCOL_VERSION,
+                    capabilities: { tools: { listChanged: false } },
+                    serverInfo: { name: this.name, version: '1.0.0' },
+                });
+            case 'ping':
+                return reply({});
+            case 'tools/list':
+                return reply({ tools: this.tools.map(({ run, ...tool }) => tool) });
+            case 'tools/call': {
+                const tool = this.tools.find((t) => t.name === params.name);
+                if (!tool) return fail(-32602, `Unknown tool: ${params.name}`);
+                return reply(tool.run(params.arguments || {}));
+            }
+            default:
+                return fail(-32601, `Method not found: ${message.method}`);
+        }
+    }
+}
+
+class MockMcpTransport {
+    constructor(server) {
+        this.server = server;
+        this.onMessage = null;
+        this.onClose = null;
+    }
+
+    async open() {}
+
+    async send(message) {
+        const response = this.server.handle(JSON.parse(JSON.stringify(message)));
+        if (response) setTimeout(() => this.onMessage(response), 0); // replies arrive asynchronously, as over a network
+    }
+
+    async close() {}
+}
+
+/**
+ * Picks the transport for a server URL (see the top of this file).
+ */
+function createMcpTransport(url, options = {}) {
+    const scheme = String(url).split(':')[0].toLowerCase();
+    if (scheme === 'http' || scheme === 'https') return new HttpMcpTransport(url, options);
+    if (scheme === 'ws' || scheme === 'wss') return new WebSocketMcpTransport(url);
+    if (scheme === 'mock') return new MockMcpTransport(new MockMcpServer(String(url).slice('mock:'.length).replace(/^\/+/, '') || 'demo'));
+    throw new Error(`Unsupported MCP server URL "${url}": use http(s)://, ws(s):// or mock://.`);
+}
+
+/**
+ * A namespace made from a server name: letters, digits and "-", other runs become one "_".
+ */
+function mcpNamespace(name) {
+    return String(name || 'mcp').replace(/[^A-Za-z0-9-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 24) || 'mcp';
+}
+
+/**
+ * The observation for a `tools/call` result: its structured content when there is some,
+ * else the text of its content blocks (other blocks are summarized).
+ * @throws {Error} With the text when the server marks the result as an error.
+ */
+function mcpToolResult(result) {
+    const text = ((result && result.content) || []).map((block) => {
+        if (block.type === 'text') return block.text;
+        if (block.type === 'resource' && block.resource) return block.resource.text ?? `[resource ${block.resource.uri}]`;
+        if (block.type === 'resource_link') return `[resource ${block.uri}]`;
+        return `[${block.type}${block.mimeType ? ` ${block.mimeType}` : ''}]`;
+    }).join('\n');
+    if (result && result.isError) throw new Error(text || 'The MCP tool reported an error.');
+    return result && result.structuredContent !== undefined ? result.structuredContent : text;
+}
+
+/**
+ * A connected MCP server whose tools are registered in a `ToolRegistry`.
+ */
+class McpConnection {
+    /**
+     * @param {ToolRegistry} registry
+     * @param {string} url - The server URL (http(s)://, ws(s):// or mock://).
+     * @param {{namespace?: string, headers?: object, timeoutMs?: number, toolRisks?: object,
+     *   trustAnnotations?: boolean}} [options] - `namespace` defaults to the server's name (with a
+     *   "_2", "_3", ... suffix when another server or pack uses it); `headers` are sent with
+     *   HTTP requests (e.g. Authorization). Remote tools are 'external' unless
+     *   `toolRisks` maps a tool's (server-side) name to a lower risk, or `trustAnnotations` lets
+     *   the server's own annotations decide (see `toolDefinition`).
+     */
+    constructor(registry, url, options = {}) {
+        this.registry = registry;
+        this.url = url;
+        this.namespace = options.namespace || null;
+        this.toolRisks = options.toolRisks || {};
+        this.trustAnnotations = options.trustAnnotations === true;
+        this.client = new McpClient(createMcpTransport(url, options), {
+            timeoutMs: options.timeoutMs,
+            onNotification: (message) => {
+                if (message.method === 'notifications/tools/list_changed') {
+                    this.syncTools().catch((e) => console.warn(`Could not refresh the tools of ${this.url}:`, e));
+                }
+            },
+        });
+        this.toolNames = [];
+    }
+
+    /**
+     * Connects, initializes and registers the server's tools.
+     * @returns {Promise<Array<string>>} The registered tool names.
+     */
+    async connect(signal) {
+        if (this.namespace && this.namespaceTaken(this.namespace)) {
+            throw new Error(`The tool namespace "${this.namespace}" is already in use; choose another for ${this.url}.`);
+        }
+        await this.client.connect(signal);
+        if (!this.namespace) {
+            // Servers with the same (or no) name get "_2", "_3", ... rather than replacing each other's tools.
+            const base = mcpNamespace(this.client.serverInfo.name);
+            this.namespace = base;
+            for (let n = 2; this.namespaceTaken(this.namespace); n++) this.namespace = `${base}_${n}`;
+        }
+        return this.syncTools(signal);
+    }
+
+    // Whether tools from somewhere other than this server are registered in the namespace.
+    namespaceTaken(namespace) {
+        return this.registry.packs.has(namespace)
+            || this.registry.list().some((t) => t.namespace === namespace && t.source !== this.url);
+    }
+
+    /**
+     * Replaces this server's registry entries with its current tool list. Every tool is
+     * checked first (as `ToolRegistry#loadPack` does), so a bad one leaves the old tools registered.
+     */
+    async syncTools(signal) {
+        const tools = await this.client.listTools(signal);
+        const version = this.client.serverInfo.version || '1.0.0';
+        const staging = new ToolRegistry();
+        const taken = new Set();
+        for (const tool of tools) {
+            staging.register(this.toolDefinition(tool, taken), { namespace: this.namespace, version, source: this.url });
+        }
+
+        this.registry.unregisterNamespace(this.namespace);
+        for (const [name, entry] of staging.entries) this.registry.entries.set(name, entry);
+        this.registry.notify();
+        this.toolNames = Array.from(staging.entries.keys());
+        return this.toolNames;
+    }
+
+    /**
+     * A registry definition for a remote tool. Its name is the server's, with characters the
+     * providers reject replaced by "_"; names that end up equal get a "_2", "_3", ... suffix.
+     *
+     * The server's annotations are its own claims, so a remote tool is 'external' (always
+     * asked about unless the policy is full-auto) unless local configuration says otherwise:
+     * its entry in `toolRisks`, or with `trustAnnotations`, its hints (read-only closed-world
+     * tools run as 'read-only', other closed-world tools as 'writes').
+     * @param {object} tool - An entry of the server's `tools/list`.
+     * @param {Set<string>} [taken] - Names already used on this server; the new name is added.
+     */
+    toolDefinition(tool, taken = new Set()) {
+        const hints = tool.annotations || {};
+        const schema = tool.inputSchema && tool.inputSchema.type === 'object' ? tool.inputSchema : { type: 'object', properties: {} };
+        const maxLength = 64 - this.namespace.length - TOOL_NAMESPACE_SEPARATOR.length;
+        const base = String(tool.name ?? '').replace(/[^A-Za-z0-9_-]/g, '_') || 'tool';
+        let name = base.slice(0, maxLength);
+        for (let n = 2; taken.has(name); n++) name = `${base.slice(0, maxLength - `_${n}`.length)}_${n}`;
+        if (name !== base) console.warn(`MCP tool "${tool.name}" of ${this.url} is registered as "${name}".`);
+        taken.add(name);
+
+        let risk = 'external';
+        if (TOOL_RISKS.includes(this.toolRisks[tool.name])) {
+            risk = this.toolRisks[tool.name];
+        } else if (this.trustAnnotations && hints.openWorldHint === false) {
+            risk = hints.readOnlyHint ? 'read-only' : 'writes';
+        }
+        return {
+            name,
+            description: tool.description || tool.title || `The "${tool.name}" tool of MCP server ${this.url}.`,
+            parameters: schema,
+            risk,
+            concurrencySafe: risk === 'read-only',
+            timeoutMs: 60000,
+            implementation: async (args, { signal } = {}) => mcpToolResult(await this.client.callTool(tool.name, args, { signal })),
+        };
+    }
+
+    /**
+     * Removes the server's tools and closes the connection.
+     */
+    async disconnect() {
+        if (this.namespace) this.registry.unregisterNamespace(this.namespace);
+        this.toolNames = [];
+        await this.client.close();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,263 @@
+/**
+ * Long-term memory: short facts the agent saves with `remember` and finds again with
+ * `recall`, kept in IndexedDB across conversations. Memories are ranked with BM25 over
+ * their text and tags, which runs offline; when the provider can embed text, the cosine
+ * similarity of embeddings is blended in so paraphrases are found too.
+ *
+ * A memory record holds `{ id, text, tags, createdAt, updatedAt, embedding }`, where
+ * `embedding` is `{ model, vector }` once computed (it is dropped when the text changes).
+ */
+const MEMORY_MAX_CHARS = 2000;
+
+const MEMORY_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from', 'has', 'have',
+    'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+    'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Splits text into lowercase search terms: letters and digits only, stopwords and single
+ * letters removed, and plurals folded ("files" and "file" match).
+ * @returns {Array<string>}
+ */
+function tokenizeForSearch(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter((t) => (t.length > 1 || /\d/.test(t)) && !MEMORY_STOPWORDS.has(t))
+        .map((t) => {
+            if (t.length > 4 && t.endsWith('ies')) return `${t.slice(0, -3)}y`;
+            if (t.length > 3 && t.endsWith('s') && !t.endsWith('ss')) return t.slice(0, -1);
+            return t;
+        });
+}
+
+/**
+ * Okapi BM25 scores of tokenized documents for a tokenized query.
+ * @param {Array<string>} queryTerms
+ * @param {Array<Array<string>>} documents
+ * @param {{k1?: number, b?: number}} [params]
+ * @returns {Array<number>} One score per document; 0 when no query term occurs in it.
+ */
+function bm25Scores(queryTerms, documents, { k1 = 1.2, b = 0.75 } = {}) {
+    const n = documents.length;
+    if (n === 0) return [];
+    const avgLength = documents.reduce((sum, d) => sum + d.length, 0) / n || 1;
+    const terms = Array.from(new Set(queryTerms));
+    const documentFrequency = new Map(terms.map((t) => [t, documents.filter((d) => d.includes(t)).length]));
+    return documents.map((doc) => {
+        let score = 0;
+        for (const term of terms) {
+            const df = documentFrequency.get(term);
+            if (df === 0) continue;
+            const tf = doc.filter((t) => t === term).length;
+            if (tf === 0) continue;
+            const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+            score += idf * ((tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (doc.length / avgLength))));
+        }
+        return score;
+    });
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * The provider to embed memories with, or null when it can't embed text (e.g. no API key).
+ * @param {BaseLlmProvider} provider
+ */
+function memoryEmbedderFor(provider) {
+    return provider && provider.embeddingModel ? provider : null;
+}
+
+/**
+ * The persistent store behind `remember`, `recall` and the memory manager.
+ */
+class MemoryStore {
+    /**
+     * @param {string} [storeName] - The IndexedDB object store.
+     * @param {{lexicalWeight?: number, minSimilarity?: number}} [options] - With embeddings, a memory's
+     *   score is `lexicalWeight` × its normalized BM25 score plus the rest × its cosine similarity;
+     *   memories without a matching term need a similarity of at least `minSimilarity`.
+     */
+    constructor(storeName = 'memories', options = {}) {
+        this.storeName = storeName;
+        this.lexicalWeight = options.lexicalWeight ?? 0.5;
+        this.minSimilarity = options.minSimilarity ?? 0.55;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Registers a listener called after memories are added, edited or deleted.
+     * @returns {Function} Unsubscribes the listener.
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) listener();
+    }
+
+    /**
+     * Lists all memories, most recently updated first.
+     * @returns {Promise<Array<object>>}
+     */
+    async list() {
+        const memories = (await dbGetAll(this.storeName)) || [];
+        return memories.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    }
+
+    async get(id) {
+        return (await dbGet(this.storeName, id)) || null;
+    }
+
+    /**
+     * Saves a fact. Saving text that is already stored only refreshes it and merges the tags.
+     * @param {string} text
+     * @param {{tags?: Array<string>}} [options]
+     * @returns {Promise<{memory: object, created: boolean}>}
+     */
+    async add(text, { tags = [] } = {}) {
+        const clean = MemoryStore.checkText(text);
+        const key = clean.toLowerCase().replace(/\s+/g, ' ');
+        const existing = (await this.list()).find((m) => m.text.toLowerCase().replace(/\s+/g, ' ') === key);
+        if (existing) {
+            existing.tags = MemoryStore.cleanTags([...(existing.tags || []), ...tags]);
+            existing.updatedAt = Date.now();
+            await dbPut(this.storeName, existing);
+            this.notify();
+            return { memory: existing, created: false };
+        }
+
+        const now = Date.now();
+        const memory = {
+            id: typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `memory-${now}-${Math.random().toString(36).slice(2)}`,
+            text: clean,
+            tags: MemoryStore.cleanTags(tags),
+            createdAt: now,
+            updatedAt: now,
+            embedding: null,
+        };
+        await dbPut(this.storeName, memory);
+        this.notify();
+        return { memory, created: true };
+    }
+
+    /**
+     * Edits a memory's text and/or tags.
+     * @param {string} id
+     * @param {{text?: string, tags?: Array<string>}} changes
+     * @returns {Promise<object>} The updated memory.
+     */
+    async update(id, changes) {
+        const memory = await this.get(id);
+        if (!memory) throw new Error(`Unknown memory: ${id}`);
+        if (changes.text !== undefined) {
+            const clean = MemoryStore.checkText(changes.text);
+            if (clean !== memory.text) memory.embedding = null;
+            memory.text = clean;
+        }
+        if (changes.tags !== undefined) memory.tags = MemoryStore.cleanTags(changes.tags);
+        memory.updatedAt = Date.now();
+        await dbPut(this.storeName, memory);
+        this.notify();
+        return memory;
+    }
+
+    async delete(id) {
+        await dbDelete(this.storeName, id);
+        this.notify();
+    }
+
+    /**
+     * Finds the memories most relevant to a query.
+     * @param {string} query
+     * @param {{limit?: number, embedder?: BaseLlmProvider, signal?: AbortSignal}} [options] - With an
+     *   `embedder` (see `memoryEmbedderFor`) embeddings are blended in; if embedding fails the
+     *   lexical ranking is used alone.
+     * @returns {Promise<Array<{memory: object, score: number}>>} Best match first.
+     */
+    async search(query, { limit = 5, embedder = null, signal } = {}) {
+        const memories = await this.list();
+        if (memories.length === 0) return [];
+        const lexical = bm25Scores(
+            tokenizeForSearch(query),
+            memories.map((m) => tokenizeForSearch(`${m.text} ${(m.tags || []).join(' ')}`))
+        );
+        const maxLexical = Math.max(...lexical);
+
+        let similarity = null;
+        if (embedder) {
+            try {
+                similarity = await this.similarities(query, memories, embedder, signal);
+            } catch (e) {
+                if (signal && signal.aborted) throw e;
+                console.warn('Memory embeddings unavailable, using lexical search only:', e);
+            }
+        }
+
+        return memories
+            .map((memory, i) => {
+                const lexicalScore = maxLexical > 0 ? lexical[i] / maxLexical : 0;
+                // Without a similarity (no embeddings, or none for this memory yet) BM25 decides alone.
+                if (!similarity || similarity[i] === null) return { memory, score: lexicalScore, matched: lexical[i] > 0 };
+                return {
+                    memory,
+                    score: this.lexicalWeight * lexicalScore + (1 - this.lexicalWeight) * similarity[i],
+                    matched: lexical[i] > 0 || similarity[i] >= this.minSimilarity,
+                };
+            })
+            .filter((r) => r.matched)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ memory, score }) => ({ memory, score: Math.round(score * 1000) / 1000 }));
+    }
+
+    /**
+     * Cosine similarity of the query to each memory, embedding (and saving) memories that lack a
+     * usable embedding. A memory the embedder returned no vector for (or one of another length
+     * than the query's) is not saved, so it is embedded again next time; its similarity is null.
+     * @returns {Promise<Array<number|null>>}
+     * @throws {Error} When the query itself gets no vector.
+     */
+    async similarities(query, memories, embedder, signal) {
+        const model = embedder.embeddingModel;
+        const isVector = (v) => Array.isArray(v) && v.length > 0 && v.every(Number.isFinite);
+        const embedded = (m) => m.embedding && m.embedding.model === model && isVector(m.embedding.vector);
+        const missing = memories.filter((m) => !embedded(m));
+        const vectors = await embedder.embed([query, ...missing.map((m) => m.text)], { signal });
+        const queryVector = vectors && vectors[0];
+        if (!isVector(queryVector)) throw new Error('The embedder returned no vector for the query.');
+        const usable = (v) => isVector(v) && v.length === queryVector.length;
+        for (const [i, memory] of missing.entries()) {
+            if (!usable(vectors[i + 1])) continue;
+            memory.embedding = { model, vector: vectors[i + 1] };
+            await dbPut(this.storeName, memory);
+        }
+        return memories.map((m) => (embedded(m) && usable(m.embedding.vector) ? cosineSimilarity(queryVector, m.embedding.vector) : null));
+    }
+
+    static checkText(text) {
+        const clean = String(text ?? '').trim();
+        if (!clean) throw new Error('A memory needs some text.');
+        if (clean.length > MEMORY_MAX_CHARS) {
+            throw new Error(`Memories are limited to ${MEMORY_MAX_CHARS} characters; save a shorter fact.`);
+        }
+        return clean;
+    }
+
+    static cleanTags(tags) {
+        return Array.from(new Set((tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean)));
+    }
+}
\ No newline at end of file
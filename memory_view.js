@@ -0,0 +1,121 @@
+/**
+ * The memory manager: lists the agent's long-term memories, newest first, with a search
+ * box, and lets the user edit a memory's text and tags or delete it. Re-renders whenever
+ * the store changes (e.g. when the agent calls `remember`).
+ */
+class MemoryManager {
+    /**
+     * @param {{list: HTMLElement, filter: HTMLInputElement, count: HTMLElement}} elements
+     * @param {MemoryStore} store
+     */
+    constructor(elements, store) {
+        this.elements = elements;
+        this.store = store;
+        this.editing = null; // id of the memory being edited
+        this.renderSeq = 0; // renders are async; only the latest one draws
+        this.elements.filter.addEventListener('input', () => this.render());
+        this.store.onChange(() => this.render());
+        this.render();
+    }
+
+    async render() {
+        const seq = ++this.renderSeq;
+        const query = this.elements.filter.value.trim();
+        const all = await this.store.list();
+        const memories = query ? (await this.store.search(query, { limit: 50 })).map((r) => r.memory) : all;
+        if (seq !== this.renderSeq) return;
+
+        const { list, count } = this.elements;
+        const total = all.length;
+        count.textContent = query ? `${memories.length} of ${total}` : `${total}`;
+        list.innerHTML = '';
+        if (memories.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'memory-empty';
+            empty.textContent = query ? 'No memories match.' : 'No memories yet. The agent saves facts here with the remember tool.';
+            list.appendChild(empty);
+            return;
+        }
+        for (const memory of memories) {
+            list.appendChild(memory.id === this.editing ? this.renderEditor(memory) : this.renderMemory(memory));
+        }
+    }
+
+    renderMemory(memory) {
+        const item = document.createElement('li');
+        item.className = 'memory-item';
+
+        const text = document.createElement('div');
+        text.className = 'memory-text';
+        text.textContent = memory.text;
+
+        const meta = document.createElement('div');
+        meta.className = 'memory-meta';
+        const tags = (memory.tags || []).map((t) => `#${t}`).join(' ');
+        meta.textContent = `${new Date(memory.updatedAt).toLocaleString()}${tags ? ` · ${tags}` : ''}`;
+
+        const editBtn = document.createElement('button');
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => {
+            this.editing = memory.id;
+            this.render();
+        });
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.className = 'deny';
+        deleteBtn.addEventListener('click', async () => {
+            if (!confirm('Delete this memory?')) return;
+            await this.store.delete(memory.id);
+        });
+        const actions = document.createElement('div');
+        actions.className = 'memory-actions';
+        actions.append(editBtn, deleteBtn);
+
+        item.append(text, meta, actions);
+        return item;
+    }
+
+    renderEditor(memory) {
+        const item = document.createElement('li');
+        item.className = 'memory-item editing';
+
+        const textInput = document.createElement('textarea');
+        textInput.className = 'memory-edit-text';
+        textInput.value = memory.text;
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.className = 'memory-edit-tags';
+        tagsInput.placeholder = 'Tags, separated by commas';
+        tagsInput.value = (memory.tags || []).join(', ');
+        const error = document.createElement('div');
+        error.className = 'memory-error';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', async () => {
+            try {
+                this.editing = null;
+                await this.store.update(memory.id, {
+                    text: textInput.value,
+                    tags: tagsInput.value.split(','),
+                });
+            } catch (e) {
+                this.editing = memory.id;
+                error.textContent = e.message;
+            }
+        });
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.className = 'deny';
+        cancelBtn.addEventListener('click', () => {
+            this.editing = null;
+            this.render();
+        });
+        const actions = document.createElement('div');
+        actions.className = 'memory-actions';
+        actions.append(saveBtn, cancelBtn);
+
+        item.append(textInput, tagsInput, error, actions);
+        return item;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * Runs the agent from a terminal or a CI job:
+ *
+ *   vanilla-agent --provider openai --model gpt-5-mini "Write a haiku about CI to haiku.txt"
+ *
+ * The final answer goes to stdout and the trace to stderr, so `> answer.md` keeps only the
+ * answer. Run with --help for the options; each can also come from the environment.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pathToFileURL } = require('url');
+const { parseArgs } = require('util');
+const core = require('./core.js');
+
+const { Agent, LlmProviderFactory, ProviderError, McpConnection, toolRegistry, virtualFileSystem } = core;
+
+const EXIT_CODES = {
+    completed: 0,
+    failed: 1, // a provider or agent error
+    usage: 2, // bad flags or missing settings
+    max_turns: 3, // stuck: the turn limit was reached without an answer
+    cancelled: 130, // interrupted with Ctrl-C
+};
+
+// Provider-specific API key variables, read when neither --api-key nor AGENT_API_KEY is set.
+// The local providers have none, so a cloud key is never sent to a self-hosted server.
+const API_KEY_ENV = {
+    google: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+    openai: ['OPENAI_API_KEY'],
+};
+
+const USAGE = `Usage: vanilla-agent [options] [prompt...]
+
+Runs one agent task and prints the answer to stdout and the trace to stderr.
+The prompt is read from stdin when it is "-" or left out and stdin is not a terminal.
+
+Options:
+  --provider <name>        google, openai, openai-compatible, ollama or replay
+                           (env AGENT_PROVIDER, default google)
+  --model <name>           Model id (env AGENT_MODEL, default: the provider's first model)
+  --api-key <key>          API key (env AGENT_API_KEY, or GEMINI_API_KEY / OPENAI_API_KEY)
+  --base-url <url>         Server URL for openai-compatible and ollama (env AGENT_BASE_URL)
+  --fixture <file>         Replay fixture for --provider replay
+  --approval <policy>      suggest, auto-edit or full-auto (default). Calls that need approval
+                           are asked about on the terminal, or denied without one.
+  --max-turns <n>          Turn limit for the run (default 10)
+  --profile <file>         Agent profile JSON exported from the profiles dialog: its instructions,
+                           tools, provider, model, temperature and limits (flags take precedence)
+  --profile-id <id>        The profile to use when the file holds several (id or name)
+  --tool-pack <url|file>   Load an ES-module tool pack (repeatable)
+  --mcp <url>              Connect an MCP server and use its tools (repeatable)
+  --search-backend <type>  mock (default), searxng or template
+  --search-url <url>       URL for the searxng or template search backend
+  --fetch-proxy <url>      Proxy URL template for fetch_url, with a {url} placeholder
+  --trace <format>         text (default), json (one event per line) or none
+  --out-dir <dir>          Write the virtual files the agent created to this directory
+  -h, --help               Show this help
+
+Exit codes: 0 answered, 1 failed, 2 bad usage, 3 stuck at the turn limit, 130 interrupted.`;
+
+class UsageError extends Error {}
+
+/**
+ * Reads the flags, falling back to the environment.
+ * @throws {UsageError}
+ */
+function parseOptions(argv, env) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'provider': { type: 'string' },
+                'model': { type: 'string' },
+                'api-key': { type: 'string' },
+                'base-url': { type: 'string' },
+                'fixture': { type: 'string' },
+                'approval': { type: 'string', default: 'full-auto' },
+                'max-turns': { type: 'string' },
+                'profile': { type: 'string' },
+                'profile-id': { type: 'string' },
+                'tool-pack': { type: 'string', multiple: true, default: [] },
+                'mcp': { type: 'string', multiple: true, default: [] },
+                'search-backend': { type: 'string', default: 'mock' },
+                'search-url': { type: 'string', default: '' },
+                'fetch-proxy': { type: 'string', default: '' },
+                'trace': { type: 'string', default: 'text' },
+                'out-dir': { type: 'string' },
+                'help': { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+    const { values, positionals } = parsed;
+    const profile = values.profile && !values.help ? loadProfile(values.profile, values['profile-id']) : null;
+    const provider = values.provider || env.AGENT_PROVIDER || (profile && profile.provider) || 'google';
+    // The profile's model belongs to its provider (or to any, when it names none).
+    const profileModel = profile && (!profile.provider || profile.provider === provider) ? profile.model : '';
+    const options = {
+        help: values.help,
+        prompt: positionals.join(' ').trim(),
+        provider,
+        model: values.model || env.AGENT_MODEL || profileModel,
+        apiKey: values['api-key'] || env.AGENT_API_KEY || '',
+        baseUrl: values['base-url'] || env.AGENT_BASE_URL || '',
+        fixture: values.fixture || '',
+        approval: values.approval,
+        maxTurns: values['max-turns'] === undefined ? null : Number(values['max-turns']),
+        profile,
+        temperature: profile ? profile.temperature : null,
+        toolPacks: values['tool-pack'],
+        mcpServers: values.mcp,
+        searchBackend: values['search-backend'],
+        searchUrl: values['search-url'],
+        fetchProxy: values['fetch-proxy'],
+        trace: values.trace,
+        outDir: values['out-dir'] || '',
+    };
+    if (options.help) return options;
+
+    try {
+        LlmProviderFactory.providerClass(options.provider);
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+    if (!(options.approval in core.APPROVAL_POLICIES)) {
+        throw new UsageError(`Unknown approval policy "${options.approval}" (use ${Object.keys(core.APPROVAL_POLICIES).join(', ')}).`);
+    }
+    if (options.maxTurns !== null && !(Number.isInteger(options.maxTurns) && options.maxTurns > 0)) {
+        throw new UsageError('--max-turns must be a positive integer.');
+    }
+    if (!['text', 'json', 'none'].includes(options.trace)) {
+        throw new UsageError(`Unknown trace format "${options.trace}" (use text, json or none).`);
+    }
+    if (options.provider === 'replay' && !options.fixture) {
+        throw new UsageError('--provider replay needs a --fixture file.');
+    }
+    return options;
+}
+
+/**
+ * Reads an agent profile from a JSON file (see profiles.js).
+ * @param {string} file
+ * @param {string} [id] - The profile's id or name; required when the file holds several.
+ * @throws {UsageError}
+ */
+function loadProfile(file, id) {
+    let profiles;
+    try {
+        profiles = core.parseProfiles(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new UsageError(`Could not read the profile ${file}: ${e.message}`);
+    }
+    if (id) {
+        const profile = profiles.find((p) => p.id === id || p.name === id);
+        if (!profile) throw new UsageError(`No profile "${id}" in ${file} (it has ${profiles.map((p) => p.name).join(', ')}).`);
+        return profile;
+    }
+    if (profiles.length > 1) {
+        throw new UsageError(`${file} holds ${profiles.length} profiles (${profiles.map((p) => p.name).join(', ')}); choose one with --profile-id.`);
+    }
+    return profiles[0];
+}
+
+/**
+ * The API key for a provider: the configured one for the selected provider, else its
+ * provider-specific environment variable.
+ */
+function apiKeyFor(name, options, env) {
+    if (name === options.provider && options.apiKey) return options.apiKey;
+    const names = API_KEY_ENV[name] || [];
+    const found = names.find((n) => env[n]);
+    return found ? env[found] : '';
+}
+
+/**
+ * Creates a provider from the options and environment, like createConfiguredProvider in main.js.
+ * @throws {UsageError} When the provider needs an API key and none is set.
+ */
+function createProvider(name, model, options, env) {
+    if (name === 'replay') {
+        return LlmProviderFactory.create('replay', 'fixture', null, { fixture: fs.readFileSync(options.fixture, 'utf8') });
+    }
+    const apiKey = apiKeyFor(name, options, env);
+    if (!apiKey && LlmProviderFactory.requiresApiKey(name)) {
+        const vars = API_KEY_ENV[name] || [];
+        throw new UsageError(name === options.provider
+            ? `No API key for "${name}": pass --api-key or set ${['AGENT_API_KEY', ...vars].join(' or ')}.`
+            : `No API key for the "${name}" sub-agent: set ${vars.join(' or ') || 'its API key variable'}.`);
+    }
+    const baseUrl = name === options.provider ? options.baseUrl : '';
+    return LlmProviderFactory.create(name, model, apiKey, { baseUrl: baseUrl || undefined, temperature: options.temperature });
+}
+
+// A pack argument as a module URL: local paths are resolved against the working directory.
+function toolPackUrl(spec) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(spec) && !/^[a-z]:[\\/]/i.test(spec)
+        ? spec
+        : pathToFileURL(path.resolve(spec)).href;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8').trim();
+}
+
+/**
+ * Writes trace events to stderr: one summary line each (indented for sub-agents), or JSON lines.
+ */
+function createTraceWriter(format, stderr) {
+    if (format === 'none') return null;
+    if (format === 'json') return (event) => stderr.write(`${JSON.stringify(event)}\n`);
+    let startedAt = null;
+    return (event) => {
+        if (startedAt === null) startedAt = event.time;
+        const offset = `+${((event.time - startedAt) / 1000).toFixed(1)}s`.padStart(7);
+        const indent = '  '.repeat(event.depth || 0);
+        const agent = event.agent ? `[${event.agent}] ` : '';
+        stderr.write(`${offset} ${indent}${agent}${event.type.padEnd(14)} ${core.describeTraceEvent(event)}\n`);
+    };
+}
+
+/**
+ * Asks about a tool call on the terminal; anything but "y" denies it.
+ */
+function createTerminalApprover(stderr) {
+    return async ({ name, args, risk, agent }) => {
+        const rl = readline.createInterface({ input: process.stdin, output: stderr });
+        try {
+            const who = agent ? ` (${agent})` : '';
+            const answer = await new Promise((resolve) => {
+                rl.question(`Allow ${name}${who} [${risk}] ${JSON.stringify(args)}? [y/N] `, resolve);
+            });
+            return /^y(es)?$/i.test(answer.trim())
+                ? { decision: 'approve' }
+                : { decision: 'deny', reason: 'The user denied this tool call.' };
+        } finally {
+            rl.close();
+        }
+    };
+}
+
+// The error line for a failed run; provider errors say what to do about them.
+function describeRunError(error) {
+    if (!(error instanceof ProviderError)) return `Error: ${error.message}`;
+    const hints = {
+        auth: 'Check the API key.',
+        rate_limit: 'The provider is rate limiting requests; wait a moment and try again.',
+        transient: 'The provider could not be reached; try again shortly.',
+        bad_request: 'The provider rejected the request.',
+    };
+    return `Error: the model request failed (${error.kind}): ${error.message} ${hints[error.kind] || ''}`.trim();
+}
+
+// Copies the virtual file system to a real directory.
+function writeFiles(outDir) {
+    const written = [];
+    for (const entry of virtualFileSystem.list('/', { recursive: true })) {
+        if (entry.type !== 'file') continue;
+        const target = path.join(outDir, entry.path); // normalized and free of "..", see VirtualFileSystem
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, virtualFileSystem.readFile(entry.path));
+        written.push(target);
+    }
+    return written;
+}
+
+/**
+ * Runs the CLI.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv = process.argv.slice(2), env = process.env, io = process) {
+    const { stdout, stderr } = io;
+    let options;
+    try {
+        options = parseOptions(argv, env);
+    } catch (e) {
+        stderr.write(`${e.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.completed;
+    }
+
+    const promptFromStdin = options.prompt === '-' || (!options.prompt && !process.stdin.isTTY);
+    const prompt = promptFromStdin ? await readStdin() : options.prompt;
+    if (!prompt) {
+        stderr.write(`No prompt given.\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    const connections = [];
+    let agent = null;
+    const onSigint = () => {
+        if (!agent || !agent.abortController) process.exit(EXIT_CODES.cancelled);
+        stderr.write('Cancelling... (press Ctrl-C again to quit)\n');
+        agent.cancel();
+        process.once('SIGINT', () => process.exit(EXIT_CODES.cancelled));
+    };
+    process.once('SIGINT', onSigint);
+
+    try {
+        const model = options.model || LlmProviderFactory.defaultModels(options.provider)[0];
+        if (!model && options.provider !== 'replay') {
+            throw new UsageError(`Name a model for "${options.provider}" with --model or AGENT_MODEL.`);
+        }
+        const llmProvider = createProvider(options.provider, model, options, env);
+
+        core.webToolsConfig.searchProvider = core.SearchProviderFactory.create({
+            type: options.searchBackend,
+            url: options.searchUrl,
+        });
+        core.webToolsConfig.fetchProxy = options.fetchProxy;
+        for (const spec of options.toolPacks) {
+            const pack = await toolRegistry.loadPack(toolPackUrl(spec));
+            stderr.write(`Loaded tool pack ${pack.namespace} ${pack.version}: ${pack.tools.join(', ')}\n`);
+        }
+        for (const url of options.mcpServers) {
+            const connection = new McpConnection(toolRegistry, url);
+            connections.push(connection);
+            const names = await connection.connect();
+            stderr.write(`Connected MCP server ${url}: ${names.join(', ')}\n`);
+        }
+
+        agent = new Agent(llmProvider, toolRegistry, () => {}, () => {}, {
+            ...(options.profile ? core.profileAgentOptions(options.profile) : {}),
+            approvalPolicy: options.approval,
+            requestApproval: process.stdin.isTTY && !promptFromStdin ? createTerminalApprover(stderr) : null,
+            onTrace: createTraceWriter(options.trace, stderr),
+            memoryStore: core.longTermMemory,
+            // Sub-agents on another provider use that provider's key from the environment.
+            createProvider: ({ provider: name = options.provider, model: childModel }) => {
+                if (options.provider === 'replay') return llmProvider; // the fixture answers every agent in order
+                const subModel = childModel || (name === options.provider ? model : LlmProviderFactory.defaultModels(name)[0]);
+                if (!subModel) throw new Error(`Name a model for the "${name}" sub-agent.`);
+                return createProvider(name, subModel, options, env);
+            },
+        });
+        if (options.maxTurns) agent.maxTurns = options.maxTurns;
+
+        const result = await agent.run(prompt);
+        if (options.outDir) {
+            for (const file of writeFiles(options.outDir)) stderr.write(`Wrote ${file}\n`);
+        }
+        if (options.trace === 'text') {
+            const usage = agent.runUsage;
+            stderr.write(`${result.status} after ${agent.turn} turn(s), ${usage.totalTokens} tokens${usage.estimated ? ' (estimated)' : ''}\n`);
+        }
+        if (result.status === 'completed') {
+            stdout.write(`${result.content}\n`);
+        } else {
+            stderr.write(`${result.content}\n`);
+        }
+        return EXIT_CODES[result.status] ?? EXIT_CODES.failed;
+    } catch (e) {
+        if (e instanceof UsageError) {
+            stderr.write(`${e.message}\n`);
+            return EXIT_CODES.usage;
+        }
+        stderr.write(`${describeRunError(e)}\n`);
+        return EXIT_CODES.failed;
+    } finally {
+        process.removeListener('SIGINT', onSigint);
+        for (const connection of connections) await connection.disconnect().catch(() => {});
+    }
+}
+
+if (require.main === module) {
+    main().then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseOptions, apiKeyFor, EXIT_CODES };
\ No newline at end of file
@@ -0,0 +1,109 @@
+/**
+ * The agent core for Node.js. The browser scripts share one global scope, so they are
+ * evaluated here, in index.html order, in a fresh VM context whose globals are Node's web
+ * APIs (fetch, AbortController, WebSocket, ...), and their public names are exported.
+ *
+ * None of the core touches the DOM: without IndexedDB the stores keep their data in memory,
+ * pages fetched by `fetch_url` are reduced to text without DOMParser, and `run_javascript`
+ * reports that it needs Web Workers.
+ *
+ *   const { Agent, LlmProviderFactory, toolRegistry } = require('vanilla-agent-demo');
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CORE_SCRIPTS = [
+    'storage.js',
+    'traces.js',
+    'memory.js',
+    'schema.js',
+    'vfs.js',
+    'search.js',
+    'sandbox.js',
+    'tool_registry.js',
+    'tools.js',
+    'usage.js',
+    'output_parser.js',
+    'llm_providers.js',
+    'replay.js',
+    'fallback.js',
+    'mcp.js',
+    'agent.js',
+    'profiles.js',
+];
+
+const CORE_EXPORTS = [
+    'Agent',
+    'APPROVAL_POLICIES',
+    'LlmProviderFactory',
+    'BaseLlmProvider',
+    'GeminiProvider',
+    'OpenAiProvider',
+    'OpenAiCompatibleProvider',
+    'OllamaProvider',
+    'ProviderError',
+    'RecordingProvider',
+    'ReplayProvider',
+    'ScriptedProvider',
+    'FallbackProvider',
+    'tryParseToolCall',
+    'ToolRegistry',
+    'toolRegistry',
+    'tools',
+    'registerTool',
+    'unregisterTool',
+    'McpClient',
+    'McpConnection',
+    'VirtualFileSystem',
+    'virtualFileSystem',
+    'MemoryStore',
+    'longTermMemory',
+    'SearchProviderFactory',
+    'webToolsConfig',
+    'UsageTotals',
+    'MODEL_INFO',
+    'getModelInfo',
+    'describeTraceEvent',
+    'expandTraceRequests',
+    'ProfileStore',
+    'normalizeProfile',
+    'parseProfiles',
+    'profileAgentOptions',
+];
+
+// Host globals the core may use; those missing from this Node version are left undefined.
+const HOST_GLOBALS = [
+    'console', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask',
+    'fetch', 'Headers', 'Request', 'Response', 'FormData', 'ReadableStream',
+    'AbortController', 'AbortSignal', 'Event', 'EventTarget',
+    'TextEncoder', 'TextDecoder', 'URL', 'URLSearchParams', 'structuredClone', 'crypto', 'WebSocket',
+];
+
+/**
+ * Loads a new, independent copy of the core: its own tool registry, virtual file system
+ * and memories. `require` returns one shared copy; call this for more.
+ * @returns {object} The names in CORE_EXPORTS.
+ */
+function loadCore() {
+    const globals = {};
+    for (const name of HOST_GLOBALS) {
+        if (globalThis[name] !== undefined) globals[name] = globalThis[name];
+    }
+    // The core's logging is diagnostics, so it all goes to stderr and stdout stays the caller's.
+    globals.console = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+    const context = vm.createContext(globals);
+    for (const file of CORE_SCRIPTS) {
+        const filename = path.join(__dirname, '..', file);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), {
+            filename,
+            // Lets ToolRegistry.loadPack import() tool packs with Node's own module loader.
+            importModuleDynamically: vm.constants && vm.constants.USE_MAIN_CONTEXT_DEFAULT_LOADER,
+        }).runInContext(context);
+    }
+    return vm.runInContext(`({ ${CORE_EXPORTS.join(', ')} })`, context);
+}
+
+module.exports = { ...loadCore(), loadCore };
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * The ES module entry point of the agent core; see core.js.
+ *
+ *   import { Agent, LlmProviderFactory, toolRegistry } from 'vanilla-agent-demo';
+ */
+import { createRequire } from 'node:module';
+
+const core = createRequire(import.meta.url)('./core.js');
+
+export const {
+    Agent,
+    APPROVAL_POLICIES,
+    LlmProviderFactory,
+    BaseLlmProvider,
+    GeminiProvider,
+    OpenAiProvider,
+    OpenAiCompatibleProvider,
+    OllamaProvider,
+    ProviderError,
+    RecordingProvider,
+    ReplayProvider,
+    ScriptedProvider,
+    FallbackProvider,
+    tryParseToolCall,
+    ToolRegistry,
+    toolRegistry,
+    tools,
+    registerTool,
+    unregisterTool,
+    McpClient,
+    McpConnection,
+    VirtualFileSystem,
+    virtualFileSystem,
+    MemoryStore,
+    longTermMemory,
+    SearchProviderFactory,
+    webToolsConfig,
+    UsageTotals,
+    MODEL_INFO,
+    getModelInfo,
+    describeTraceEvent,
+    ProfileStore,
+    normalizeProfile,
+    parseProfiles,
+    profileAgentOptions,
+    loadCore,
+} = core;
+
+export default core;
\ No newline at end of file
@@ -0,0 +1,373 @@
+/**
+ * Runs evaluation suites: each task is run with `Agent.run` in a fresh copy of the core
+ * (its own files, tools and memories), then checked against what the task expects.
+ * Reports give each task's result, turns, tool errors and latency, as JSON or HTML.
+ *
+ * A suite is a JSON file, or a JS module whose default export is the same object (so
+ * answer checks can be functions):
+ *
+ *   {
+ *     "name": "smoke",
+ *     "defaults": { "maxTurns": 6, "approvalPolicy": "full-auto", "timeoutMs": 120000 },
+ *     "tasks": [{
+ *       "id": "haiku",
+ *       "query": "Write a haiku to haiku.txt",
+ *       "files": { "/notes.txt": "..." },           // the virtual files before the run
+ *       "script": [{ "toolCalls": [...] }, "..."],  // offline: see ScriptedProvider
+ *       "fixture": "fixtures/haiku.json",           // offline: a replay fixture, relative to the suite
+ *       "expect": {
+ *         "status": "completed",                      // the default
+ *         "toolCalls": [{ "name": "create_file", "args": { "path": "haiku.txt" } }],
+ *         "forbiddenTools": ["delete_file"],
+ *         "files": { "/haiku.txt": { "contains": "CI" }, "/tmp.txt": { "absent": true } },
+ *         "answer": ["haiku.txt", { "matches": "^Done", "flags": "i" }, { "notContains": "error" }],
+ *         "maxTurns": 3,
+ *         "maxToolErrors": 0
+ *       }
+ *     }]
+ *   }
+ *
+ * Expected tool calls must happen in the listed order (other calls may come between them),
+ * and their `args` only need to match the listed keys. A file expectation is the exact
+ * content, or `{ contains, matches, absent }`. An answer expectation is a string the answer
+ * must contain, `{ contains | notContains | equals | matches }`, or (in JS suites) a
+ * function `(answer, result) => true | false | string` returning true or a failure message.
+ *
+ * With a provider, every task runs against it; without one, tasks run from their script or
+ * fixture, and tasks with neither are skipped.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { loadCore } = require('./core.js');
+
+/**
+ * Reads a suite file (.json, or a .js/.mjs module).
+ * @returns {Promise<object>} The suite, with `dir` set to the file's directory.
+ */
+async function loadSuite(file) {
+    const resolved = path.resolve(file);
+    const suite = /\.json$/i.test(resolved)
+        ? JSON.parse(fs.readFileSync(resolved, 'utf8'))
+        : await import(pathToFileURL(resolved).href).then((m) => m.default || m);
+    if (!suite || !Array.isArray(suite.tasks)) throw new Error(`Suite ${file} has no "tasks" array.`);
+    const ids = new Set();
+    for (const [i, task] of suite.tasks.entries()) {
+        if (!task || typeof task.query !== 'string') throw new Error(`Task ${i + 1} of ${file} has no "query".`);
+        task.id = task.id || `task-${i + 1}`;
+        if (ids.has(task.id)) throw new Error(`Suite ${file} has two tasks with the id "${task.id}".`);
+        ids.add(task.id);
+    }
+    return { name: path.basename(file).replace(/\.[^.]+$/, ''), ...suite, dir: path.dirname(resolved) };
+}
+
+// Whether `actual` has every key of `expected` with a matching value (objects compared recursively).
+function matchesSubset(actual, expected) {
+    if (expected && typeof expected === 'object') {
+        if (!actual || typeof actual !== 'object') return false;
+        return Object.keys(expected).every((key) => matchesSubset(actual[key], expected[key]));
+    }
+    // Paths are compared normalized, so "a.txt" matches "/a.txt".
+    if (typeof expected === 'string' && typeof actual === 'string' && actual.replace(/^\/+/, '') === expected.replace(/^\/+/, '')) {
+        return true;
+    }
+    return actual === expected;
+}
+
+// A failure message for a text expectation, or null when it holds.
+function checkText(text, expected, label) {
+    const value = String(text ?? '');
+    const spec = typeof expected === 'string' ? { contains: expected } : expected;
+    if (spec.equals !== undefined && value.trim() !== String(spec.equals).trim()) {
+        return `${label} is not ${JSON.stringify(spec.equals)}`;
+    }
+    if (spec.contains !== undefined && !value.includes(spec.contains)) {
+        return `${label} does not contain ${JSON.stringify(spec.contains)}`;
+    }
+    if (spec.notContains !== undefined && value.includes(spec.notContains)) {
+        return `${label} contains ${JSON.stringify(spec.notContains)}`;
+    }
+    if (spec.matches !== undefined && !new RegExp(spec.matches, spec.flags || '').test(value)) {
+        return `${label} does not match /${spec.matches}/${spec.flags || ''}`;
+    }
+    return null;
+}
+
+/**
+ * Checks a run against a task's expectations.
+ * @param {object} expect - The task's `expect`.
+ * @param {{status: string, answer: string, toolCalls: Array, turns: number, toolErrors: number,
+ *   vfs: VirtualFileSystem}} run
+ * @returns {Array<{check: string, pass: boolean, message?: string}>}
+ */
+function checkExpectations(expect = {}, run) {
+    const checks = [];
+    const add = (check, failure) => checks.push(failure ? { check, pass: false, message: failure } : { check, pass: true });
+
+    const status = expect.status || 'completed';
+    add('status', run.status !== status && `the run ended "${run.status}", expected "${status}"`);
+
+    if (expect.toolCalls) {
+        let next = 0;
+        for (const call of run.toolCalls) {
+            const wanted = expect.toolCalls[next];
+            if (wanted && call.name === wanted.name && matchesSubset(call.args, wanted.args || {})) next++;
+        }
+        const missing = expect.toolCalls[next];
+        add('toolCalls', missing && `no ${missing.name} call${missing.args ? ` with ${JSON.stringify(missing.args)}` : ''}`
+            + `${next > 0 ? ` after ${expect.toolCalls[next - 1].name}` : ''}`
+            + ` (calls: ${run.toolCalls.map((c) => c.name).join(', ') || 'none'})`);
+    }
+    for (const name of expect.forbiddenTools || []) {
+        add(`forbiddenTools:${name}`, run.toolCalls.some((c) => c.name === name) && `${name} was called`);
+    }
+
+    for (const [file, expected] of Object.entries(expect.files || {})) {
+        const exists = run.vfs.exists(file) && run.vfs.stat(file).type === 'file';
+        if (expected && expected.absent) {
+            add(`files:${file}`, exists && `${file} exists`);
+        } else if (!exists) {
+            add(`files:${file}`, `${file} does not exist`);
+        } else {
+            const content = run.vfs.readFile(file);
+            const spec = typeof expected === 'string' ? { equals: expected } : expected;
+            add(`files:${file}`, checkText(content, spec, file));
+        }
+    }
+
+    const answerChecks = expect.answer === undefined ? [] : [].concat(expect.answer);
+    answerChecks.forEach((expected, i) => {
+        const name = `answer:${i + 1}`;
+        if (typeof expected === 'function') {
+            let verdict;
+            try {
+                verdict = expected(run.answer, run);
+            } catch (e) {
+                verdict = `the check threw: ${e.message}`;
+            }
+            add(name, verdict !== true && (typeof verdict === 'string' ? verdict : 'the check returned false'));
+        } else {
+            add(name, checkText(run.answer, expected, 'the answer'));
+        }
+    });
+
+    if (expect.maxTurns !== undefined) {
+        add('maxTurns', run.turns > expect.maxTurns && `used ${run.turns} turns, at most ${expect.maxTurns} expected`);
+    }
+    if (expect.maxToolErrors !== undefined) {
+        add('maxToolErrors', run.toolErrors > expect.maxToolErrors && `${run.toolErrors} tool error(s), at most ${expect.maxToolErrors} expected`);
+    }
+    return checks;
+}
+
+/**
+ * The provider for a task, in the task's own copy of the core.
+ * @param {object} core - From `loadCore()`.
+ * @param {object} task
+ * @param {string} suiteDir
+ * @param {{provider: string, model: string, apiKey?: string, baseUrl?: string}|null} live
+ * @returns {BaseLlmProvider|null} Null when an offline task has no script or fixture.
+ */
+function providerForTask(core, task, suiteDir, live) {
+    if (live) return core.LlmProviderFactory.create(live.provider, live.model, live.apiKey, { baseUrl: live.baseUrl || undefined });
+    if (task.script) return new core.ScriptedProvider(null, task.model, { script: task.script });
+    if (task.fixture) {
+        const fixture = fs.readFileSync(path.resolve(suiteDir, task.fixture), 'utf8');
+        return core.LlmProviderFactory.create('replay', 'fixture', null, { fixture });
+    }
+    return null;
+}
+
+/**
+ * Runs one task.
+ * @param {object} task
+ * @param {{suiteDir?: string, defaults?: object, live?: object}} [options] - `live` is the
+ *   provider to run against (see `providerForTask`); without it the task's script or fixture is used.
+ * @returns {Promise<object>} The task's report entry.
+ */
+async function runTask(task, options = {}) {
+    const settings = { maxTurns: 10, approvalPolicy: 'full-auto', timeoutMs: 120000, ...options.defaults, ...task };
+    const entry = { id: task.id, query: task.query };
+    const core = loadCore();
+    const llmProvider = providerForTask(core, task, options.suiteDir || '.', options.live || null);
+    if (!llmProvider) return { ...entry, skipped: true, pass: false, reason: 'The task has no script or fixture; run it with a provider.' };
+    for (const [file, content] of Object.entries(task.files || {})) core.virtualFileSystem.writeFile(file, content);
+
+    const events = [];
+    const agent = new core.Agent(llmProvider, core.toolRegistry, () => {}, () => {}, {
+        approvalPolicy: settings.approvalPolicy,
+        memoryStore: core.longTermMemory,
+        onTrace: (event) => events.push(event),
+    });
+    agent.maxTurns = settings.maxTurns;
+
+    const started = Date.now();
+    const timer = setTimeout(() => agent.cancel(), settings.timeoutMs);
+    let result;
+    let error = null;
+    try {
+        result = await agent.run(task.query);
+    } catch (e) {
+        error = e;
+        result = { status: 'error', content: '' };
+    } finally {
+        clearTimeout(timer);
+    }
+    const latencyMs = Date.now() - started;
+    const timedOut = result.status === 'cancelled';
+
+    // The agent's own calls; a sub-agent's calls are part of its delegate_task call.
+    const toolCalls = events.filter((e) => e.type === 'tool_call' && !e.agent).map((e) => ({ name: e.name, args: e.args }));
+    const run = {
+        status: result.status,
+        answer: result.content,
+        toolCalls,
+        turns: agent.turn,
+        toolErrors: events.filter((e) => e.type === 'error' && e.source === 'tool').length,
+        vfs: core.virtualFileSystem,
+    };
+    const checks = error ? [{ check: 'run', pass: false, message: error.message }] : checkExpectations(task.expect, run);
+    if (timedOut) checks.unshift({ check: 'timeout', pass: false, message: `timed out after ${settings.timeoutMs} ms` });
+    return {
+        ...entry,
+        pass: checks.every((c) => c.pass),
+        status: result.status,
+        turns: run.turns,
+        toolCalls: toolCalls.map((c) => c.name),
+        toolErrors: run.toolErrors,
+        parseErrors: agent.parseStats.errors,
+        latencyMs,
+        tokens: agent.runUsage.totalTokens,
+        tokensEstimated: agent.runUsage.estimated,
+        answer: result.content,
+        checks,
+        ...(error ? { error: error.message } : {}),
+    };
+}
+
+/**
+ * Runs a suite's tasks one after another.
+ * @param {object} suite - From `loadSuite`.
+ * @param {{live?: object, only?: Array<string>, onTask?: Function}} [options] - `only` limits the
+ *   run to these task ids; `onTask` receives each task's entry as it finishes.
+ * @returns {Promise<object>} The report: `{ suite, provider, startedAt, finishedAt, summary, tasks }`.
+ */
+async function runSuite(suite, options = {}) {
+    const startedAt = new Date().toISOString();
+    const tasks = [];
+    for (const task of suite.tasks) {
+        if (options.only && options.only.length > 0 && !options.only.includes(task.id)) continue;
+        const entry = await runTask(task, { suiteDir: suite.dir, defaults: suite.defaults, live: options.live });
+        tasks.push(entry);
+        if (options.onTask) options.onTask(entry);
+    }
+    return {
+        suite: suite.name,
+        provider: options.live ? { provider: options.live.provider, model: options.live.model } : { provider: 'offline' },
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        summary: summarize(tasks),
+        tasks,
+    };
+}
+
+// Totals over the tasks that ran (skipped tasks are only counted).
+function summarize(tasks) {
+    const ran = tasks.filter((t) => !t.skipped);
+    const passed = ran.filter((t) => t.pass).length;
+    const total = (key) => ran.reduce((sum, t) => sum + (t[key] || 0), 0);
+    const mean = (key) => (ran.length > 0 ? Math.round((total(key) / ran.length) * 10) / 10 : 0);
+    return {
+        tasks: tasks.length,
+        ran: ran.length,
+        passed,
+        failed: ran.length - passed,
+        skipped: tasks.length - ran.length,
+        passRate: ran.length > 0 ? passed / ran.length : 0,
+        meanTurns: mean('turns'),
+        toolErrors: total('toolErrors'),
+        parseErrors: total('parseErrors'),
+        totalLatencyMs: total('latencyMs'),
+        meanLatencyMs: mean('latencyMs'),
+        tokens: total('tokens'),
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// One suite's part of the HTML report: its totals, then a row per task.
+function renderSuiteHtml(report) {
+    const s = report.summary;
+    const percent = `${Math.round(s.passRate * 1000) / 10}%`;
+    const provider = report.provider.model ? `${report.provider.provider} · ${report.provider.model}` : report.provider.provider;
+    const rows = report.tasks.map((t) => {
+        const result = t.skipped ? 'skip' : t.pass ? 'pass' : 'fail';
+        const failures = (t.checks || []).filter((c) => !c.pass).map((c) => `<li><code>${escapeHtml(c.check)}</code> ${escapeHtml(c.message)}</li>`).join('');
+        const details = t.skipped
+            ? escapeHtml(t.reason)
+            : `${failures ? `<ul>${failures}</ul>` : ''}<details><summary>Answer and tool calls</summary>`
+                + `<p>${escapeHtml((t.toolCalls || []).join(' → ') || 'No tool calls')}</p><pre>${escapeHtml(t.answer)}</pre></details>`;
+        return `<tr class="${result}"><td>${result.toUpperCase()}</td><td><strong>${escapeHtml(t.id)}</strong><div class="query">${escapeHtml(t.query)}</div></td>`
+            + `<td>${t.skipped ? '' : escapeHtml(t.status)}</td><td>${t.turns ?? ''}</td><td>${t.toolErrors ?? ''}</td>`
+            + `<td>${t.latencyMs ?? ''}</td><td>${details}</td></tr>`;
+    }).join('\n');
+    return `<section>
+<h1>Eval: ${escapeHtml(report.suite)}</h1>
+<p>${escapeHtml(provider)} · ${escapeHtml(report.startedAt)}</p>
+<div class="summary">
+<div><strong>${percent}</strong>pass rate (${s.passed}/${s.ran})</div>
+<div><strong>${s.failed}</strong>failed</div>
+<div><strong>${s.skipped}</strong>skipped</div>
+<div><strong>${s.meanTurns}</strong>mean turns</div>
+<div><strong>${s.toolErrors}</strong>tool errors</div>
+<div><strong>${s.meanLatencyMs} ms</strong>mean latency</div>
+</div>
+<table>
+<thead><tr><th>Result</th><th>Task</th><th>Status</th><th>Turns</th><th>Tool errors</th><th>Latency (ms)</th><th>Details</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</section>`;
+}
+
+/**
+ * A self-contained HTML page summarizing one or more suite reports.
+ * @param {object|Array<object>} reports - From `runSuite`.
+ * @returns {string}
+ */
+function renderHtmlReport(reports) {
+    const list = [].concat(reports);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Eval: ${escapeHtml(list.map((r) => r.suite).join(', '))}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #1c1e21; }
+section + section { margin-top: 3rem; }
+.summary { display: flex; gap: 1.5rem; flex-wrap: wrap; margin: 1rem 0; }
+.summary div { background: #f7f8fa; border: 1px solid #dddfe2; border-radius: 8px; padding: 0.5rem 1rem; }
+.summary strong { display: block; font-size: 1.4rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+th, td { border-bottom: 1px solid #e4e6eb; padding: 0.5rem; text-align: left; vertical-align: top; }
+tr.pass td:first-child { color: #1e8e3e; font-weight: 600; }
+tr.fail td:first-child { color: #d93025; font-weight: 600; }
+tr.skip td:first-child { color: #606770; }
+.query { color: #606770; }
+pre { white-space: pre-wrap; background: #f7f8fa; padding: 0.5rem; border-radius: 6px; }
+ul { margin: 0; padding-left: 1.2rem; }
+</style>
+</head>
+<body>
+${list.map(renderSuiteHtml).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { loadSuite, runTask, runSuite, checkExpectations, renderHtmlReport };
\ No newline at end of file
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Runs evaluation suites from the command line (see eval.js for the suite format):
+ *
+ *   vanilla-agent-eval evals/smoke.json --html report.html
+ *   vanilla-agent-eval evals/smoke.json --provider openai --model gpt-5-mini --json report.json
+ *
+ * Progress goes to stderr, one line per task. Exits with 0 when every task that ran passed.
+ */
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { LlmProviderFactory } = require('./core.js');
+const { apiKeyFor } = require('./cli.js');
+const { loadSuite, runSuite, renderHtmlReport } = require('./eval.js');
+
+const EXIT_CODES = { passed: 0, failed: 1, usage: 2 };
+
+const USAGE = `Usage: vanilla-agent-eval [options] <suite...>
+
+Runs each suite's tasks through the agent and reports pass rate, turns, tool errors and latency.
+Without --provider, tasks run offline from their scripts or replay fixtures.
+
+Options:
+  --provider <name>   Run every task against this provider (env AGENT_PROVIDER)
+  --model <name>      Model id (env AGENT_MODEL, default: the provider's first model)
+  --api-key <key>     API key (env AGENT_API_KEY, or GEMINI_API_KEY / OPENAI_API_KEY)
+  --base-url <url>    Server URL for openai-compatible and ollama (env AGENT_BASE_URL)
+  --task <id>         Run only this task (repeatable)
+  --json <file>       Write the JSON report here (default: stdout)
+  --html <file>       Write the HTML summary here
+  -h, --help          Show this help
+
+Exit codes: 0 all tasks that ran passed, 1 a task failed, 2 bad usage.`;
+
+/**
+ * The live provider settings from flags and environment, or null to run offline.
+ * @throws {Error} When the provider is unknown, or needs a key or model that isn't set.
+ */
+function liveProvider(values, env) {
+    const provider = values.provider || env.AGENT_PROVIDER;
+    if (!provider) return null;
+    LlmProviderFactory.providerClass(provider);
+    const model = values.model || env.AGENT_MODEL || LlmProviderFactory.defaultModels(provider)[0];
+    if (!model) throw new Error(`Name a model for "${provider}" with --model or AGENT_MODEL.`);
+    const apiKey = apiKeyFor(provider, { provider, apiKey: values['api-key'] || env.AGENT_API_KEY }, env);
+    if (!apiKey && LlmProviderFactory.requiresApiKey(provider)) {
+        throw new Error(`No API key for "${provider}": pass --api-key or set AGENT_API_KEY.`);
+    }
+    return { provider, model, apiKey, baseUrl: values['base-url'] || env.AGENT_BASE_URL || '' };
+}
+
+function describeEntry(t) {
+    if (t.skipped) return `SKIP ${t.id}: ${t.reason}`;
+    const line = `${t.pass ? 'PASS' : 'FAIL'} ${t.id} (${t.status}, ${t.turns} turn(s), ${t.toolErrors} tool error(s), ${t.latencyMs} ms)`;
+    const failures = t.checks.filter((c) => !c.pass).map((c) => `\n       ${c.check}: ${c.message}`).join('');
+    return line + failures;
+}
+
+/**
+ * Runs the eval CLI.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv = process.argv.slice(2), env = process.env, io = process) {
+    const { stdout, stderr } = io;
+    let values;
+    let positionals;
+    let live;
+    try {
+        ({ values, positionals } = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'provider': { type: 'string' },
+                'model': { type: 'string' },
+                'api-key': { type: 'string' },
+                'base-url': { type: 'string' },
+                'task': { type: 'string', multiple: true, default: [] },
+                'json': { type: 'string' },
+                'html': { type: 'string' },
+                'help': { type: 'boolean', short: 'h', default: false },
+            },
+        }));
+        if (values.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.passed;
+        }
+        if (positionals.length === 0) throw new Error('Name at least one suite file.');
+        live = liveProvider(values, env);
+    } catch (e) {
+        stderr.write(`${e.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.usage;
+    }
+
+    const reports = [];
+    for (const file of positionals) {
+        let suite;
+        try {
+            suite = await loadSuite(file);
+        } catch (e) {
+            stderr.write(`Could not load ${file}: ${e.message}\n`);
+            return EXIT_CODES.usage;
+        }
+        stderr.write(`Suite ${suite.name} (${live ? `${live.provider} · ${live.model}` : 'offline'})\n`);
+        const report = await runSuite(suite, {
+            live,
+            only: values.task,
+            onTask: (entry) => stderr.write(`  ${describeEntry(entry)}\n`),
+        });
+        const s = report.summary;
+        stderr.write(`  ${s.passed}/${s.ran} passed (${Math.round(s.passRate * 100)}%), ${s.skipped} skipped, `
+            + `mean ${s.meanTurns} turn(s), ${s.toolErrors} tool error(s), mean ${s.meanLatencyMs} ms\n`);
+        reports.push(report);
+    }
+
+    // One suite gives one report; several give { reports: [...] } in one file.
+    const output = reports.length === 1 ? reports[0] : { reports };
+    const json = `${JSON.stringify(output, null, 2)}\n`;
+    if (values.json) fs.writeFileSync(values.json, json);
+    else stdout.write(json);
+    if (values.html) fs.writeFileSync(values.html, renderHtmlReport(reports));
+    return reports.every((r) => r.summary.failed === 0) ? EXIT_CODES.passed : EXIT_CODES.failed;
+}
+
+if (require.main === module) {
+    main().then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main };
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Parser for the JSON-in-text agent protocol (see `buildSystemPrompt`): every reply should be
+ * one JSON object, either {"tool": name, "arguments": {...}}, {"tool_calls": [...]} or
+ * {"final": "..."}. Models wrap it in prose or code fences, nest objects in the arguments,
+ * and write JSON5-isms (single quotes, trailing commas, unquoted keys, comments), so objects
+ * are found by balanced-brace scanning and repaired before giving up.
+ */
+
+/**
+ * Finds the top-level {...} spans in text, skipping braces inside quoted strings.
+ * @returns {{objects: Array<string>, unterminated: string|null}} `unterminated` is an object
+ *   that was opened but never closed (usually a truncated reply).
+ */
+function extractJsonObjects(text) {
+    const objects = [];
+    let depth = 0;
+    let start = -1;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\') i++;
+            else if (ch === quote) quote = null;
+            continue;
+        }
+        // Quotes only delimit strings inside an object; apostrophes in prose don't.
+        if (depth > 0 && (ch === '"' || ch === "'")) {
+            quote = ch;
+        } else if (ch === '{') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (ch === '}' && depth > 0) {
+            depth--;
+            if (depth === 0) objects.push(text.slice(start, i + 1));
+        }
+    }
+    return { objects, unterminated: depth > 0 ? text.slice(start) : null };
+}
+
+/**
+ * Rewrites JSON5-style text as strict JSON: single-quoted strings, unquoted keys, trailing
+ * commas, comments, raw newlines inside strings, and Python's True/False/None.
+ */
+function repairJson(text) {
+    let out = '';
+    let i = 0;
+    // The next character that isn't whitespace or part of a comment.
+    const nextSignificant = (from) => {
+        let j = from;
+        while (j < text.length) {
+            if (/\s/.test(text[j])) {
+                j++;
+            } else if (text[j] === '/' && text[j + 1] === '/') {
+                while (j < text.length && text[j] !== '\n') j++;
+            } else if (text[j] === '/' && text[j + 1] === '*') {
+                const end = text.indexOf('*/', j + 2);
+                j = end === -1 ? text.length : end + 2;
+            } else {
+                break;
+            }
+        }
+        return text[j];
+    };
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '"' || ch === "'") {
+            // Re-emit the string with double quotes and valid escapes.
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== ch) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    const next = text[i + 1];
+                    value += next === "'" ? "'" : `\\${next}`;
+                    i += 2;
+                    continue;
+                }
+                if (text[i] === '"') value += '\\"';
+                else if (text[i] === '\n') value += '\\n';
+                else if (text[i] === '\r') value += '\\r';
+                else if (text[i] === '\t') value += '\\t';
+                else value += text[i];
+                i++;
+            }
+            out += `"${value}"`;
+            i++;
+        } else if (ch === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (ch === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (ch === ',' && (nextSignificant(i + 1) === '}' || nextSignificant(i + 1) === ']')) {
+            i++;
+        } else if (/[A-Za-z_$]/.test(ch)) {
+            let word = '';
+            while (i < text.length && /[\w$]/.test(text[i])) word += text[i++];
+            if (nextSignificant(i) === ':') out += `"${word}"`;
+            else out += { True: 'true', False: 'false', None: 'null' }[word] || word;
+        } else {
+            out += ch;
+            i++;
+        }
+    }
+    return out;
+}
+
+/**
+ * Parses JSON, falling back to `repairJson`.
+ * @returns {{value: *, repaired: boolean}}
+ * @throws {SyntaxError} With the strict parser's message when repair doesn't help either.
+ */
+function parseJsonLenient(text) {
+    try {
+        return { value: JSON.parse(text), repaired: false };
+    } catch (e) {
+        try {
+            return { value: JSON.parse(repairJson(text)), repaired: true };
+        } catch (_) {
+            throw e;
+        }
+    }
+}
+
+// Tool arguments arrive as objects, JSON strings, fenced JSON or double-encoded JSON.
+function parseToolArguments(val) {
+    if (val == null) return {};
+    if (typeof val === 'object') return val;
+    if (typeof val !== 'string') return {};
+    const s = val.trim().replace(/^```(?:json5?)?\s*([\s\S]*?)\s*```$/i, '$1').trim();
+    if (!s) return {};
+    try {
+        const { value } = parseJsonLenient(s);
+        if (typeof value === 'string') return parseToolArguments(value);
+        return value && typeof value === 'object' ? value : {};
+    } catch (_) {
+        return {};
+    }
+}
+
+// Map a parsed protocol object to a step, or null when it has none of the protocol's keys.
+function protocolStep(obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+    if (obj.final !== undefined) {
+        const content = typeof obj.final === 'string' ? obj.final : JSON.stringify(obj.final);
+        return { toolCalls: null, content, stopReason: 'final' };
+    }
+    if (Array.isArray(obj.tool_calls)) {
+        const calls = obj.tool_calls
+            .map((c) => {
+                const name = c && (c.name || c.tool || (c.function && c.function.name));
+                if (!name) return null;
+                // The Agent assigns ids to calls without one.
+                return { id: c.id, name, args: parseToolArguments(c.arguments ?? c.args ?? (c.function && c.function.arguments)) };
+            })
+            .filter(Boolean);
+        if (calls.length > 0) return { toolCalls: calls, content: null, stopReason: 'continue' };
+    }
+    const name = obj.tool || obj.name;
+    if (typeof name === 'string' && name) {
+        return {
+            toolCalls: [{ id: undefined, name, args: parseToolArguments(obj.arguments ?? obj.args) }],
+            content: null,
+            stopReason: 'continue',
+        };
+    }
+    return null;
+}
+
+/**
+ * Parses a reply in the JSON-in-text protocol.
+ * @param {string} text - The raw model reply.
+ * @returns {{toolCalls: Array|null, content: string|null, stopReason: string, repaired?: boolean,
+ *   parseError?: {kind: string, message: string}}} A step. Unusable replies get
+ *   `stopReason: 'parse_error'`, the raw text as `content`, and a `parseError` whose `kind` is
+ *   'no_json', 'invalid_json', 'truncated' or 'unknown_shape'.
+ */
+function tryParseToolCall(text) {
+    const raw = typeof text === 'string' ? text : String(text ?? '');
+    const cleaned = raw.replace(/```(?:json5?)?\s*([\s\S]*?)\s*```/gi, '$1').trim();
+    const failed = (kind, message) => ({
+        toolCalls: null,
+        content: raw,
+        stopReason: 'parse_error',
+        parseError: { kind, message },
+    });
+
+    // A bare JSON string is the model answering without the wrapper; take it as content.
+    if (/^"[\s\S]*"$/.test(cleaned)) {
+        try {
+            const value = JSON.parse(cleaned);
+            if (typeof value === 'string' && value.trim()) {
+                return { toolCalls: null, content: value.trim(), stopReason: 'continue' };
+            }
+        } catch (_) {
+            // not a JSON string after all
+        }
+    }
+
+    const { objects, unterminated } = extractJsonObjects(cleaned);
+    let firstError = null;
+    for (const candidate of objects) {
+        let parsed;
+        try {
+            parsed = parseJsonLenient(candidate);
+        } catch (e) {
+            if (!firstError) firstError = e;
+            continue;
+        }
+        const step = protocolStep(parsed.value);
+        if (step) return parsed.repaired ? { ...step, repaired: true } : step;
+    }
+
+    if (firstError) {
+        return failed('invalid_json', `Your reply contained a JSON object that could not be parsed (${firstError.message}).`);
+    }
+    if (objects.length > 0) {
+        return failed('unknown_shape', 'Your reply was JSON but had neither a "tool" key (with "arguments") nor a "final" key.');
+    }
+    if (unterminated) {
+        return failed('truncated', 'Your reply ended before the JSON object was closed; it may have been cut off. Keep it shorter.');
+    }
+    return failed('no_json', 'Your reply did not contain a JSON object.');
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * The live checklist above the chat that shows the agent's plan from `update_plan`:
+ * one row per step with its status, and the tools called for it.
+ */
+class PlanView {
+    /**
+     * @param {{container: HTMLElement, explanation: HTMLElement, list: HTMLElement}} elements
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.render(null);
+    }
+
+    /**
+     * @param {{explanation: string, steps: Array<{step: string, status: string, calls: Array<string>}>}|null} plan
+     */
+    render(plan) {
+        const { container, explanation, list } = this.elements;
+        const steps = (plan && plan.steps) || [];
+        container.hidden = steps.length === 0;
+        explanation.textContent = (plan && plan.explanation) || '';
+        list.innerHTML = '';
+
+        const marks = { pending: '○', in_progress: '◐', done: '●' };
+        for (const step of steps) {
+            const item = document.createElement('li');
+            item.className = `plan-step plan-${step.status.replace('_', '-')}`;
+
+            const mark = document.createElement('span');
+            mark.className = 'plan-mark';
+            mark.textContent = marks[step.status] || '○';
+            mark.title = step.status.replace('_', ' ');
+
+            const text = document.createElement('span');
+            text.className = 'plan-text';
+            text.textContent = step.step;
+
+            item.append(mark, text);
+            if (step.calls && step.calls.length > 0) {
+                const calls = document.createElement('span');
+                calls.className = 'plan-calls';
+                calls.textContent = step.calls.join(', ');
+                item.appendChild(calls);
+            }
+            list.appendChild(item);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * The profiles dialog: lists the saved agent profiles, edits one at a time (name, custom
+ * instructions, enabled tools, provider and model, temperature and loop limits), and
+ * imports or exports them as JSON. Changes take effect from the next run.
+ */
+class ProfileEditor {
+    /**
+     * @param {{dialog: HTMLDialogElement, list: HTMLElement, name: HTMLInputElement,
+     *   instructions: HTMLTextAreaElement, provider: HTMLSelectElement, model: HTMLInputElement,
+     *   temperature: HTMLInputElement, maxTurns: HTMLInputElement, toolTimeout: HTMLInputElement,
+     *   obsChars: HTMLInputElement, allTools: HTMLInputElement, tools: HTMLElement,
+     *   error: HTMLElement, add: HTMLButtonElement, save: HTMLButtonElement, remove: HTMLButtonElement,
+     *   importFile: HTMLInputElement, export: HTMLButtonElement, close: HTMLButtonElement}} elements
+     * @param {ProfileStore} store
+     * @param {ToolRegistry} registry - Lists the tools a profile can enable.
+     */
+    constructor(elements, store, registry) {
+        this.elements = elements;
+        this.store = store;
+        this.registry = registry;
+        this.draft = null; // the profile being edited; not saved until "Save"
+        elements.add.addEventListener('click', () => this.edit({ ...PROFILE_DEFAULTS, id: '', name: 'New profile' }));
+        elements.save.addEventListener('click', () => this.saveDraft());
+        elements.remove.addEventListener('click', () => this.deleteDraft());
+        elements.export.addEventListener('click', () => this.exportProfiles());
+        elements.importFile.addEventListener('change', () => this.importProfiles());
+        elements.close.addEventListener('click', () => elements.dialog.close());
+        elements.allTools.addEventListener('change', () => this.renderTools());
+        this.store.onChange(() => this.renderList());
+        this.registry.onChange(() => {
+            if (this.draft) this.renderTools();
+        });
+    }
+
+    /**
+     * Opens the dialog on a profile.
+     * @param {string} [id] - The profile to edit; the default profile when omitted.
+     */
+    open(id) {
+        this.edit(this.store.get(id));
+        if (!this.elements.dialog.open) this.elements.dialog.showModal();
+    }
+
+    edit(profile) {
+        const e = this.elements;
+        this.draft = { ...profile };
+        e.name.value = profile.name;
+        e.instructions.value = profile.instructions;
+        e.provider.value = profile.provider;
+        e.model.value = profile.model;
+        e.temperature.value = profile.temperature === null ? '' : `${profile.temperature}`;
+        e.maxTurns.value = `${profile.maxTurns}`;
+        e.toolTimeout.value = `${profile.toolTimeoutMs}`;
+        e.obsChars.value = `${profile.obsTruncateChars}`;
+        e.allTools.checked = profile.tools === null;
+        e.remove.disabled = !profile.id || profile.id === DEFAULT_PROFILE_ID;
+        this.showError('');
+        this.renderList();
+        this.renderTools(profile.tools || []);
+    }
+
+    renderList() {
+        const { list } = this.elements;
+        list.innerHTML = '';
+        const profiles = this.store.list();
+        if (this.draft && !this.draft.id) profiles.push(this.draft); // an unsaved new profile
+        for (const profile of profiles) {
+            const item = document.createElement('li');
+            item.textContent = profile.name;
+            item.classList.toggle('active', !!this.draft && profile.id === this.draft.id);
+            if (profile.id) item.addEventListener('click', () => this.edit(this.store.get(profile.id)));
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Lists the registered tools as checkboxes, hidden while "All tools" is checked.
+     * @param {Array<string>} [checked] - Tools to check; by default the current checkboxes are kept.
+     */
+    renderTools(checked = this.checkedTools()) {
+        const { tools, allTools } = this.elements;
+        tools.hidden = allTools.checked;
+        tools.innerHTML = '';
+        const names = this.registry.list().map((t) => t.name);
+        // Tools the profile enables that aren't registered now (e.g. from a disconnected MCP server) stay listed.
+        for (const name of checked) if (!names.includes(name)) names.push(name);
+        for (const name of names) {
+            const label = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = name;
+            box.checked = checked.includes(name);
+            label.append(box, ` ${name}`);
+            if (!this.registry.has(name)) label.classList.add('missing');
+            tools.appendChild(label);
+        }
+    }
+
+    checkedTools() {
+        return Array.from(this.elements.tools.querySelectorAll('input:checked'), (box) => box.value);
+    }
+
+    // The profile as currently entered in the form.
+    readForm() {
+        const e = this.elements;
+        return {
+            id: this.draft.id,
+            name: e.name.value,
+            instructions: e.instructions.value,
+            tools: e.allTools.checked ? null : this.checkedTools(),
+            provider: e.provider.value,
+            model: e.model.value,
+            temperature: e.temperature.value.trim(),
+            maxTurns: e.maxTurns.value,
+            toolTimeoutMs: e.toolTimeout.value,
+            obsTruncateChars: e.obsChars.value,
+        };
+    }
+
+    saveDraft() {
+        if (!this.draft) return;
+        try {
+            this.edit(this.store.save(this.readForm()));
+        } catch (err) {
+            this.showError(err.message);
+        }
+    }
+
+    deleteDraft() {
+        if (!this.draft || !this.draft.id || this.draft.id === DEFAULT_PROFILE_ID) return;
+        if (!confirm(`Delete the profile "${this.draft.name}"?`)) return;
+        this.store.delete(this.draft.id);
+        this.edit(this.store.get(DEFAULT_PROFILE_ID));
+    }
+
+    // Downloads every profile as JSON.
+    exportProfiles() {
+        const blob = new Blob([this.store.exportJson()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'agent-profiles.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async importProfiles() {
+        const { importFile } = this.elements;
+        const file = importFile.files && importFile.files[0];
+        if (!file) return;
+        try {
+            const imported = this.store.importJson(await file.text());
+            this.edit(imported[0]);
+        } catch (err) {
+            this.showError(`Could not import ${file.name}: ${err.message}`);
+        } finally {
+            importFile.value = '';
+        }
+    }
+
+    showError(message) {
+        this.elements.error.textContent = message;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Agent profiles: named bundles of run settings a conversation can switch between. A profile
+ * holds `{ id, name, instructions, tools, provider, model, temperature, maxTurns, toolTimeoutMs,
+ * obsTruncateChars }`:
+ * - `instructions` are appended to the system prompt,
+ * - `tools` names the tools the model may use (null enables every tool, including ones
+ *   registered later),
+ * - `provider` and `model` override the settings bar when set ('' keeps its choice),
+ * - `temperature` is passed to the provider (null keeps the model's default),
+ * - the limits replace the Agent's defaults.
+ *
+ * Profiles are kept in localStorage (in memory where there is none) and exported or
+ * imported as `{ version: 1, profiles: [...] }` JSON.
+ */
+const PROFILE_FORMAT_VERSION = 1;
+const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_DEFAULTS = {
+    instructions: '',
+    tools: null,
+    provider: '',
+    model: '',
+    temperature: null,
+    maxTurns: 10,
+    toolTimeoutMs: 10000,
+    obsTruncateChars: 3000,
+};
+// Accepted ranges of the numeric settings.
+const PROFILE_LIMITS = {
+    temperature: [0, 2],
+    maxTurns: [1, 50],
+    toolTimeoutMs: [1000, 600000],
+    obsTruncateChars: [200, 100000],
+};
+const PROFILE_INSTRUCTIONS_MAX_CHARS = 8000;
+
+/**
+ * Checks a profile and fills in defaults for missing settings.
+ * @param {object} raw - A profile as stored, edited or imported.
+ * @returns {object} A new, complete profile.
+ * @throws {Error} When a setting has the wrong type or is out of range.
+ */
+function normalizeProfile(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('A profile must be an object.');
+    // Only known settings are kept; unknown keys in imported JSON are dropped.
+    const profile = { id: raw.id, name: raw.name };
+    for (const [key, value] of Object.entries(PROFILE_DEFAULTS)) profile[key] = raw[key] ?? value;
+    const label = raw.name ? `Profile "${raw.name}"` : 'Profile';
+
+    profile.name = String(profile.name || '').trim();
+    if (!profile.name) throw new Error('A profile needs a name.');
+    profile.id = String(profile.id || '').trim() || createProfileId(profile.name);
+    if (typeof profile.instructions !== 'string') throw new Error(`${label}: instructions must be a string.`);
+    if (profile.instructions.length > PROFILE_INSTRUCTIONS_MAX_CHARS) {
+        throw new Error(`${label}: instructions are longer than ${PROFILE_INSTRUCTIONS_MAX_CHARS} characters.`);
+    }
+    if (profile.tools !== null) {
+        if (!Array.isArray(profile.tools) || profile.tools.some((t) => typeof t !== 'string')) {
+            throw new Error(`${label}: tools must be a list of tool names, or null for every tool.`);
+        }
+        profile.tools = Array.from(new Set(profile.tools));
+    }
+    for (const key of ['provider', 'model']) {
+        if (typeof profile[key] !== 'string') throw new Error(`${label}: ${key} must be a string.`);
+        profile[key] = profile[key].trim();
+    }
+    if (profile.temperature === '') profile.temperature = null;
+    for (const [key, [min, max]] of Object.entries(PROFILE_LIMITS)) {
+        if (key === 'temperature' && profile.temperature === null) continue;
+        const value = Number(profile[key]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`${label}: ${key} must be a number from ${min} to ${max}.`);
+        }
+        profile[key] = key === 'temperature' ? value : Math.round(value);
+    }
+    return profile;
+}
+
+function createProfileId(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    return `${slug || 'profile'}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Reads profiles from exported JSON: the `{ version, profiles }` format, a list of profiles,
+ * or a single profile.
+ * @param {string|object} json
+ * @returns {Array<object>} The normalized profiles.
+ * @throws {Error} When the JSON is malformed or a profile is invalid.
+ */
+function parseProfiles(json) {
+    let data = json;
+    if (typeof json === 'string') {
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Profiles must be JSON: ${e.message}`);
+        }
+    }
+    if (data && Array.isArray(data.profiles)) {
+        if (data.version > PROFILE_FORMAT_VERSION) {
+            throw new Error(`Profiles were exported in format version ${data.version}; this version reads up to ${PROFILE_FORMAT_VERSION}.`);
+        }
+        data = data.profiles;
+    }
+    const list = Array.isArray(data) ? data : [data];
+    if (list.length === 0) throw new Error('No profiles found.');
+    return list.map(normalizeProfile);
+}
+
+/**
+ * The Agent options a profile sets (see Agent's constructor).
+ * @param {object} profile
+ */
+function profileAgentOptions(profile) {
+    return {
+        instructions: profile.instructions,
+        enabledTools: profile.tools,
+        maxTurns: profile.maxTurns,
+        toolTimeoutMs: profile.toolTimeoutMs,
+        obsTruncateChars: profile.obsTruncateChars,
+    };
+}
+
+/**
+ * The saved profiles. The built-in default profile always exists: it can be edited but not
+ * deleted, and `get` falls back to it for unknown ids (e.g. a conversation whose profile
+ * was deleted).
+ */
+class ProfileStore {
+    /**
+     * @param {string} [storageKey] - The localStorage key.
+     */
+    constructor(storageKey = 'codex-agent-profiles') {
+        this.storageKey = storageKey;
+        this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+        this.profiles = this.load();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Registers a listener called after profiles are added, edited or deleted.
+     * @returns {Function} Unsubscribes the listener.
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) listener();
+    }
+
+    // Reads the saved profiles, skipping any that no longer validate.
+    load() {
+        let saved = [];
+        try {
+            saved = JSON.parse((this.storage && this.storage.getItem(this.storageKey)) || '[]');
+        } catch (e) {
+            console.warn('Could not read the saved profiles:', e);
+        }
+        const profiles = [];
+        for (const raw of Array.isArray(saved) ? saved : []) {
+            try {
+                profiles.push(normalizeProfile(raw));
+            } catch (e) {
+                console.warn('Skipped an invalid saved profile:', e.message);
+            }
+        }
+        if (!profiles.some((p) => p.id === DEFAULT_PROFILE_ID)) {
+            profiles.unshift(normalizeProfile({ id: DEFAULT_PROFILE_ID, name: 'Default' }));
+        }
+        return profiles;
+    }
+
+    persist() {
+        if (this.storage) this.storage.setItem(this.storageKey, JSON.stringify(this.profiles));
+        this.notify();
+    }
+
+    /**
+     * Lists the profiles, the default one first.
+     * @returns {Array<object>}
+     */
+    list() {
+        return this.profiles.slice();
+    }
+
+    has(id) {
+        return this.profiles.some((p) => p.id === id);
+    }
+
+    /**
+     * The profile with this id, or the default profile.
+     * @returns {object}
+     */
+    get(id) {
+        return this.profiles.find((p) => p.id === id) || this.profiles.find((p) => p.id === DEFAULT_PROFILE_ID);
+    }
+
+    /**
+     * Adds a profile, or replaces the one with the same id.
+     * @returns {object} The saved (normalized) profile.
+     * @throws {Error} When the profile is invalid.
+     */
+    save(raw) {
+        const profile = normalizeProfile(raw);
+        const index = this.profiles.findIndex((p) => p.id === profile.id);
+        if (index >= 0) this.profiles[index] = profile;
+        else this.profiles.push(profile);
+        this.persist();
+        return profile;
+    }
+
+    delete(id) {
+        if (id === DEFAULT_PROFILE_ID) throw new Error('The default profile cannot be deleted.');
+        this.profiles = this.profiles.filter((p) => p.id !== id);
+        this.persist();
+    }
+
+    /**
+     * Exports profiles as JSON.
+     * @param {Array<string>} [ids] - The profiles to export; all of them when omitted.
+     * @returns {string}
+     */
+    exportJson(ids) {
+        const profiles = ids ? this.profiles.filter((p) => ids.includes(p.id)) : this.profiles;
+        return JSON.stringify({ version: PROFILE_FORMAT_VERSION, profiles }, null, 2);
+    }
+
+    /**
+     * Imports exported profiles. A profile whose id is already saved replaces it. Nothing is
+     * imported when any profile is invalid.
+     * @returns {Array<object>} The imported profiles.
+     * @throws {Error} When the JSON or a profile in it is invalid.
+     */
+    importJson(json) {
+        const imported = parseProfiles(json);
+        for (const profile of imported) {
+            const index = this.profiles.findIndex((p) => p.id === profile.id);
+            if (index >= 0) this.profiles[index] = profile;
+            else this.profiles.push(profile);
+        }
+        this.persist();
+        return imported;
+    }
+}
+
+const profileStore = new ProfileStore();
\ No newline at end of file
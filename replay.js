@@ -0,0 +1,200 @@
+/**
+ * Record and playback of provider traffic, so agent runs can be reproduced offline.
+ *
+ * A fixture is plain JSON:
+ *   { version: 1, provider, model, recordedAt, interactions: [{ request, response, events? }] }
+ * where `request` is `{ history, tools }` (tool names only), `response` is the step the
+ * provider returned, and `events` are the non-final streaming events when the call was streamed.
+ */
+const REPLAY_FIXTURE_VERSION = 1;
+
+/**
+ * A stable key for a request's history. Tool call ids are left out because they are
+ * generated per run when a provider doesn't supply them.
+ */
+function replayRequestKey(history) {
+    return JSON.stringify((history || []).map((h) => ({
+        role: h.role,
+        content: h.content ?? null,
+        tool_calls: (h.tool_calls || []).map((c) => [c.function && c.function.name, c.function && c.function.arguments]),
+    })));
+}
+
+/**
+ * Wraps any provider and records each request with the step it produced.
+ * Streaming is passed through unchanged.
+ */
+class RecordingProvider extends BaseLlmProvider {
+    static requiresApiKey = false;
+
+    /**
+     * @param {BaseLlmProvider} inner - The provider that answers the requests.
+     * @param {{provider?: string, interactions?: Array}} [options] - `provider` is the factory name
+     *   stored in the fixture; `interactions` is an array to append to, so a recording can span runs.
+     */
+    constructor(inner, options = {}) {
+        super(null, inner.model, options);
+        this.inner = inner;
+        this.providerName = options.provider || '';
+        this.interactions = options.interactions || [];
+    }
+
+    get contextWindow() {
+        return this.inner.contextWindow;
+    }
+
+    snapshot(history, tools) {
+        return {
+            history: JSON.parse(JSON.stringify(history)),
+            tools: (tools || []).map((t) => t.name),
+        };
+    }
+
+    async getCompletion(history, tools, options = {}) {
+        const request = this.snapshot(history, tools);
+        const step = await this.inner.getCompletion(history, tools, options);
+        this.interactions.push({ request, response: JSON.parse(JSON.stringify(step)) });
+        return step;
+    }
+
+    async *streamCompletion(history, tools, options = {}) {
+        const request = this.snapshot(history, tools);
+        const events = [];
+        for await (const event of this.inner.streamCompletion(history, tools, options)) {
+            if (event.type === 'done') {
+                this.interactions.push({ request, response: JSON.parse(JSON.stringify(event.step)), events });
+            } else {
+                events.push({ ...event });
+            }
+            yield event;
+        }
+    }
+
+    /**
+     * @returns {object} The recording as a fixture for `ReplayProvider`.
+     */
+    toFixture() {
+        return {
+            version: REPLAY_FIXTURE_VERSION,
+            provider: this.providerName,
+            model: this.model,
+            recordedAt: new Date().toISOString(),
+            interactions: this.interactions,
+        };
+    }
+}
+
+/**
+ * Plays a recorded fixture back in order, without a network or API key.
+ *
+ * `options.fixture` is the fixture object or its JSON text. With `options.strict`, each
+ * request must match the recorded one (ignoring tool call ids) or the call throws; otherwise
+ * responses are returned in order regardless of the request. Running past the end throws.
+ */
+class ReplayProvider extends BaseLlmProvider {
+    static requiresApiKey = false;
+    static defaultModels = ['fixture']; // the fixture names the recorded model
+
+    constructor(apiKey, model, options = {}) {
+        const fixture = typeof options.fixture === 'string' ? JSON.parse(options.fixture) : options.fixture;
+        if (!fixture || !Array.isArray(fixture.interactions)) {
+            throw new Error('Replay needs a fixture with an "interactions" array.');
+        }
+        if (fixture.version !== REPLAY_FIXTURE_VERSION) {
+            throw new Error(`Unsupported replay fixture version: ${fixture.version}`);
+        }
+        super(apiKey, fixture.model || model, options);
+        this.fixture = fixture;
+        this.strict = !!options.strict;
+        this.cursor = 0;
+    }
+
+    get remaining() {
+        return this.fixture.interactions.length - this.cursor;
+    }
+
+    reset() {
+        this.cursor = 0;
+    }
+
+    // Take the next interaction, checking the request against it in strict mode.
+    next(history, signal) {
+        if (signal && signal.aborted) {
+            const err = new Error('Request aborted.');
+            err.name = 'AbortError';
+            throw err;
+        }
+        const index = this.cursor;
+        const interaction = this.fixture.interactions[index];
+        if (!interaction) {
+            throw new Error(`Replay fixture exhausted after ${index} response(s).`);
+        }
+        if (this.strict && replayRequestKey(history) !== replayRequestKey(interaction.request && interaction.request.history)) {
+            throw new Error(`Replay request ${index + 1} does not match the fixture.`);
+        }
+        this.cursor++;
+        return JSON.parse(JSON.stringify(interaction));
+    }
+
+    async getCompletion(history, tools, options = {}) {
+        return this.next(history, options.signal).response;
+    }
+
+    async *streamCompletion(history, tools, options = {}) {
+        const interaction = this.next(history, options.signal);
+        for (const event of interaction.events || []) yield event;
+        yield { type: 'done', step: interaction.response };
+    }
+}
+
+/**
+ * Answers from a script written by hand, for evals and tests: one entry per model call.
+ * An entry is a step (`{ toolCalls: [{ name, arguments }], content }`, ids and `stopReason`
+ * are filled in) or a string, which is parsed like a text-protocol reply with
+ * `tryParseToolCall`, so scripts can exercise the parser too.
+ */
+class ScriptedProvider extends BaseLlmProvider {
+    static requiresApiKey = false;
+
+    constructor(apiKey, model, options = {}) {
+        if (!Array.isArray(options.script)) {
+            throw new Error('A scripted provider needs a "script" array of steps.');
+        }
+        super(apiKey, model || 'scripted', options);
+        this.script = options.script;
+        this.cursor = 0;
+    }
+
+    get remaining() {
+        return this.script.length - this.cursor;
+    }
+
+    // The step for a script entry, in the shape providers return.
+    static toStep(entry, index) {
+        if (typeof entry === 'string') return tryParseToolCall(entry);
+        const toolCalls = (entry.toolCalls || []).map((c, i) => ({
+            id: c.id || `script_${index + 1}_${i + 1}`,
+            name: c.name,
+            arguments: c.arguments || {},
+        }));
+        return {
+            toolCalls: toolCalls.length > 0 ? toolCalls : null,
+            content: entry.content ?? null,
+            stopReason: entry.stopReason || (toolCalls.length > 0 ? 'continue' : 'final'),
+            ...(entry.usage ? { usage: entry.usage } : {}),
+        };
+    }
+
+    async getCompletion(history, tools, options = {}) {
+        if (options.signal && options.signal.aborted) {
+            const err = new Error('Request aborted.');
+            err.name = 'AbortError';
+            throw err;
+        }
+        if (this.cursor >= this.script.length) {
+            throw new Error(`The script ran out after ${this.script.length} response(s).`);
+        }
+        const index = this.cursor++;
+        return ScriptedProvider.toStep(JSON.parse(JSON.stringify(this.script[index])), index);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * Runs model-written JavaScript in a throwaway Web Worker for the `run_javascript` tool.
+ *
+ * The worker has no DOM, and its network and storage APIs are removed before the code
+ * runs. That removal is best-effort: dynamic `import()` and other channels can still reach
+ * the network, so the tool is classed as `external` and needs approval.
+ *
+ * The code gets a synchronous `fs` over a copy of the virtual file system; files it writes
+ * or deletes are applied to the real file system only when the run finishes. A run that
+ * times out or is cancelled is terminated and changes nothing.
+ */
+
+/**
+ * The worker's entry point. It is serialized with `toString()` into a Blob URL, so it must
+ * not reference anything outside its own body.
+ */
+function sandboxWorkerMain() {
+    const post = self.postMessage.bind(self);
+
+    // Best-effort isolation: take away network, storage and script-loading APIs.
+    for (const name of ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts',
+        'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'postMessage']) {
+        try {
+            Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+        } catch (_) {
+            // not defined in this environment
+        }
+    }
+
+    const format = (value) => {
+        if (typeof value === 'string') return value;
+        try {
+            const json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (_) {
+            return String(value);
+        }
+    };
+
+    // JSON-safe copy of the code's return value.
+    const serialize = (value) => {
+        if (value === undefined) return undefined;
+        const seen = new WeakSet();
+        try {
+            return JSON.parse(JSON.stringify(value, (key, val) => {
+                if (typeof val === 'bigint') return `${val}n`;
+                if (typeof val === 'function') return `[Function ${val.name || 'anonymous'}]`;
+                if (val instanceof Map) return Object.fromEntries(val);
+                if (val instanceof Set) return Array.from(val);
+                if (val && typeof val === 'object') {
+                    if (seen.has(val)) return '[Circular]';
+                    seen.add(val);
+                }
+                return val;
+            }));
+        } catch (_) {
+            return String(value);
+        }
+    };
+
+    self.onmessage = async (event) => {
+        const { nonce, code, files, maxOutputChars } = event.data;
+        const started = Date.now();
+
+        let outputChars = 0;
+        const stdout = [];
+        const write = (level) => (...args) => {
+            if (outputChars >= maxOutputChars) return;
+            const line = `${level === 'log' ? '' : `[${level}] `}${args.map(format).join(' ')}`;
+            outputChars += line.length + 1;
+            stdout.push(outputChars > maxOutputChars ? `${line.slice(0, line.length - (outputChars - maxOutputChars))}…` : line);
+        };
+        const sandboxConsole = {
+            log: write('log'), info: write('info'), warn: write('warn'), error: write('error'), debug: write('debug'),
+        };
+
+        const contents = new Map(Object.entries(files));
+        const changes = new Map(); // path -> content, or null when deleted
+        const normalize = (path) => {
+            if (typeof path !== 'string' || !path.trim()) throw new Error('Path must be a non-empty string.');
+            const segments = [];
+            for (const segment of path.trim().replace(/\\/g, '/').split('/')) {
+                if (!segment || segment === '.') continue;
+                if (segment === '..') throw new Error(`Path "${path}" must not contain "..".`);
+                segments.push(segment);
+            }
+            return `/${segments.join('/')}`;
+        };
+        const fs = {
+            readFile(path) {
+                const p = normalize(path);
+                if (!contents.has(p)) throw new Error(`File "${p}" does not exist.`);
+                return contents.get(p);
+            },
+            writeFile(path, content) {
+                const p = normalize(path);
+                contents.set(p, String(content));
+                changes.set(p, String(content));
+            },
+            appendFile(path, content) {
+                const p = normalize(path);
+                const next = (contents.get(p) || '') + String(content);
+                contents.set(p, next);
+                changes.set(p, next);
+            },
+            deleteFile(path) {
+                const p = normalize(path);
+                if (!contents.has(p)) throw new Error(`File "${p}" does not exist.`);
+                contents.delete(p);
+                changes.set(p, null);
+            },
+            exists(path) {
+                return contents.has(normalize(path));
+            },
+            listFiles(dir = '/') {
+                const d = normalize(dir);
+                const prefix = d === '/' ? '/' : `${d}/`;
+                return Array.from(contents.keys()).filter((p) => p.startsWith(prefix)).sort();
+            },
+        };
+
+        const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+        let result;
+        let error = null;
+        try {
+            let fn;
+            try {
+                // A lone expression is returned as the result...
+                fn = new AsyncFunction('fs', 'console', `"use strict";\nreturn (${code}\n);`);
+            } catch (_) {
+                // ...anything else runs as a function body (use `return` for a result).
+                fn = new AsyncFunction('fs', 'console', `"use strict";\n${code}`);
+            }
+            result = serialize(await fn(fs, sandboxConsole));
+        } catch (e) {
+            error = {
+                name: (e && e.name) || 'Error',
+                message: e && e.message !== undefined ? String(e.message) : String(e),
+                stack: e && typeof e.stack === 'string' ? e.stack.split('\n').slice(0, 5).join('\n') : undefined,
+            };
+        }
+
+        post({
+            nonce,
+            ok: !error,
+            result,
+            error,
+            stdout: stdout.join('\n'),
+            changes: error ? [] : Array.from(changes.entries()),
+            durationMs: Date.now() - started,
+        });
+    };
+}
+
+let sandboxWorkerUrl = null; // Blob URL of the worker script, created on first use
+
+/**
+ * Runs JavaScript in a new Web Worker and applies its file changes to `vfs`.
+ * @param {string} code - An expression, or a function body (top-level `await` is allowed).
+ * @param {{vfs: VirtualFileSystem, timeoutMs?: number, maxOutputChars?: number, signal?: AbortSignal}} options
+ * @returns {Promise<{ok: boolean, result?: *, stdout: string, error?: object, timedOut?: boolean,
+ *   filesWritten: Array<string>, filesDeleted: Array<string>, durationMs: number}>}
+ */
+function runJavaScriptInWorker(code, options) {
+    const { vfs, timeoutMs = 3000, maxOutputChars = 4000, signal } = options;
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL.createObjectURL !== 'function') {
+        return Promise.reject(new Error('run_javascript needs Web Worker support.'));
+    }
+    if (!sandboxWorkerUrl) {
+        const source = `(${sandboxWorkerMain.toString()})();`;
+        sandboxWorkerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    }
+
+    const files = {};
+    for (const entry of vfs.list('/', { recursive: true })) {
+        if (entry.type === 'file') files[entry.path] = vfs.readFile(entry.path);
+    }
+    const nonce = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(sandboxWorkerUrl);
+        const started = Date.now();
+        let timer;
+        const finish = () => {
+            clearTimeout(timer);
+            worker.terminate();
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            finish();
+            const err = new Error('Aborted.');
+            err.name = 'AbortError';
+            reject(err);
+        };
+
+        timer = setTimeout(() => {
+            finish();
+            resolve({
+                ok: false,
+                timedOut: true,
+                stdout: '',
+                error: { name: 'TimeoutError', message: `Execution exceeded ${timeoutMs} ms and was terminated.` },
+                filesWritten: [],
+                filesDeleted: [],
+                durationMs: Date.now() - started,
+            });
+        }, timeoutMs);
+        if (signal) {
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        worker.onmessage = (event) => {
+            const data = event.data || {};
+            if (data.nonce !== nonce) return; // not the sandbox's own report
+            finish();
+
+            const filesWritten = [];
+            const filesDeleted = [];
+            const fileErrors = [];
+            for (const [path, content] of data.changes || []) {
+                try {
+                    if (content === null) {
+                        if (vfs.exists(path)) vfs.delete(path);
+                        filesDeleted.push(path);
+                    } else {
+                        filesWritten.push(vfs.writeFile(path, content, { overwrite: true }));
+                    }
+                } catch (e) {
+                    fileErrors.push(`${path}: ${e.message}`);
+                }
+            }
+
+            const report = {
+                ok: data.ok && fileErrors.length === 0,
+                result: data.result,
+                stdout: data.stdout,
+                filesWritten,
+                filesDeleted,
+                durationMs: data.durationMs,
+            };
+            if (data.error) report.error = data.error;
+            if (fileErrors.length > 0) report.fileErrors = fileErrors;
+            resolve(report);
+        };
+        worker.onerror = (event) => {
+            // Errors outside the awaited code, e.g. thrown from a timer callback.
+            if (event.preventDefault) event.preventDefault();
+            finish();
+            resolve({
+                ok: false,
+                stdout: '',
+                error: { name: 'Error', message: event.message || 'The sandbox worker failed.' },
+                filesWritten: [],
+                filesDeleted: [],
+                durationMs: Date.now() - started,
+            });
+        };
+
+        worker.postMessage({ nonce, code, files, maxOutputChars });
+    });
+}
\ No newline at end of file
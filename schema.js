@@ -0,0 +1,130 @@
+/**
+ * A small JSON Schema subset used to declare and check tool parameters.
+ * Supported keywords: type, properties, required, additionalProperties, items,
+ * enum, minLength, maxLength, pattern, minimum, maximum, description.
+ */
+
+function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {object} schema - The JSON Schema.
+ * @param {*} value - The value to check.
+ * @param {string} [path] - Location of `value`, used in error messages.
+ * @returns {Array<{path: string, message: string}>} An empty array when the value is valid.
+ */
+function validateSchema(schema, value, path = 'arguments') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const fail = (message) => errors.push({ path, message });
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = schemaTypeOf(value);
+        // An integer is also a number.
+        const ok = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!ok) {
+            fail(`expected ${allowed.join(' or ')}, got ${value === undefined ? 'nothing' : actual}`);
+            return errors;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} character(s)`);
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} character(s)`);
+        }
+        if (schema.pattern) {
+            // Schemas from tool packs and MCP servers may use regex syntax JavaScript can't compile.
+            let pattern = null;
+            try {
+                pattern = new RegExp(schema.pattern);
+            } catch (e) {
+                fail(`invalid schema pattern ${schema.pattern}: ${e.message}`);
+            }
+            if (pattern && !pattern.test(value)) fail(`must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+
+    if (schemaTypeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+        for (const [key, val] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], val, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: `${path}.${key}`, message: 'is not an allowed parameter' });
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Builds an example value for a schema, e.g. {"query": "<string>"} for an object with a string property.
+ * Only required properties are included for objects.
+ */
+function exampleFromSchema(schema) {
+    if (!schema || typeof schema !== 'object') return null;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+        case 'object': {
+            const out = {};
+            for (const key of schema.required || []) {
+                out[key] = exampleFromSchema((schema.properties || {})[key]);
+            }
+            return out;
+        }
+        case 'array':
+            return [exampleFromSchema(schema.items)];
+        case 'string':
+            return '<string>';
+        case 'integer':
+        case 'number':
+            return 0;
+        case 'boolean':
+            return true;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Describes an object schema's properties, one line per parameter, for text prompts.
+ */
+function describeSchemaParameters(schema) {
+    const properties = (schema && schema.properties) || {};
+    const required = new Set((schema && schema.required) || []);
+    return Object.entries(properties).map(([key, prop]) => {
+        const type = Array.isArray(prop.type) ? prop.type.join('|') : (prop.type || 'any');
+        const choices = Array.isArray(prop.enum) ? `, one of ${prop.enum.map((v) => JSON.stringify(v)).join(', ')}` : '';
+        const description = prop.description ? `: ${prop.description}` : '';
+        return `${key} (${type}${choices}, ${required.has(key) ? 'required' : 'optional'})${description}`;
+    });
+}
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * Web search backends for the `search_web` tool, and page-text extraction for `fetch_url`.
+ * Every backend returns results as [{ title, url, snippet }].
+ */
+
+/**
+ * Base class for search backends.
+ */
+class SearchProvider {
+    /**
+     * @param {string} query
+     * @param {{limit?: number, signal?: AbortSignal}} [options]
+     * @returns {Promise<Array<{title: string, url: string, snippet: string}>>}
+     */
+    async search(query, options = {}) {
+        throw new Error("search must be implemented by subclasses.");
+    }
+
+    // GET a URL and decode its JSON body, with a readable error on failure.
+    async getJson(url, signal) {
+        const response = await fetch(url, { headers: { Accept: 'application/json' }, signal });
+        if (!response.ok) {
+            throw new Error(`Search backend error: HTTP ${response.status}`);
+        }
+        try {
+            return await response.json();
+        } catch (e) {
+            throw new Error(`Search backend returned invalid JSON: ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Offline canned results, used when no search backend is configured.
+ */
+class MockSearchProvider extends SearchProvider {
+    async search(query, options = {}) {
+        // Simulate API call delay
+        await sleep(500, options.signal);
+
+        const q = query.toLowerCase();
+        if (q.includes('react')) {
+            return [{
+                title: 'React – A JavaScript library for building user interfaces',
+                url: 'https://react.dev/',
+                snippet: "React is a popular JavaScript library for building user interfaces, maintained by Meta. It allows developers to create large web applications that can change data, without reloading the page.",
+            }];
+        }
+        if (q.includes('agentic workflow')) {
+            return [{
+                title: 'ReAct: Synergizing Reasoning and Acting in Language Models',
+                url: 'https://arxiv.org/abs/2210.03629',
+                snippet: "An agentic workflow involves a loop of reasoning, acting, and observing. The agent reasons about a problem, chooses a tool (action), and observes the result to inform its next step. This is inspired by frameworks like ReAct (Reason+Act).",
+            }];
+        }
+        return [];
+    }
+}
+
+/**
+ * SearXNG-style JSON API: GET {baseUrl}/search?q=...&format=json.
+ */
+class SearxngSearchProvider extends SearchProvider {
+    constructor(baseUrl) {
+        super();
+        if (!baseUrl) throw new Error('SearXNG search requires a base URL.');
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async search(query, options = {}) {
+        const url = `${this.baseUrl}/search?q=${encodeURIComponent(query)}&format=json`;
+        const data = await this.getJson(url, options.signal);
+        return normalizeSearchResults(data.results || [], options.limit);
+    }
+}
+
+/**
+ * Generic REST backend: a URL template with a `{query}` placeholder (URL-encoded on
+ * substitution). The results array is read from `resultsPath` (dot-separated) or, if
+ * unset, from a common key such as `results`, `items` or `data`.
+ */
+class TemplateSearchProvider extends SearchProvider {
+    constructor(urlTemplate, options = {}) {
+        super();
+        if (!urlTemplate || !urlTemplate.includes('{query}')) {
+            throw new Error('Search URL template must contain a {query} placeholder.');
+        }
+        this.urlTemplate = urlTemplate;
+        this.resultsPath = options.resultsPath || '';
+    }
+
+    async search(query, options = {}) {
+        const url = this.urlTemplate.split('{query}').join(encodeURIComponent(query));
+        const data = await this.getJson(url, options.signal);
+
+        let results;
+        if (this.resultsPath) {
+            results = this.resultsPath.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), data);
+        } else if (Array.isArray(data)) {
+            results = data;
+        } else {
+            const key = ['results', 'items', 'data', 'organic_results', 'hits'].find((k) => Array.isArray(data && data[k]));
+            results = key ? data[key] : [];
+        }
+        return normalizeSearchResults(Array.isArray(results) ? results : [], options.limit);
+    }
+}
+
+/**
+ * Maps raw backend results to { title, url, snippet }, accepting common field names.
+ */
+function normalizeSearchResults(rawResults, limit = 5) {
+    return rawResults
+        .map((r) => ({
+            title: String(r.title ?? r.name ?? '').trim(),
+            url: String(r.url ?? r.link ?? r.href ?? '').trim(),
+            snippet: String(r.snippet ?? r.content ?? r.description ?? r.body ?? '').trim(),
+        }))
+        .filter((r) => r.url || r.snippet)
+        .slice(0, limit);
+}
+
+/**
+ * Creates search backends from settings: { type: 'mock' | 'searxng' | 'template', url }.
+ */
+class SearchProviderFactory {
+    static create(config = {}) {
+        switch (config.type || 'mock') {
+            case 'mock':
+                return new MockSearchProvider();
+            case 'searxng':
+                return new SearxngSearchProvider(config.url);
+            case 'template':
+                return new TemplateSearchProvider(config.url, { resultsPath: config.resultsPath });
+            default:
+                throw new Error(`Unknown search backend: ${config.type}`);
+        }
+    }
+}
+
+/**
+ * Search and fetch settings shared by the `search_web` and `fetch_url` tools.
+ * `fetchProxy` is an optional URL template with a `{url}` placeholder, for pages
+ * that can't be fetched directly from the browser because of CORS.
+ */
+const webToolsConfig = {
+    searchProvider: new MockSearchProvider(),
+    fetchProxy: '',
+};
+
+/**
+ * Extracts the readable text of an HTML page: drops scripts, styles and page chrome,
+ * and prefers the <article> or <main> element when there is one.
+ * @returns {{title: string, text: string}}
+ */
+function extractReadableText(html) {
+    if (typeof DOMParser !== 'undefined') {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template, svg, iframe, nav, header, footer, aside, form')
+            .forEach((el) => el.remove());
+        const root = doc.querySelector('article') || doc.querySelector('main') || doc.body;
+        const blocks = root ? root.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, pre, blockquote, td') : [];
+        const text = blocks.length > 0
+            ? Array.from(blocks).map((el) => el.textContent.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n')
+            : (root ? root.textContent.replace(/\s+/g, ' ').trim() : '');
+        return { title: (doc.title || '').trim(), text };
+    }
+
+    // Without a DOM, strip tags with regular expressions.
+    const decode = (str) => str
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+    const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '';
+    const text = decode(html
+        .replace(/<(head|script|style|noscript|template|svg|nav|header|footer|aside)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/(p|div|li|h[1-6]|tr|br|pre|blockquote)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' '))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+    return { title: decode(title).replace(/\s+/g, ' ').trim(), text };
+}
+
+/**
+ * Fetches a page and returns its readable text.
+ * @param {string} url - An http(s) URL.
+ * @param {{maxChars?: number, signal?: AbortSignal}} [options]
+ * @returns {Promise<{url: string, title: string, text: string, truncated: boolean}>}
+ */
+async function fetchReadablePage(url, options = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (_) {
+        throw new Error(`Invalid URL: ${url}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Only http and https URLs can be fetched.');
+    }
+
+    const target = webToolsConfig.fetchProxy
+        ? webToolsConfig.fetchProxy.split('{url}').join(encodeURIComponent(parsed.href))
+        : parsed.href;
+    const response = await fetch(target, { signal: options.signal });
+    if (!response.ok) {
+        throw new Error(`Fetching ${parsed.href} failed: HTTP ${response.status}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    const body = await response.text();
+    const page = contentType.includes('html') || /^\s*<(!doctype|html)/i.test(body)
+        ? extractReadableText(body)
+        : { title: '', text: body.trim() };
+
+    const maxChars = options.maxChars || 2500;
+    return {
+        url: parsed.href,
+        title: page.title,
+        text: page.text.length > maxChars ? page.text.slice(0, maxChars) : page.text,
+        truncated: page.text.length > maxChars,
+    };
+}
\ No newline at end of file
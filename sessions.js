@@ -0,0 +1,66 @@
+/**
+ * Persists conversations so follow-up questions keep their context across queries and reloads.
+ *
+ * A session record holds:
+ * - `history`: the Agent's message history (user, assistant, tool entries),
+ * - `messages`: what the chat log displayed ({ sender, text }, or { sender, artifacts } listing
+ *   the files a run produced),
+ * - `plan`: the agent's latest plan from `update_plan` ({ explanation, steps }), or null,
+ * - `profileId`: the agent profile its runs use (see profiles.js), or null for the default one.
+ * The session's virtual files are persisted separately by `VirtualFileSystem`, keyed by session id.
+ */
+class SessionStore {
+    constructor(storeName = 'sessions') {
+        this.storeName = storeName;
+    }
+
+    /**
+     * Creates (but does not save) an empty session.
+     * @returns {object} The new session record.
+     */
+    create() {
+        const now = Date.now();
+        return {
+            id: typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `session-${now}-${Math.random().toString(36).slice(2)}`,
+            title: 'New conversation',
+            createdAt: now,
+            updatedAt: now,
+            history: [],
+            messages: [],
+            plan: null,
+            profileId: null,
+        };
+    }
+
+    /**
+     * Lists saved sessions, most recently updated first.
+     * @returns {Promise<Array<object>>}
+     */
+    async list() {
+        const sessions = (await dbGetAll(this.storeName)) || [];
+        return sessions.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    }
+
+    async get(id) {
+        return (await dbGet(this.storeName, id)) || null;
+    }
+
+    async save(session) {
+        session.updatedAt = Date.now();
+        await dbPut(this.storeName, session);
+        return session;
+    }
+
+    async rename(id, title) {
+        const session = await this.get(id);
+        if (!session) throw new Error(`Unknown session: ${id}`);
+        session.title = title;
+        return this.save(session);
+    }
+
+    async delete(id) {
+        await dbDelete(this.storeName, id);
+    }
+}
\ No newline at end of file
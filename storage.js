@@ -0,0 +1,87 @@
+/**
+ * A small promise-based wrapper around the app's IndexedDB database.
+ * Object stores are declared in DB_STORES; bump DB_VERSION whenever a store is added.
+ * When IndexedDB is unavailable (e.g. some private browsing modes) data is kept in memory.
+ */
+const DB_NAME = 'codex-agent';
+const DB_VERSION = 4;
+const DB_STORES = {
+    sessions: { keyPath: 'id' },
+    files: { keyPath: 'id' }, // one record of virtual file system entries per session
+    traces: { keyPath: 'id' }, // one record of trace events per agent run
+    memories: { keyPath: 'id' }, // long-term memories, shared by all sessions
+};
+
+let dbPromise = null;
+const memoryStores = new Map(); // fallback: store name -> Map(key -> value)
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [name, options] of Object.entries(DB_STORES)) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, falling back to memory:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+function memoryStore(storeName) {
+    if (!memoryStores.has(storeName)) memoryStores.set(storeName, new Map());
+    return memoryStores.get(storeName);
+}
+
+// Run a single request against an object store and resolve with its result.
+async function withStore(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+async function dbGet(storeName, key) {
+    if (!(await openDatabase())) return memoryStore(storeName).get(key);
+    return withStore(storeName, 'readonly', (store) => store.get(key));
+}
+
+async function dbGetAll(storeName) {
+    if (!(await openDatabase())) return Array.from(memoryStore(storeName).values());
+    return withStore(storeName, 'readonly', (store) => store.getAll());
+}
+
+async function dbPut(storeName, value) {
+    if (!(await openDatabase())) {
+        memoryStore(storeName).set(value[DB_STORES[storeName].keyPath], value);
+        return;
+    }
+    // IndexedDB's structured clone rejects functions and class instances with private state;
+    // stored records are plain data, so a JSON round-trip keeps them cloneable.
+    await withStore(storeName, 'readwrite', (store) => store.put(JSON.parse(JSON.stringify(value))));
+}
+
+async function dbDelete(storeName, key) {
+    if (!(await openDatabase())) {
+        memoryStore(storeName).delete(key);
+        return;
+    }
+    await withStore(storeName, 'readwrite', (store) => store.delete(key));
+}
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * The ReAct loop in `Agent.run`, driven offline by scripted model replies.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core.js');
+
+/**
+ * An agent over a fresh core (its own files and tools) answering from a script.
+ * @param {Array<object|string>} script - ScriptedProvider entries: steps, or raw text replies.
+ */
+function scriptedAgent(script, options = {}) {
+    const core = loadCore();
+    const provider = new core.ScriptedProvider(null, 'scripted', { script });
+    const trace = [];
+    const agent = new core.Agent(provider, core.toolRegistry, () => {}, () => {}, {
+        ...options,
+        onTrace: (event) => trace.push(event),
+    });
+    return { agent, core, provider, trace };
+}
+
+test('runs a tool call and finishes with the answer', async () => {
+    const { agent, core } = scriptedAgent([
+        '{"tool": "create_file", "arguments": {"path": "notes.txt", "content": "hello"}}',
+        '{"final": "Wrote notes.txt."}',
+    ]);
+
+    const result = await agent.run('Write hello to notes.txt');
+
+    assert.equal(result.status, 'completed');
+    assert.equal(result.content, 'Wrote notes.txt.');
+    assert.equal(core.virtualFileSystem.readFile('/notes.txt'), 'hello');
+    const observation = agent.history.find((h) => h.role === 'tool');
+    assert.match(observation.content, /notes\.txt/);
+});
+
+test('asks for a correction after an unparseable reply and carries on', async () => {
+    const { agent, trace } = scriptedAgent([
+        'Let me think about {"tool": "calculator", "arguments": ',
+        '{"tool": "calculator", "arguments": {"expression": "6*7"}}',
+        '{"final": "42"}',
+    ]);
+
+    const result = await agent.run('What is 6*7?');
+
+    assert.equal(result.status, 'completed');
+    assert.equal(result.content, '42');
+    assert.ok(agent.history.some((h) => h.role === 'user' && h.content.startsWith('[format correction]')));
+    assert.ok(trace.some((e) => e.type === 'error' && e.source === 'parser' && e.willRetry));
+    assert.match(agent.history.find((h) => h.role === 'tool').content, /Result: 42/);
+    assert.equal(agent.parseStats.corrections, 1);
+});
+
+test('stops with max_turns when the model never answers', async () => {
+    const step = { toolCalls: [{ name: 'get_current_time', arguments: {} }] };
+    const { agent, provider } = scriptedAgent([step, step, step, step], { maxTurns: 3 });
+
+    const result = await agent.run('Keep checking the time');
+
+    assert.equal(result.status, 'max_turns');
+    assert.equal(agent.turn, 3);
+    assert.equal(provider.cursor, 3);
+});
+
+test('takes the context window from the model requests are sent to', () => {
+    const { Agent, OpenAiProvider, FallbackProvider, RecordingProvider, toolRegistry } = loadCore();
+    const windowOf = (provider) => new Agent(provider, toolRegistry, () => {}, () => {}).contextWindow;
+    const native = new OpenAiProvider('key', 'gpt-5');
+    const text = new OpenAiProvider('key', 'gpt-5', { mode: 'text' }); // sent to gpt-3.5-turbo-instruct
+
+    assert.equal(windowOf(native), 400000);
+    assert.equal(windowOf(text), 4096);
+    assert.equal(windowOf(new FallbackProvider([native, text])), 4096);
+    assert.equal(windowOf(new RecordingProvider(text)), 4096);
+    assert.equal(new Agent(text, toolRegistry, () => {}, () => {}, { contextWindow: 8192 }).contextWindow, 8192);
+});
+
+test('fits requests to the context window without changing the saved history', async () => {
+    const history = [
+        { role: 'user', content: 'Read the log.' },
+        { role: 'assistant', content: '', tool_calls: [{ id: 'old_1', function: { name: 'read_file', arguments: '{"path":"/log.txt"}' } }] },
+        { role: 'tool', tool_call_id: 'old_1', content: `OBSERVATION[read_file]: ${'log line\n'.repeat(500)}` },
+        { role: 'assistant', content: `Summary: ${'x'.repeat(2000)}` },
+        { role: 'user', content: 'And the other log?' },
+        { role: 'assistant', content: `Other: ${'y'.repeat(2000)}` },
+    ];
+    const saved = JSON.stringify(history);
+    const query = `Now this one: ${'z'.repeat(8000)}`; // over budget by itself
+    const { agent, provider } = scriptedAgent(['{"tool": "calculator", "arguments": ', '{"final": "Done."}'], {
+        history,
+        contextWindow: 4000,
+        enabledTools: [],
+    });
+    const sent = [];
+    const getCompletion = provider.getCompletion.bind(provider);
+    provider.getCompletion = (messages, ...rest) => {
+        sent.push(JSON.parse(JSON.stringify(messages)));
+        return getCompletion(messages, ...rest);
+    };
+
+    const result = await agent.run(query);
+
+    assert.equal(result.status, 'completed');
+    assert.equal(agent.history.length, 10); // the query, the bad reply, its correction and the answer were added
+    assert.equal(JSON.stringify(agent.history.slice(0, 6)), saved);
+    assert.equal(sent.length, 2);
+    // Earlier turns are left out, but never the current query, even after a format correction.
+    assert.equal(sent[0].length, 1);
+    assert.equal(sent[0][0].content, query);
+    assert.deepEqual(sent[1].map((m) => m.role), ['user', 'assistant', 'user']);
+    assert.equal(sent[1][0].content, query);
+    assert.match(sent[1][2].content, /^\[format correction\]/);
+});
+
+test('delegating asks for approval under the suggest policy', async () => {
+    const asked = [];
+    const { agent, provider } = scriptedAgent([
+        { toolCalls: [{ name: 'delegate_task', arguments: { task: 'Summarize the notes.', model: 'other-model' } }] },
+        '{"final": "I could not delegate."}',
+    ], {
+        approvalPolicy: 'suggest',
+        requestApproval: async (request) => {
+            asked.push(request);
+            return { decision: 'deny' };
+        },
+    });
+
+    const result = await agent.run('Delegate the summary');
+
+    assert.equal(result.status, 'completed');
+    assert.deepEqual(asked.map((r) => [r.name, r.risk]), [['delegate_task', 'external']]);
+    assert.match(agent.history.find((h) => h.role === 'tool').content, /denied_by_user/);
+    assert.equal(provider.cursor, 2); // no sub-agent ran
+});
+
+test('traces each request as the messages added since the previous one', async () => {
+    const core = loadCore();
+    const provider = new core.ScriptedProvider(null, 'scripted', {
+        script: [
+            { toolCalls: [{ name: 'create_file', arguments: { path: 'a.txt', content: 'a' } }] },
+            { toolCalls: [{ name: 'read_file', arguments: { path: 'a.txt' } }] },
+            '{"final": "Done."}',
+        ],
+    });
+    const sent = [];
+    const getCompletion = provider.getCompletion.bind(provider);
+    provider.getCompletion = (messages, ...rest) => {
+        sent.push(JSON.parse(JSON.stringify(messages)));
+        return getCompletion(messages, ...rest);
+    };
+    const trace = [];
+    const agent = new core.Agent(provider, core.toolRegistry, () => {}, () => {}, {
+        history: [{ role: 'user', content: 'Earlier question' }, { role: 'assistant', content: 'Earlier answer' }],
+        onTrace: (event) => trace.push(event),
+    });
+
+    await agent.run('Write and read a.txt');
+
+    const requests = trace.filter((e) => e.type === 'model_request');
+    assert.deepEqual(requests.map((e) => [e.request.messageCount, e.request.reused, e.request.messages.length]), [[3, 0, 3], [5, 3, 2], [7, 5, 2]]);
+    assert.ok(requests[0].request.tools.length > 0);
+    assert.equal(requests[1].request.tools, undefined); // unchanged since the first request
+    const expanded = core.expandTraceRequests(trace).filter((e) => e.type === 'model_request');
+    assert.deepEqual(JSON.parse(JSON.stringify(expanded.map((e) => e.request.messages))), sent);
+    assert.deepEqual(JSON.parse(JSON.stringify(expanded[2].request.tools)), JSON.parse(JSON.stringify(requests[0].request.tools)));
+    assert.equal(core.describeTraceEvent(requests[2]), `7 message(s), ~${requests[2].estimatedTokens} tokens`);
+});
+
+/**
+ * A registry of test tools that log when each call starts and ends: `safe` (concurrency-safe),
+ * `write` (concurrency-safe, locking its `path`) and `exclusive` (runs alone). Each call takes
+ * `ms` milliseconds and stops early when its signal aborts.
+ */
+function timedTools(core) {
+    const log = [];
+    let active = 0;
+    let maxActive = 0;
+    const run = (name) => async ({ id, ms = 5 }, { signal } = {}) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        log.push(`start ${id}`);
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, ms);
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(Object.assign(new Error('Aborted.'), { name: 'AbortError' }));
+                }, { once: true });
+            });
+        } finally {
+            active--;
+            log.push(`end ${id}`);
+        }
+        return `${name} ${id} done`;
+    };
+    const registry = new core.ToolRegistry();
+    const parameters = { type: 'object', properties: { id: { type: 'string' }, ms: { type: 'integer' }, path: { type: 'string' } } };
+    registry.register({ name: 'safe', risk: 'read-only', concurrencySafe: true, parameters, implementation: run('safe') });
+    registry.register({ name: 'write', risk: 'writes', concurrencySafe: true, locks: ({ path }) => [path], parameters, implementation: run('write') });
+    registry.register({ name: 'exclusive', risk: 'writes', parameters, implementation: run('exclusive') });
+    return { registry, log, maxActive: () => maxActive };
+}
+
+function batchAgent(calls, setup = {}) {
+    const core = loadCore();
+    const tools = timedTools(core);
+    const provider = new core.ScriptedProvider(null, 'scripted', {
+        script: [{ toolCalls: calls.map(([name, args]) => ({ name, arguments: args })) }, '{"final": "Done."}'],
+    });
+    const agent = new core.Agent(provider, tools.registry, () => {}, () => {}, setup);
+    const observations = () => [...agent.history.filter((h) => h.role === 'tool').map((h) => h.content)];
+    return { agent, observations, ...tools };
+}
+
+test('runs concurrency-safe calls in parallel up to maxConcurrentTools, answering in call order', async () => {
+    const calls = [60, 50, 40, 30, 20, 10].map((ms, i) => ['safe', { id: `s${i + 1}`, ms }]);
+    const { agent, observations, log, maxActive } = batchAgent(calls);
+    agent.maxConcurrentTools = 2;
+
+    const result = await agent.run('Run them all');
+
+    assert.equal(result.status, 'completed');
+    assert.equal(maxActive(), 2);
+    assert.deepEqual(log.slice(0, 2), ['start s1', 'start s2']);
+    assert.ok(log.indexOf('end s2') < log.indexOf('end s1')); // finished out of order...
+    assert.deepEqual(observations(), calls.map(([, { id }]) => `OBSERVATION[safe]: safe ${id} done`)); // ...answered in order
+});
+
+test('calls with overlapping locks, and unsafe calls, wait for the calls before them', async () => {
+    const { agent, log } = batchAgent([
+        ['write', { id: 'dir', path: '/src', ms: 30 }],
+        ['write', { id: 'file', path: '/src/app.js', ms: 5 }],
+        ['write', { id: 'other', path: '/docs/readme.md', ms: 5 }],
+        ['exclusive', { id: 'alone', ms: 5 }],
+        ['safe', { id: 'after', ms: 5 }],
+    ]);
+
+    await agent.run('Edit the project');
+
+    const at = (entry) => log.indexOf(entry);
+    assert.ok(at('start other') < at('end dir')); // no overlap: runs alongside
+    assert.ok(at('start file') > at('end dir')); // inside the locked directory: waits
+    assert.ok(at('start alone') > Math.max(at('end dir'), at('end file'), at('end other')));
+    assert.equal(at('start after'), at('end alone') + 1);
+});
+
+test('cancelling mid-batch answers every call and ends the run as cancelled', async () => {
+    const { agent, observations, log } = batchAgent([
+        ['safe', { id: 'quick', ms: 5 }],
+        ['safe', { id: 'slow', ms: 5000 }],
+        ['exclusive', { id: 'later', ms: 5 }],
+    ]);
+    const running = agent.run('Start and cancel');
+    setTimeout(() => agent.cancel(), 50);
+
+    const result = await running;
+
+    assert.equal(result.status, 'cancelled');
+    assert.ok(!log.includes('start later'));
+    assert.deepEqual(observations(), [
+        'OBSERVATION[safe]: safe quick done',
+        'OBSERVATION[safe]: Cancelled by the user before completion.',
+        'OBSERVATION[exclusive]: Cancelled by the user before completion.',
+    ]);
+    const callIds = agent.history.find((h) => h.tool_calls).tool_calls.map((c) => c.id);
+    assert.deepEqual([...agent.history.filter((h) => h.role === 'tool').map((h) => h.tool_call_id)], [...callIds]);
+});
\ No newline at end of file
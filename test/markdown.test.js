@@ -0,0 +1,156 @@
+/**
+ * Markdown rendering of model output (markdown.js) against a minimal DOM stub: raw HTML
+ * stays text, and only http(s) and mailto links become links.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+class StubText {
+    constructor(text) {
+        this.textContent = String(text);
+    }
+}
+
+// Just the element API markdown.js uses. Anything that would parse HTML throws.
+class StubElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.childNodes = [];
+        this.style = {};
+        this.parentNode = null;
+    }
+
+    get children() {
+        return this.childNodes.filter((node) => node instanceof StubElement);
+    }
+
+    get textContent() {
+        return this.childNodes.map((node) => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.childNodes = [];
+        this.appendChild(new StubText(text));
+    }
+
+    set innerHTML(html) {
+        throw new Error(`markdown.js set innerHTML: ${html}`);
+    }
+
+    set outerHTML(html) {
+        throw new Error(`markdown.js set outerHTML: ${html}`);
+    }
+
+    insertAdjacentHTML() {
+        throw new Error('markdown.js called insertAdjacentHTML');
+    }
+
+    appendChild(node) {
+        if (node instanceof StubFragment) {
+            for (const child of node.childNodes.slice()) this.appendChild(child);
+            node.childNodes = [];
+            return node;
+        }
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    append(...nodes) {
+        for (const node of nodes) this.appendChild(typeof node === 'string' ? new StubText(node) : node);
+    }
+
+    replaceWith(...nodes) {
+        const siblings = this.parentNode.childNodes;
+        for (const node of nodes) node.parentNode = this.parentNode;
+        siblings.splice(siblings.indexOf(this), 1, ...nodes);
+    }
+
+    addEventListener() {}
+}
+
+class StubFragment extends StubElement {
+    constructor() {
+        super('#fragment');
+    }
+}
+
+const documentStub = {
+    createElement: (tagName) => new StubElement(tagName),
+    createDocumentFragment: () => new StubFragment(),
+    createTextNode: (text) => new StubText(text),
+};
+
+const context = vm.createContext({ document: documentStub });
+const filename = path.join(__dirname, '..', 'markdown.js');
+new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+const { renderMarkdown } = context;
+
+// Every element under a node, depth first.
+function elements(node) {
+    return node.children.flatMap((child) => [child, ...elements(child)]);
+}
+
+const tagsOf = (node) => new Set(elements(node).map((el) => el.tagName.toLowerCase()));
+
+test('raw HTML in a message is rendered as text', () => {
+    const message = 'Hi <script>alert(1)</script> and <img src=x onerror="alert(2)">\n\n'
+        + '<div onclick="steal()">block</div>\n\n> <iframe src="https://evil.example"></iframe>';
+
+    const fragment = renderMarkdown(message);
+
+    const tags = tagsOf(fragment);
+    for (const tag of ['script', 'img', 'div', 'iframe']) assert.ok(!tags.has(tag), `rendered a <${tag}> element`);
+    assert.match(fragment.textContent, /<script>alert\(1\)<\/script>/);
+    assert.match(fragment.textContent, /<img src=x onerror="alert\(2\)">/);
+    assert.match(fragment.textContent, /<div onclick="steal\(\)">block<\/div>/);
+});
+
+test('javascript:, data: and other non-web links are not turned into links', () => {
+    const fragment = renderMarkdown([
+        '[one](javascript:alert(1))',
+        '[two](JavaScript:alert(2))',
+        '[three](data:text/html;base64,PHNjcmlwdD5hbGVydCgzKTwvc2NyaXB0Pg==)',
+        '[four](vbscript:msgbox)',
+        '[five](/relative/path)',
+        '[six]( javascript:alert(6))',
+    ].join('\n\n'));
+
+    assert.deepEqual(elements(fragment).filter((el) => el.tagName === 'A'), []);
+    assert.deepEqual(fragment.children.map((p) => p.textContent), ['one', 'two', 'three', 'four', 'five', 'six']);
+});
+
+test('http(s) and mailto links open safely in a new tab', () => {
+    const fragment = renderMarkdown('See [the docs](https://example.com/docs?a=1), write to [us](mailto:team@example.com) '
+        + 'or open http://example.org/page.');
+
+    const links = elements(fragment).filter((el) => el.tagName === 'A');
+    assert.deepEqual(links.map((a) => [a.href, a.textContent]), [
+        ['https://example.com/docs?a=1', 'the docs'],
+        ['mailto:team@example.com', 'us'],
+        ['http://example.org/page', 'http://example.org/page'],
+    ]);
+    for (const a of links) {
+        assert.equal(a.target, '_blank');
+        assert.equal(a.rel, 'noopener noreferrer');
+    }
+});
+
+test('HTML inside link text, inline code and code blocks stays text', () => {
+    const fragment = renderMarkdown('[<b>bold</b>](https://example.com) and `<script>x()</script>`\n\n'
+        + '```html\n<script src="https://evil.example/x.js"></script>\n```');
+
+    const tags = tagsOf(fragment);
+    assert.ok(!tags.has('b') && !tags.has('script'));
+    const link = elements(fragment).find((el) => el.tagName === 'A');
+    assert.equal(link.textContent, '<b>bold</b>');
+    assert.equal(elements(fragment).find((el) => el.tagName === 'CODE').textContent, '<script>x()</script>');
+    const block = elements(fragment).find((el) => el.tagName === 'PRE');
+    assert.equal(block.textContent, '<script src="https://evil.example/x.js"></script>');
+    assert.ok(elements(block).some((el) => el.className === 'tok-tag'));
+});
\ No newline at end of file
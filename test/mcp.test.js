@@ -0,0 +1,99 @@
+/**
+ * McpConnection against the in-page mock server (mock://): the handshake, tool calls, and
+ * the registry entries it creates.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core.js');
+
+const { McpConnection, ToolRegistry } = loadCore();
+
+test('remote tools are external unless local configuration lowers the risk', async () => {
+    const registry = new ToolRegistry();
+    const connection = new McpConnection(registry, 'mock://demo', { toolRisks: { add: 'read-only' } });
+    await connection.connect();
+
+    assert.equal(registry.get('demo__echo').function.risk, 'external'); // annotated read-only by the server
+    assert.equal(registry.get('demo__add').function.risk, 'read-only');
+    assert.equal(registry.get('demo__get_forecast').function.risk, 'external');
+    await connection.disconnect();
+});
+
+test('trustAnnotations takes the risk from the server annotations', async () => {
+    const registry = new ToolRegistry();
+    const connection = new McpConnection(registry, 'mock://demo', { trustAnnotations: true });
+    await connection.connect();
+
+    assert.equal(registry.get('demo__echo').function.risk, 'read-only');
+    assert.equal(registry.get('demo__get_forecast').function.risk, 'external'); // open world
+    await connection.disconnect();
+});
+
+test('tool names that sanitize to the same string get a suffix', () => {
+    const connection = new McpConnection(new ToolRegistry(), 'mock://demo', { namespace: 'srv' });
+    const taken = new Set();
+    const names = ['get.user', 'get user', 'get_user'].map((name) => connection.toolDefinition({ name }, taken).name);
+
+    assert.deepEqual(names, ['get_user', 'get_user_2', 'get_user_3']);
+});
+
+test('initializes, lists and calls tools over the mock:// transport', async () => {
+    const registry = new ToolRegistry();
+    const connection = new McpConnection(registry, 'mock://demo');
+    const sent = [];
+    const { transport } = connection.client;
+    const send = transport.send.bind(transport);
+    transport.send = (message) => {
+        sent.push(message.method);
+        return send(message);
+    };
+
+    const names = await connection.connect();
+    assert.deepEqual(sent, ['initialize', 'notifications/initialized', 'tools/list']);
+    assert.equal(connection.client.serverInfo.name, 'demo');
+    assert.equal(connection.namespace, 'demo');
+    assert.deepEqual([...names], ['demo__echo', 'demo__add', 'demo__get_forecast']);
+
+    const call = (name, args) => registry.get(name).function.implementation(args);
+    assert.equal(await call('demo__echo', { text: 'hello' }), 'hello');
+    assert.deepEqual(JSON.parse(JSON.stringify(await call('demo__add', { a: 2, b: 3 }))), { sum: 5 });
+    await assert.rejects(call('demo__get_forecast', { city: ' ' }), /City must not be empty/);
+    assert.deepEqual(sent.slice(3), ['tools/call', 'tools/call', 'tools/call']);
+
+    await connection.disconnect();
+    assert.equal(registry.has('demo__echo'), false);
+});
+
+test('a tool list that fails to register leaves the previous tools in place', async () => {
+    const registry = new ToolRegistry();
+    const connection = new McpConnection(registry, 'mock://demo');
+    await connection.connect();
+    const before = [...connection.toolNames];
+
+    connection.client.listTools = async () => [{ name: 'echo' }, null];
+    await assert.rejects(connection.syncTools());
+
+    assert.deepEqual([...connection.toolNames], before);
+    assert.deepEqual([...registry.list().map((t) => t.name)], before);
+    await connection.disconnect();
+});
+
+test('servers with the same name get separate namespaces', async () => {
+    const registry = new ToolRegistry();
+    const first = new McpConnection(registry, 'mock://demo');
+    const second = new McpConnection(registry, 'mock:demo');
+    await first.connect();
+    await second.connect();
+
+    assert.equal(second.namespace, 'demo_2');
+    assert.ok(registry.has('demo__echo'));
+    assert.ok(registry.has('demo_2__echo'));
+    const third = new McpConnection(registry, 'mock://other', { namespace: 'demo' });
+    await assert.rejects(third.connect(), /namespace "demo" is already in use/);
+
+    await second.disconnect();
+    assert.ok(registry.has('demo__echo'));
+    await first.disconnect();
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Long-term memory search with embeddings, when the embedder's answer is incomplete.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core.js');
+
+/**
+ * An embedder whose replies are scripted: each call returns the next entry of `replies`
+ * (a function of the texts), and the texts of every call are kept.
+ */
+function scriptedEmbedder(replies) {
+    const calls = [];
+    return {
+        calls,
+        embeddingModel: 'test-embedding',
+        async embed(texts) {
+            calls.push(texts);
+            return replies[calls.length - 1](texts);
+        },
+    };
+}
+
+test('memories the embedder returned no vector for are embedded again on the next search', async () => {
+    const { MemoryStore } = loadCore();
+    const store = new MemoryStore();
+    const { memory: cats } = await store.add('Cats purr when content.');
+    const { memory: dogs } = await store.add('Dogs bark at strangers.');
+    const embedder = scriptedEmbedder([
+        () => [[1, 0], [0, 1]], // one vector short
+        (texts) => texts.map(() => [1, 0]),
+    ]);
+
+    const first = await store.search('cats', { embedder });
+
+    assert.deepEqual([...first.map((r) => r.memory.id)], [cats.id]);
+    const missed = embedder.calls[0][1] === cats.text ? dogs.id : cats.id;
+    assert.equal((await store.get(missed)).embedding, null);
+
+    await store.search('dogs', { embedder });
+
+    assert.deepEqual([...embedder.calls[1]], ['dogs', (await store.get(missed)).text]);
+    for (const memory of await store.list()) {
+        assert.equal(memory.embedding.vector.length, 2);
+    }
+});
+
+test('vectors of the wrong length are not saved', async () => {
+    const { MemoryStore } = loadCore();
+    const store = new MemoryStore();
+    const { memory } = await store.add('The deploy key lives in the vault.');
+    const embedder = scriptedEmbedder([() => [[1, 0, 0], [1, 0]]]);
+
+    const results = await store.search('deploy key', { embedder });
+
+    assert.equal(results.length, 1);
+    assert.equal((await store.get(memory.id)).embedding, null);
+});
\ No newline at end of file
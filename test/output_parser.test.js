@@ -0,0 +1,74 @@
+/**
+ * The JSON-in-text protocol parser (`tryParseToolCall`), and the agent's bounded correction
+ * requests when a reply can't be parsed.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core.js');
+
+const { tryParseToolCall } = loadCore();
+
+// Values from the core's VM context have its prototypes; compare them as plain data.
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('finds a tool call with nested arguments inside prose and a code fence', () => {
+    const reply = 'I will write the config now.\n```json\n'
+        + '{"tool": "create_file", "arguments": {"path": "app.json", "content": {"server": {"port": 8080, "hosts": ["a", "b"]}}}}\n'
+        + '```\nThat should do it.';
+
+    const step = plain(tryParseToolCall(reply));
+
+    assert.equal(step.stopReason, 'continue');
+    assert.deepEqual(step.toolCalls, [{
+        name: 'create_file',
+        args: { path: 'app.json', content: { server: { port: 8080, hosts: ['a', 'b'] } } },
+    }]);
+    assert.equal(step.repaired, undefined);
+});
+
+test('keeps escaped quotes and braces inside a final answer', () => {
+    const step = tryParseToolCall('{"final": "She said \\"use {braces}\\" and left."}');
+
+    assert.equal(step.stopReason, 'final');
+    assert.equal(step.content, 'She said "use {braces}" and left.');
+});
+
+test('repairs trailing commas, single quotes and unquoted keys', () => {
+    const step = plain(tryParseToolCall("{tool: 'search_web', 'arguments': {'query': \"it's here\", limit: 3,},}"));
+
+    assert.equal(step.repaired, true);
+    assert.deepEqual(step.toolCalls, [{ name: 'search_web', args: { query: "it's here", limit: 3 } }]);
+});
+
+test('names what is wrong with an unusable reply', () => {
+    const kinds = ['Just prose.', '{"tool": "calculator", "arguments": {', '{"answer": 42}', '{"final": "a" "b"}']
+        .map((reply) => tryParseToolCall(reply).parseError.kind);
+
+    assert.deepEqual(kinds, ['no_json', 'truncated', 'unknown_shape', 'invalid_json']);
+});
+
+test('stops asking for corrections once the retry limit is reached', async () => {
+    const core = loadCore();
+    const provider = new core.ScriptedProvider(null, 'scripted', {
+        script: ['No JSON here.', 'Still no JSON.', 'Nope.', '{"final": "never reached"}'],
+    });
+    const trace = [];
+    const agent = new core.Agent(provider, core.toolRegistry, () => {}, () => {}, { onTrace: (event) => trace.push(event) });
+
+    const result = await agent.run('Answer in JSON');
+
+    assert.equal(agent.maxParseRetries, 2);
+    assert.equal(result.status, 'completed');
+    assert.equal(result.content, 'Nope.'); // the last reply is taken as the answer
+    assert.equal(provider.cursor, 3);
+    const errors = trace.filter((e) => e.type === 'error' && e.source === 'parser');
+    assert.deepEqual(errors.map((e) => [e.kind, e.attempt, e.willRetry]), [
+        ['no_json', 1, true],
+        ['no_json', 2, true],
+        ['no_json', 3, false],
+    ]);
+    assert.deepEqual(plain(agent.parseStats), { errors: 3, repaired: 0, corrections: 2 });
+    assert.deepEqual(plain(trace.find((e) => e.type === 'final').parseStats), { errors: 3, repaired: 0, corrections: 2 });
+});
\ No newline at end of file
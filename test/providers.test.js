@@ -0,0 +1,44 @@
+/**
+ * BaseLlmProvider.retry: backoff between attempts, and the abort listener of each wait.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('node:events');
+const { loadCore } = require('../node/core.js');
+
+const { BaseLlmProvider, ProviderError } = loadCore();
+
+const busy = (retryAfterMs) => new ProviderError('Busy.', { kind: 'rate_limit', retryAfterMs });
+
+test('retries rate-limited requests and leaves no abort listener behind', async () => {
+    const provider = new BaseLlmProvider('key', 'test', { maxAttempts: 3 });
+    const controller = new AbortController();
+    let attempts = 0;
+
+    const result = await provider.retry(async () => {
+        attempts++;
+        if (attempts < 3) throw busy(5);
+        return 'ok';
+    }, controller.signal);
+
+    assert.equal(result, 'ok');
+    assert.equal(attempts, 3);
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('aborting during the backoff wait stops retrying', async () => {
+    const provider = new BaseLlmProvider('key', 'test', { maxAttempts: 3 });
+    const controller = new AbortController();
+    let attempts = 0;
+
+    const retrying = provider.retry(async () => {
+        attempts++;
+        throw busy(10000);
+    }, controller.signal);
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(retrying, { name: 'AbortError' });
+    assert.equal(attempts, 1);
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Tool-parameter validation against the JSON Schema subset.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core.js');
+
+const { Agent, ScriptedProvider, ToolRegistry } = loadCore();
+
+test('a schema pattern JavaScript cannot compile comes back as an observation', async () => {
+    const registry = new ToolRegistry();
+    registry.register({
+        name: 'lookup',
+        description: 'Looks up a code.',
+        risk: 'read-only',
+        parameters: {
+            type: 'object',
+            properties: { code: { type: 'string', pattern: '(?<=a' } },
+            required: ['code'],
+        },
+        implementation: () => 'found',
+    }, { namespace: 'pack', version: '1.0.0' });
+    const provider = new ScriptedProvider(null, 'scripted', {
+        script: [
+            { toolCalls: [{ name: 'pack__lookup', arguments: { code: 'x' } }] },
+            { content: 'done' },
+        ],
+    });
+    const agent = new Agent(provider, registry, () => {}, () => {});
+
+    const result = await agent.run('Look up x');
+
+    assert.equal(result.status, 'completed');
+    const observation = agent.history.find((h) => h.role === 'tool');
+    assert.match(observation.content, /invalid schema pattern/);
+});
@@ -0,0 +1,132 @@
+/**
+ * The `search_web` and `fetch_url` tools against a local stub server: SearXNG and
+ * URL-template search results mapped to { title, url, snippet }, and `{url}` substitution
+ * in the fetch proxy.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadCore } = require('../node/core.js');
+
+// Values from the core's VM context have its prototypes; compare them as plain data.
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Starts a server that answers each GET with `routes[pathname](searchParams)`: an object is
+ * sent as JSON, a string as HTML.
+ * @returns {Promise<{url: string, requests: Array<URL>, close: Function}>}
+ */
+async function startStubServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        requests.push(url);
+        const route = routes[url.pathname];
+        if (!route) {
+            res.writeHead(404).end();
+            return;
+        }
+        const body = route(url.searchParams);
+        if (typeof body === 'string') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(body);
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+        }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+function tool(core, name) {
+    return core.toolRegistry.get(name).function.implementation;
+}
+
+test('search_web: reads SearXNG JSON results', async (t) => {
+    const server = await startStubServer({
+        '/search': (params) => ({
+            query: params.get('q'),
+            results: [
+                { title: ' Node.js ', url: 'https://nodejs.org/', content: 'JavaScript runtime.' },
+                { title: 'No link or text' },
+                { title: 'npm', url: 'https://www.npmjs.com/', content: 'Package registry.' },
+                { title: 'Deno', url: 'https://deno.com/', content: 'Another runtime.' },
+            ],
+        }),
+    });
+    t.after(server.close);
+    const core = loadCore();
+    core.webToolsConfig.searchProvider = core.SearchProviderFactory.create({ type: 'searxng', url: `${server.url}/` });
+
+    const output = await tool(core, 'search_web')({ query: 'node & npm', limit: 2 });
+
+    assert.equal(server.requests[0].pathname, '/search');
+    assert.equal(server.requests[0].searchParams.get('q'), 'node & npm');
+    assert.equal(server.requests[0].searchParams.get('format'), 'json');
+    assert.deepEqual(plain(output), {
+        query: 'node & npm',
+        results: [
+            { title: 'Node.js', url: 'https://nodejs.org/', snippet: 'JavaScript runtime.' },
+            { title: 'npm', url: 'https://www.npmjs.com/', snippet: 'Package registry.' },
+        ],
+    });
+});
+
+test('search_web: reads a URL-template backend by results path or common key', async (t) => {
+    const server = await startStubServer({
+        '/api/nested': () => ({ response: { hits: [{ name: 'Example', link: 'https://example.com/', description: 'An example.' }] } }),
+        '/api/items': () => ({ items: [{ title: 'Item', href: 'https://example.org/', body: 'From items.' }] }),
+        '/api/empty': () => ({ total: 0 }),
+    });
+    t.after(server.close);
+    const core = loadCore();
+    const search = tool(core, 'search_web');
+
+    core.webToolsConfig.searchProvider = core.SearchProviderFactory.create({
+        type: 'template',
+        url: `${server.url}/api/nested?term={query}&lang=en`,
+        resultsPath: 'response.hits',
+    });
+    const nested = await search({ query: 'a/b c' });
+    assert.equal(server.requests[0].searchParams.get('term'), 'a/b c');
+    assert.equal(server.requests[0].searchParams.get('lang'), 'en');
+    assert.deepEqual(plain(nested.results), [{ title: 'Example', url: 'https://example.com/', snippet: 'An example.' }]);
+
+    core.webToolsConfig.searchProvider = core.SearchProviderFactory.create({ type: 'template', url: `${server.url}/api/items?q={query}` });
+    const items = await search({ query: 'x' });
+    assert.deepEqual(plain(items.results), [{ title: 'Item', url: 'https://example.org/', snippet: 'From items.' }]);
+
+    core.webToolsConfig.searchProvider = core.SearchProviderFactory.create({ type: 'template', url: `${server.url}/api/empty?q={query}` });
+    const empty = await search({ query: 'nothing' });
+    assert.deepEqual(plain(empty), { query: 'nothing', results: [], note: 'No results found for "nothing".' });
+
+    assert.throws(() => core.SearchProviderFactory.create({ type: 'template', url: `${server.url}/api` }), /\{query\} placeholder/);
+});
+
+test('fetch_url: substitutes the encoded page URL into the fetch proxy', async (t) => {
+    const page = '<html><head><title>Stub page</title><script>ignored()</script></head>'
+        + '<body><nav>Menu</nav><p>First paragraph.</p><p>Second &amp; last.</p></body></html>';
+    const server = await startStubServer({ '/proxy': () => page });
+    t.after(server.close);
+    const core = loadCore();
+    core.webToolsConfig.fetchProxy = `${server.url}/proxy?target={url}`;
+
+    const target = 'https://example.com/docs?a=1&b=two words#intro';
+    const output = await tool(core, 'fetch_url')({ url: target });
+
+    assert.equal(server.requests.length, 1);
+    assert.equal(server.requests[0].pathname, '/proxy');
+    assert.equal(server.requests[0].searchParams.get('target'), new URL(target).href);
+    assert.deepEqual(plain(output), {
+        url: new URL(target).href,
+        title: 'Stub page',
+        text: 'First paragraph.\nSecond & last.',
+        truncated: false,
+    });
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Streams completions from a local fake SSE server, for OpenAI `stream: true` and Gemini
+ * `streamGenerateContent`: text deltas, tool-call arguments assembled across chunks, and
+ * the final `done` step.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { loadCore } = require('../node/core.js');
+
+const { LlmProviderFactory } = loadCore();
+
+// Values from the core's VM context have its prototypes; compare them as plain data.
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Starts a server that answers every POST with the given SSE frames, each written
+ * separately (and split mid-frame) so the client sees them arrive in pieces.
+ * @returns {Promise<{url: string, requests: Array<object>, close: Function}>}
+ */
+async function startSseServer(frames) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        requests.push({ url: req.url, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const frame of frames) {
+            const text = `data: ${typeof frame === 'string' ? frame : JSON.stringify(frame)}\n\n`;
+            const half = Math.floor(text.length / 2);
+            res.write(text.slice(0, half));
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            res.write(text.slice(half));
+        }
+        res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) events.push(plain(event));
+    return events;
+}
+
+const history = [{ role: 'user', content: 'Hi' }];
+const tools = [{ name: 'write_file', description: 'Writes a file.', parameters: { type: 'object', properties: {} } }];
+
+test('OpenAI: streams text deltas and a final answer', async (t) => {
+    const server = await startSseServer([
+        { model: 'gpt-test', choices: [{ delta: { role: 'assistant', content: 'Hel' } }] },
+        { model: 'gpt-test', choices: [{ delta: { content: 'lo!' } }] },
+        { model: 'gpt-test', choices: [], usage: { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 } },
+        '[DONE]',
+    ]);
+    t.after(() => server.close());
+    const provider = LlmProviderFactory.create('openai', 'gpt-test', 'key', { baseUrl: server.url });
+
+    const events = await collect(provider.streamCompletion(history, tools));
+
+    assert.deepEqual(events.filter((e) => e.type === 'text').map((e) => e.delta), ['Hel', 'lo!']);
+    const done = events.at(-1);
+    assert.equal(done.type, 'done');
+    assert.equal(done.step.content, 'Hello!');
+    assert.equal(done.step.stopReason, 'final');
+    assert.equal(done.step.toolCalls, null);
+    assert.equal(done.step.usage.totalTokens, 9);
+    assert.equal(server.requests[0].url, '/chat/completions');
+    assert.equal(server.requests[0].body.stream, true);
+});
+
+test('OpenAI: assembles tool-call arguments across chunks', async (t) => {
+    const server = await startSseServer([
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'write_file', arguments: '' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"path":"/a.t' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'xt","content":"hi"}' } }] } }] },
+        '[DONE]',
+    ]);
+    t.after(() => server.close());
+    const provider = LlmProviderFactory.create('openai', 'gpt-test', 'key', { baseUrl: server.url });
+
+    const events = await collect(provider.streamCompletion(history, tools));
+
+    const partials = events.filter((e) => e.type === 'tool_call');
+    assert.deepEqual(partials.map((e) => e.arguments), ['', '{"path":"/a.t', '{"path":"/a.txt","content":"hi"}']);
+    assert.ok(partials.every((e) => e.index === 0 && e.name === 'write_file' && e.id === 'call_1'));
+    const { step } = events.at(-1);
+    assert.equal(step.stopReason, 'continue');
+    assert.deepEqual(step.toolCalls, [{ id: 'call_1', name: 'write_file', args: { path: '/a.txt', content: 'hi' } }]);
+});
+
+test('Gemini: streams text deltas, function calls and the final step', async (t) => {
+    const server = await startSseServer([
+        { candidates: [{ content: { role: 'model', parts: [{ text: 'Writing ' }] } }] },
+        { candidates: [{ content: { role: 'model', parts: [{ text: 'it now.' }] } }] },
+        {
+            candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'write_file', args: { path: '/b.txt', content: 'ok' } } }] }, finishReason: 'STOP' }],
+            usageMetadata: { promptTokenCount: 11, candidatesTokenCount: 4, totalTokenCount: 15 },
+        },
+    ]);
+    t.after(() => server.close());
+    const provider = LlmProviderFactory.create('google', 'gemini-test', 'key');
+    provider.streamUrl = `${server.url}/stream?alt=sse`; // the API host is fixed; point the stream at the fake server
+
+    const events = await collect(provider.streamCompletion(history, tools));
+
+    assert.deepEqual(events.filter((e) => e.type === 'text').map((e) => e.delta), ['Writing ', 'it now.']);
+    const [call] = events.filter((e) => e.type === 'tool_call');
+    assert.equal(call.name, 'write_file');
+    assert.deepEqual(JSON.parse(call.arguments), { path: '/b.txt', content: 'ok' });
+    const { step } = events.at(-1);
+    assert.equal(step.stopReason, 'continue');
+    assert.equal(step.toolCalls.length, 1);
+    assert.deepEqual(step.toolCalls[0].args, { path: '/b.txt', content: 'ok' });
+    assert.equal(step.usage.totalTokens, 15);
+    assert.ok(server.requests[0].body.contents.length > 0);
+});
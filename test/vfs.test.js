@@ -0,0 +1,84 @@
+/**
+ * Unified-diff patching in the virtual file system.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('../node/core.js');
+
+const { VirtualFileSystem } = loadCore();
+
+test('a removed line starting with "-- " is hunk content, not a file header', () => {
+    const vfs = new VirtualFileSystem();
+    vfs.writeFile('/schema.sql', '-- old comment\nSELECT 1;\n');
+    const patch = [
+        '--- a/schema.sql',
+        '+++ b/schema.sql',
+        '@@ -1,2 +1,2 @@',
+        '--- old comment',
+        '+-- new comment',
+        ' SELECT 1;',
+    ].join('\n');
+
+    vfs.applyPatch(patch);
+
+    assert.equal(vfs.readFile('/schema.sql'), '-- new comment\nSELECT 1;\n');
+});
+
+test('"--- " after a finished hunk starts the next file', () => {
+    const vfs = new VirtualFileSystem();
+    vfs.writeFile('/a.txt', 'a\n');
+    vfs.writeFile('/b.txt', 'b\n');
+    const patch = [
+        '--- a/a.txt', '+++ b/a.txt', '@@ -1 +1 @@', '-a', '+A',
+        '--- a/b.txt', '+++ b/b.txt', '@@ -1 +1 @@', '-b', '+B',
+    ].join('\n');
+
+    const summary = vfs.applyPatch(patch);
+
+    assert.equal(summary.length, 2);
+    assert.equal(vfs.readFile('/a.txt'), 'A\n');
+    assert.equal(vfs.readFile('/b.txt'), 'B\n');
+});
+
+test('a patch whose write fails partway leaves every file unchanged', () => {
+    const vfs = new VirtualFileSystem({ maxFileBytes: 16 });
+    vfs.writeFile('/small.txt', 'one\n');
+    vfs.writeFile('/big.txt', 'two\n');
+    const patch = [
+        '--- a/small.txt', '+++ b/small.txt', '@@ -1 +1 @@', '-one', '+ONE',
+        '--- a/big.txt', '+++ b/big.txt', '@@ -1 +1 @@', '-two', '+this line is longer than the limit',
+    ].join('\n');
+
+    assert.throws(() => vfs.applyPatch(patch), /limit/);
+
+    assert.equal(vfs.readFile('/small.txt'), 'one\n');
+    assert.equal(vfs.readFile('/big.txt'), 'two\n');
+});
+
+test('several sections for one file apply one after another', () => {
+    const vfs = new VirtualFileSystem();
+    vfs.writeFile('/list.txt', 'one\ntwo\nthree\nfour\nfive\n');
+    const patch = [
+        '--- a/list.txt', '+++ b/list.txt', '@@ -1,2 +1,2 @@', '-one', '+ONE', ' two',
+        '--- a/list.txt', '+++ b/list.txt', '@@ -4,2 +4,2 @@', ' four', '-five', '+FIVE',
+    ].join('\n');
+
+    const summary = vfs.applyPatch(patch);
+
+    assert.equal(summary.length, 2);
+    assert.equal(vfs.readFile('/list.txt'), 'ONE\ntwo\nthree\nfour\nFIVE\n');
+});
+
+test('a section for a file an earlier section deleted fails the whole patch', () => {
+    const vfs = new VirtualFileSystem();
+    vfs.writeFile('/old.txt', 'x\n');
+    const patch = [
+        '--- a/old.txt', '+++ /dev/null', '@@ -1 +0,0 @@', '-x',
+        '--- a/old.txt', '+++ b/old.txt', '@@ -1 +1 @@', '-x', '+y',
+    ].join('\n');
+
+    assert.throws(() => vfs.applyPatch(patch), /deleted earlier in the patch/);
+    assert.equal(vfs.readFile('/old.txt'), 'x\n');
+});
\ No newline at end of file
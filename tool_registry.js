@@ -0,0 +1,190 @@
+/**
+ * The runtime set of tools the agent can call. Built-in tools are registered at startup
+ * (see tools.js); plugins add theirs with `registerTool`, from ES-module tool packs
+ * (`loadPack`) or from MCP servers (see mcp.js), and can be removed again at any time.
+ * An Agent reads the registry at the start of every turn, so changes apply to the next turn.
+ *
+ * Plugin tools live in a namespace: a tool "forecast" registered in namespace "weather" is
+ * called `weather__forecast`, so plugins can't shadow built-ins or each other. Every
+ * registration has a semver `version`; registering a name again replaces the tool only
+ * with a newer version, unless `replace` is passed.
+ */
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // what both OpenAI and Gemini accept
+const TOOL_NAMESPACE_SEPARATOR = '__';
+const TOOL_RISKS = ['read-only', 'writes', 'external'];
+
+/**
+ * Compares two "major.minor.patch" versions (missing parts count as 0; pre-release tags are ignored).
+ * @returns {number} Negative, zero or positive, like a sort comparator.
+ */
+function compareVersions(a, b) {
+    const parts = (v) => String(v || '0').split('-')[0].split('.').map((n) => parseInt(n, 10) || 0);
+    const [pa, pb] = [parts(a), parts(b)];
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+class ToolRegistry {
+    constructor() {
+        this.entries = new Map(); // qualified name -> { definition, namespace, version, source }
+        this.packs = new Map(); // namespace -> { url, version, tools } for loaded tool packs
+        this.listeners = new Set();
+    }
+
+    /**
+     * Registers a listener called after tools are added or removed.
+     * @returns {Function} Unsubscribes the listener.
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) listener();
+    }
+
+    static qualifiedName(name, namespace) {
+        return namespace ? `${namespace}${TOOL_NAMESPACE_SEPARATOR}${name}` : name;
+    }
+
+    /**
+     * Adds a tool.
+     * @param {object} definition - `{ type: 'function', function: {...} }` as in tools.js, or the
+     *   inner `{ name, description, parameters, risk, implementation, ... }` object.
+     * @param {{namespace?: string, version?: string, source?: string, replace?: boolean}} [options] -
+     *   `source` describes where the tool came from (a pack URL or MCP server) for the UI.
+     * @returns {string} The name the model calls the tool by.
+     * @throws {Error} When the definition is invalid or the name is taken by the same or a newer version.
+     */
+    register(definition, options = {}) {
+        const fn = definition && definition.function ? definition.function : definition;
+        const { namespace = '', version = '1.0.0', source = 'built-in', replace = false } = options;
+        if (!fn || typeof fn !== 'object') throw new Error('A tool definition must be an object.');
+        if (typeof fn.implementation !== 'function') throw new Error(`Tool "${fn.name}" has no implementation function.`);
+        if (namespace && (!TOOL_NAME_PATTERN.test(namespace) || namespace.includes(TOOL_NAMESPACE_SEPARATOR))) {
+            throw new Error(`Invalid tool namespace "${namespace}": use letters, digits, "-" and single "_".`);
+        }
+        const name = ToolRegistry.qualifiedName(fn.name, namespace);
+        if (typeof fn.name !== 'string' || !TOOL_NAME_PATTERN.test(fn.name) || !TOOL_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid tool name "${name}": use up to 64 letters, digits, "_" or "-".`);
+        }
+        if (fn.parameters !== undefined && (!fn.parameters || fn.parameters.type !== 'object')) {
+            throw new Error(`Tool "${name}" must declare its parameters as an object schema.`);
+        }
+        if (fn.risk !== undefined && !TOOL_RISKS.includes(fn.risk)) {
+            throw new Error(`Tool "${name}" has an unknown risk "${fn.risk}" (use ${TOOL_RISKS.join(', ')}).`);
+        }
+        const existing = this.entries.get(name);
+        if (existing && !replace && compareVersions(version, existing.version) <= 0) {
+            throw new Error(`Tool "${name}" ${existing.version} is already registered; register a newer version or pass replace.`);
+        }
+
+        this.entries.set(name, {
+            definition: {
+                type: 'function',
+                // Unlisted risk means 'external' to the approval policy, the safe default for plugins.
+                function: { ...fn, name, parameters: fn.parameters || { type: 'object', properties: {} } },
+            },
+            namespace,
+            version: String(version),
+            source,
+        });
+        this.notify();
+        return name;
+    }
+
+    /**
+     * Removes a tool by the name the model calls it.
+     * @param {string} name
+     * @param {{version?: string}} [options] - Only remove it if this version is registered.
+     * @returns {boolean} Whether a tool was removed.
+     */
+    unregister(name, { version } = {}) {
+        const entry = this.entries.get(name);
+        if (!entry || (version !== undefined && entry.version !== String(version))) return false;
+        this.entries.delete(name);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Removes every tool in a namespace (e.g. when a pack or MCP server is disconnected).
+     * @returns {number} How many tools were removed.
+     */
+    unregisterNamespace(namespace) {
+        let removed = 0;
+        for (const [name, entry] of this.entries) {
+            if (entry.namespace === namespace) {
+                this.entries.delete(name);
+                removed++;
+            }
+        }
+        this.packs.delete(namespace);
+        if (removed > 0) this.notify();
+        return removed;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    get(name) {
+        const entry = this.entries.get(name);
+        return entry ? entry.definition : null;
+    }
+
+    /**
+     * @returns {Array<{name: string, namespace: string, version: string, source: string, risk: string}>}
+     */
+    list() {
+        return Array.from(this.entries, ([name, e]) => ({
+            name,
+            namespace: e.namespace,
+            version: e.version,
+            source: e.source,
+            risk: e.definition.function.risk || 'external',
+        }));
+    }
+
+    /**
+     * The registered tools in the `{ type, function }` shape `Agent` takes, in registration order.
+     * @returns {Array<object>}
+     */
+    definitions() {
+        return Array.from(this.entries.values(), (e) => e.definition);
+    }
+
+    /**
+     * Loads a tool pack: an ES module whose default export (or the module itself) has
+     * `{ namespace, version, tools: [...] }`, each tool shaped like a registry definition.
+     * Loading a pack again replaces its tools. The module runs with the page's privileges,
+     * so only load packs you trust.
+     * @param {string} url - The module URL (relative URLs resolve against the page).
+     * @param {{namespace?: string}} [options] - Overrides the pack's own namespace.
+     * @returns {Promise<{namespace: string, version: string, tools: Array<string>}>}
+     */
+    async loadPack(url, options = {}) {
+        const resolved = new URL(url, typeof document !== 'undefined' ? document.baseURI : undefined).href;
+        const module = await import(resolved);
+        const pack = module.default || module;
+        const namespace = options.namespace || pack.namespace;
+        if (!namespace) throw new Error(`Tool pack ${url} has no namespace; pass one when loading it.`);
+        if (!Array.isArray(pack.tools) || pack.tools.length === 0) throw new Error(`Tool pack ${url} exports no tools.`);
+        const version = pack.version || '1.0.0';
+
+        // Check every tool before replacing anything, so a broken pack leaves the old one loaded.
+        const staging = new ToolRegistry();
+        for (const tool of pack.tools) staging.register(tool, { namespace, version, source: resolved });
+
+        this.unregisterNamespace(namespace);
+        for (const entry of staging.entries.values()) this.entries.set(entry.definition.function.name, entry);
+        const info = { namespace, version, url: resolved, tools: Array.from(staging.entries.keys()) };
+        this.packs.set(namespace, info);
+        this.notify();
+        return info;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * The tools panel: lists the tool sources (built-in tools, loaded tool packs and connected
+ * MCP servers) with the tools each provides, adds packs and servers by URL, and removes
+ * them. Re-renders whenever the registry changes.
+ */
+class ToolManager {
+    /**
+     * @param {{list: HTMLElement, url: HTMLInputElement, loadPack: HTMLButtonElement,
+     *   connect: HTMLButtonElement, count: HTMLElement}} elements
+     * @param {ToolRegistry} registry
+     * @param {object} [options]
+     * @param {Array<{kind: 'pack'|'mcp', url: string}>} [options.sources] Sources to add at startup.
+     * @param {Function} [options.onSourcesChange] Receives the source list when one is added or removed.
+     */
+    constructor(elements, registry, options = {}) {
+        this.elements = elements;
+        this.registry = registry;
+        this.onSourcesChange = options.onSourcesChange || null;
+        this.sources = []; // { kind, url, namespace, status: 'loading' | 'ready' | 'error', error, connection }
+        this.elements.loadPack.addEventListener('click', () => this.addFromInput('pack'));
+        this.elements.connect.addEventListener('click', () => this.addFromInput('mcp'));
+        this.registry.onChange(() => this.render());
+        this.render();
+        for (const { kind, url } of options.sources || []) this.add(kind, url, { persist: false });
+    }
+
+    addFromInput(kind) {
+        const url = this.elements.url.value.trim();
+        if (!url) return;
+        this.elements.url.value = '';
+        this.add(kind, url);
+    }
+
+    /**
+     * Loads a tool pack or connects an MCP server. A source that fails stays listed with its
+     * error, so it can be removed (or is retried at the next startup).
+     */
+    async add(kind, url, { persist = true } = {}) {
+        if (this.sources.some((s) => s.kind === kind && s.url === url)) return;
+        const source = { kind, url, namespace: null, status: 'loading', error: null, connection: null };
+        this.sources.push(source);
+        if (persist) this.persist();
+        this.render();
+        try {
+            if (kind === 'mcp') {
+                source.connection = new McpConnection(this.registry, url);
+                await source.connection.connect();
+                source.namespace = source.connection.namespace;
+            } else {
+                source.namespace = (await this.registry.loadPack(url)).namespace;
+            }
+            source.status = 'ready';
+        } catch (e) {
+            source.status = 'error';
+            source.error = e.message;
+        }
+        this.render();
+    }
+
+    async remove(source) {
+        this.sources = this.sources.filter((s) => s !== source);
+        this.persist();
+        if (source.connection) {
+            await source.connection.disconnect().catch(() => {});
+        } else if (source.namespace) {
+            this.registry.unregisterNamespace(source.namespace);
+        }
+        this.render();
+    }
+
+    persist() {
+        if (this.onSourcesChange) this.onSourcesChange(this.sources.map(({ kind, url }) => ({ kind, url })));
+    }
+
+    render() {
+        const { list, count } = this.elements;
+        const tools = this.registry.list();
+        count.textContent = `${tools.length}`;
+        list.innerHTML = '';
+
+        const builtIn = tools.filter((t) => !t.namespace);
+        list.appendChild(this.renderSource('Built-in', builtIn));
+        for (const source of this.sources) {
+            const label = `${source.kind === 'mcp' ? 'MCP server' : 'Tool pack'} ${source.url}`;
+            const item = this.renderSource(label, tools.filter((t) => source.namespace && t.namespace === source.namespace), source);
+            list.appendChild(item);
+        }
+    }
+
+    renderSource(label, tools, source = null) {
+        const item = document.createElement('li');
+        item.className = 'tool-source';
+
+        const title = document.createElement('div');
+        title.className = 'tool-source-title';
+        title.textContent = label;
+
+        const meta = document.createElement('div');
+        meta.className = 'tool-source-meta';
+        if (source && source.status === 'loading') {
+            meta.textContent = source.kind === 'mcp' ? 'Connecting...' : 'Loading...';
+        } else if (source && source.status === 'error') {
+            meta.textContent = `Failed: ${source.error}`;
+            meta.classList.add('failed');
+        } else {
+            const version = tools.length > 0 && source ? ` · v${tools[0].version}` : '';
+            meta.textContent = `${tools.length} tool${tools.length === 1 ? '' : 's'}${version}`;
+        }
+
+        const names = document.createElement('div');
+        names.className = 'tool-source-tools';
+        for (const tool of tools) {
+            const name = document.createElement('code');
+            name.textContent = tool.name;
+            name.title = `Risk: ${tool.risk}`;
+            names.appendChild(name);
+        }
+
+        item.append(title, meta, names);
+        if (source) {
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = source.kind === 'mcp' ? 'Disconnect' : 'Remove';
+            removeBtn.className = 'deny';
+            removeBtn.addEventListener('click', () => this.remove(source));
+            const actions = document.createElement('div');
+            actions.className = 'memory-actions';
+            actions.appendChild(removeBtn);
+            item.appendChild(actions);
+        }
+        return item;
+    }
+}
\ No newline at end of file
@@ -1,36 +1,128 @@
 /**
  * A virtual file system to simulate file operations for the agent's tools.
  */
-const virtualFileSystem = new Map();
+const virtualFileSystem = new VirtualFileSystem();
+
+/**
+ * Long-term memories for the `remember` and `recall` tools, shared by all conversations.
+ */
+const longTermMemory = new MemoryStore();
+
+// Shared schema fragment for tool parameters that name a file or directory.
+const PATH_PARAM = {
+    type: 'string',
+    minLength: 1,
+    description: 'Path in the virtual file system, e.g. "notes.txt" or "docs/plan.md". ".." is not allowed.',
+};
+
+/**
+ * Lock keys for a file tool call: the normalized paths it touches (a directory's path also
+ * covers everything below it). Paths that don't normalize lock the whole file system; the
+ * call fails validation or execution anyway.
+ */
+function fileLocks(...paths) {
+    try {
+        return paths.filter((p) => p != null).map((p) => VirtualFileSystem.normalizePath(p));
+    } catch (_) {
+        return ['/'];
+    }
+}
+
+/**
+ * Waits for `ms` milliseconds; rejects early with an AbortError if `signal` aborts.
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            const err = new Error('Aborted.');
+            err.name = 'AbortError';
+            reject(err);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+/**
+ * Renders an example call in the JSON-in-text protocol from a tool's parameter schema.
+ * @param {string} name - The tool name.
+ * @param {object} parameters - The tool's JSON Schema parameters.
+ * @returns {string} e.g. {"tool":"search_web","arguments":{"query":"<string>"}}
+ */
+function toolUsageExample(name, parameters) {
+    return JSON.stringify({ tool: name, arguments: exampleFromSchema(parameters) || {} });
+}
 
 /**
  * Defines the set of tools available to the agent.
- * Each tool has a schema (for the LLM) and an implementation.
+ * Each tool has a JSON Schema `parameters` object (for the LLM and argument validation),
+ * a `risk` class used by the approval policy ('read-only', 'writes' or 'external'),
+ * and an implementation. Implementations receive `(args, { signal, agent, callId })`; the signal
+ * aborts when the run is cancelled or the tool times out, `agent` is the Agent running the call
+ * and `callId` is the call's id. An optional `timeoutMs` overrides the agent's tool timeout.
+ *
+ * Tools with `concurrencySafe: true` may run in parallel with other calls of the same turn;
+ * their optional `locks(args)` returns the resources a call touches (file paths, or a name
+ * such as 'memory'), and calls with overlapping locks run in call order. Other tools run alone.
  */
 const tools = [
     {
         type: 'function',
         function: {
             name: 'search_web',
-            description: 'Searches the web for information on a given topic.',
-            usage: '{"tool": "search_web", "arguments": {"query": "your search query"}}',
+            risk: 'external',
+            concurrencySafe: true,
+            description: 'Searches the web and returns a list of results (title, url, snippet).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', minLength: 1, description: 'The search query.' },
+                    limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Maximum number of results. Defaults to 5.' },
+                },
+                required: ['query'],
+                additionalProperties: false,
+            },
             /**
-             * Simulates a web search. In a real application, this would call a search API.
-             * @param {{query: string}} args - The arguments for the tool.
-             * @returns {Promise<string>} A simulated search result.
+             * Searches with the configured backend (`webToolsConfig.searchProvider`).
+             * @param {{query: string, limit?: number}} args - The arguments for the tool.
+             * @param {{signal?: AbortSignal}} [context] - Aborts the search request.
+             * @returns {Promise<object>} The query and its results.
              */
-            implementation: async ({ query }) => {
+            implementation: async ({ query, limit = 5 }, { signal } = {}) => {
                 console.log(`Searching web for: ${query}`);
-                // Simulate API call delay
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-                if (query.toLowerCase().includes('react')) {
-                    return "React is a popular JavaScript library for building user interfaces, maintained by Meta. It allows developers to create large web applications that can change data, without reloading the page.";
+                const results = await webToolsConfig.searchProvider.search(query, { limit, signal });
+                if (results.length === 0) {
+                    return { query, results: [], note: `No results found for "${query}".` };
                 }
-                if (query.toLowerCase().includes('agentic workflow')) {
-                    return "An agentic workflow involves a loop of reasoning, acting, and observing. The agent reasons about a problem, chooses a tool (action), and observes the result to inform its next step. This is inspired by frameworks like ReAct (Reason+Act).";
-                }
-                return `No specific information found for "${query}". General knowledge suggests it's a complex topic.`;
+                return { query, results };
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'fetch_url',
+            risk: 'external',
+            concurrencySafe: true,
+            description: 'Fetches a web page (e.g. a search result) and returns its readable text.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    url: { type: 'string', pattern: '^https?://', description: 'The http(s) URL to fetch.' },
+                    maxChars: { type: 'integer', minimum: 200, maximum: 20000, description: 'Maximum characters of text to return. Defaults to 2500.' },
+                },
+                required: ['url'],
+                additionalProperties: false,
+            },
+            implementation: async ({ url, maxChars }, { signal } = {}) => {
+                return fetchReadablePage(url, { maxChars, signal });
             },
         },
     },
@@ -38,36 +130,274 @@ const tools = [
         type: 'function',
         function: {
             name: 'create_file',
-            description: 'Creates a new file with specified content in the virtual file system.',
-            usage: '{"tool": "create_file", "arguments": {"filename": "your_file.txt", "content": "content of the file"}}',
+            risk: 'writes',
+            concurrencySafe: true,
+            locks: ({ path }) => fileLocks(path),
+            description: 'Creates a file (or replaces an existing one) with the given content. Missing parent directories are created.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: PATH_PARAM,
+                    content: { type: 'string', description: 'Full text content of the file.' },
+                    overwrite: { type: 'boolean', description: 'Replace the file if it already exists. Defaults to true.' },
+                },
+                required: ['path', 'content'],
+                additionalProperties: false,
+            },
             /**
              * Creates a file in the virtual file system.
-             * @param {{filename: string, content: string}} args - The arguments for the tool.
+             * @param {{path: string, content: string, overwrite?: boolean}} args - The arguments for the tool.
              * @returns {Promise<string>} A confirmation message.
              */
-            implementation: async ({ filename, content }) => {
-                console.log(`Creating file: ${filename}`);
-                virtualFileSystem.set(filename, content);
-                return `File "${filename}" created successfully.`;
+            implementation: async ({ path, content, overwrite }) => {
+                console.log(`Creating file: ${path}`);
+                const p = virtualFileSystem.writeFile(path, content, { overwrite: overwrite !== false });
+                return `File "${p}" created successfully.`;
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'read_file',
+            risk: 'read-only',
+            concurrencySafe: true,
+            locks: ({ path }) => fileLocks(path),
+            description: 'Reads the text content of a file.',
+            parameters: {
+                type: 'object',
+                properties: { path: PATH_PARAM },
+                required: ['path'],
+                additionalProperties: false,
+            },
+            implementation: async ({ path }) => virtualFileSystem.readFile(path),
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'append_file',
+            risk: 'writes',
+            concurrencySafe: true,
+            locks: ({ path }) => fileLocks(path),
+            description: 'Appends text to the end of a file, creating the file if it does not exist.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: PATH_PARAM,
+                    content: { type: 'string', description: 'Text to append (include a leading newline if needed).' },
+                },
+                required: ['path', 'content'],
+                additionalProperties: false,
+            },
+            implementation: async ({ path, content }) => {
+                const p = virtualFileSystem.appendFile(path, content);
+                return `Appended ${content.length} character(s) to "${p}".`;
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'apply_patch',
+            risk: 'writes',
+            concurrencySafe: true,
+            locks: ({ patch, path }) => {
+                try {
+                    const sections = parseUnifiedDiff(patch, path);
+                    return fileLocks(...sections.flatMap((section) => [section.oldPath, section.newPath]));
+                } catch (_) {
+                    return ['/'];
+                }
+            },
+            description: 'Edits files by applying a unified diff (---/+++ headers and @@ hunks). Use "--- /dev/null" to create a file and "+++ /dev/null" to delete one.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    patch: { type: 'string', minLength: 1, description: 'The unified diff text.' },
+                    path: { ...PATH_PARAM, description: 'Target file when the patch has no ---/+++ headers.' },
+                },
+                required: ['patch'],
+                additionalProperties: false,
+            },
+            implementation: async ({ patch, path }) => {
+                const changes = virtualFileSystem.applyPatch(patch, path);
+                return `Patch applied: ${changes.join('; ')}`;
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'delete_file',
+            risk: 'writes',
+            concurrencySafe: true,
+            locks: ({ path }) => fileLocks(path),
+            description: 'Deletes a file, or a directory when "recursive" is true.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: PATH_PARAM,
+                    recursive: { type: 'boolean', description: 'Required to delete a non-empty directory.' },
+                },
+                required: ['path'],
+                additionalProperties: false,
+            },
+            implementation: async ({ path, recursive }) => {
+                const removed = virtualFileSystem.delete(path, { recursive: !!recursive });
+                return `Deleted "${VirtualFileSystem.normalizePath(path)}" (${removed} entr${removed === 1 ? 'y' : 'ies'}).`;
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'move_file',
+            risk: 'writes',
+            concurrencySafe: true,
+            locks: ({ from, to }) => fileLocks(from, to),
+            description: 'Moves or renames a file or directory.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    from: PATH_PARAM,
+                    to: PATH_PARAM,
+                },
+                required: ['from', 'to'],
+                additionalProperties: false,
+            },
+            implementation: async ({ from, to }) => {
+                const dest = virtualFileSystem.move(from, to);
+                return `Moved "${VirtualFileSystem.normalizePath(from)}" to "${dest}".`;
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'mkdir',
+            risk: 'writes',
+            concurrencySafe: true,
+            locks: ({ path }) => fileLocks(path),
+            description: 'Creates a directory (and any missing parents).',
+            parameters: {
+                type: 'object',
+                properties: { path: PATH_PARAM },
+                required: ['path'],
+                additionalProperties: false,
             },
+            implementation: async ({ path }) => `Directory "${virtualFileSystem.mkdir(path)}" is ready.`,
         },
     },
     {
         type: 'function',
         function: {
             name: 'list_files',
-            description: 'Lists all files currently in the virtual file system.',
-            usage: '{"tool": "list_files", "arguments": {}}',
+            risk: 'read-only',
+            concurrencySafe: true,
+            locks: ({ path = '/' }) => fileLocks(path),
+            description: 'Lists files and directories in the virtual file system.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { ...PATH_PARAM, description: 'Directory to list. Defaults to the root "/".' },
+                    recursive: { type: 'boolean', description: 'Include nested entries. Defaults to true.' },
+                },
+                additionalProperties: false,
+            },
             /**
              * Lists files in the virtual file system.
-             * @returns {Promise<string>} A list of filenames.
+             * @param {{path?: string, recursive?: boolean}} args - The arguments for the tool.
+             * @returns {Promise<string>} One entry per line with sizes.
+             */
+            implementation: async ({ path = '/', recursive = true } = {}) => {
+                console.log(`Listing files in ${path}`);
+                const entries = virtualFileSystem.list(path, { recursive });
+                if (entries.length === 0) {
+                    return path === '/' ? "The virtual file system is empty." : `Directory "${path}" is empty.`;
+                }
+                const lines = entries.map((e) => (e.type === 'dir' ? `${e.path}/` : `${e.path} (${e.size} bytes)`));
+                return `Files in virtual system:\n${lines.join('\n')}`;
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'remember',
+            risk: 'writes',
+            concurrencySafe: true,
+            locks: () => ['memory'],
+            description: 'Saves a fact to long-term memory so it is available in later conversations, '
+                + 'e.g. a user preference or a project detail. Save one short, self-contained statement per call.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string', minLength: 1, maxLength: MEMORY_MAX_CHARS, description: 'The fact to remember.' },
+                    tags: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Optional keywords that help find it later.' },
+                },
+                required: ['text'],
+                additionalProperties: false,
+            },
+            /**
+             * Saves the fact in `longTermMemory`; saving a known fact again just refreshes it.
+             * @param {{text: string, tags?: Array<string>}} args - The arguments for the tool.
+             * @returns {Promise<object>} The saved memory.
              */
-            implementation: async () => {
-                console.log('Listing files');
-                if (virtualFileSystem.size === 0) {
-                    return "The virtual file system is empty.";
+            implementation: async ({ text, tags = [] }) => {
+                const { memory, created } = await longTermMemory.add(text, { tags });
+                return {
+                    saved: created ? 'new' : 'already known (refreshed)',
+                    id: memory.id,
+                    text: memory.text,
+                    tags: memory.tags,
+                };
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'recall',
+            risk: 'read-only',
+            concurrencySafe: true,
+            locks: () => ['memory'],
+            description: 'Searches long-term memory for facts saved in earlier conversations. Relevant memories are already '
+                + 'listed in your instructions; use this to look for others.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', minLength: 1, description: 'What to look for.' },
+                    limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Maximum number of memories. Defaults to 5.' },
+                },
+                required: ['query'],
+                additionalProperties: false,
+            },
+            /**
+             * Ranks memories with BM25, blended with embeddings when the agent's provider offers them.
+             * @param {{query: string, limit?: number}} args - The arguments for the tool.
+             * @param {{signal?: AbortSignal, agent?: Agent}} [context] - The agent's provider embeds the query.
+             * @returns {Promise<object>} The query and the matching memories, best first.
+             */
+            implementation: async ({ query, limit = 5 }, { signal, agent } = {}) => {
+                const results = await longTermMemory.search(query, {
+                    limit,
+                    embedder: memoryEmbedderFor(agent && agent.llmProvider),
+                    signal,
+                });
+                if (results.length === 0) {
+                    return { query, memories: [], note: `No memories match "${query}".` };
                 }
-                return `Files in virtual system: [${Array.from(virtualFileSystem.keys()).join(', ')}]`;
+                return {
+                    query,
+                    memories: results.map(({ memory, score }) => ({
+                        id: memory.id,
+                        text: memory.text,
+                        tags: memory.tags,
+                        score,
+                        savedAt: new Date(memory.updatedAt).toISOString(),
+                    })),
+                };
             },
         },
     },
@@ -75,8 +405,16 @@ const tools = [
         type: 'function',
         function: {
             name: 'get_current_time',
+            risk: 'read-only',
+            concurrencySafe: true,
             description: 'Gets the current date and time. Can also accept a relative date like "yesterday".',
-            usage: '{"tool": "get_current_time", "arguments": {"date": "today"}} or {"tool": "get_current_time", "arguments": {"date": "yesterday"}}',
+            parameters: {
+                type: 'object',
+                properties: {
+                    date: { type: 'string', enum: ['today', 'yesterday'], description: 'Which day to report. Defaults to "today".' },
+                },
+                additionalProperties: false,
+            },
             /**
              * Gets the current or yesterday's date and time.
              * @param {{date?: string}} args - The arguments for the tool.
@@ -95,16 +433,99 @@ const tools = [
             },
         },
     },
+    {
+        type: 'function',
+        function: {
+            name: 'update_plan',
+            risk: 'read-only',
+            description: 'Publishes or revises your step-by-step plan for the task, shown to the user as a checklist. Send the full list every time with each step\'s status; at most one step may be in_progress.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    explanation: { type: 'string', description: 'Optional short note on why the plan changed.' },
+                    plan: {
+                        type: 'array',
+                        description: 'The steps, in order.',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                step: { type: 'string', minLength: 1, description: 'What the step does, in a few words.' },
+                                status: { type: 'string', enum: ['pending', 'in_progress', 'done'] },
+                            },
+                            required: ['step', 'status'],
+                            additionalProperties: false,
+                        },
+                    },
+                },
+                required: ['plan'],
+                additionalProperties: false,
+            },
+            /**
+             * Replaces the running agent's plan.
+             * @param {{plan: Array<{step: string, status: string}>, explanation?: string}} args - The arguments for the tool.
+             * @param {{agent?: Agent}} [context] - The agent that holds the plan.
+             * @returns {Promise<string>} The plan as the agent now sees it.
+             */
+            implementation: async ({ plan, explanation }, { agent } = {}) => {
+                if (!agent) throw new Error('update_plan can only run inside an agent.');
+                agent.setPlan(plan, explanation);
+                return agent.describePlan();
+            },
+        },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'delegate_task',
+            // The sub-agent's model calls are billed (possibly by another provider), so delegating
+            // is asked about like other external calls; its own tool calls go through approval too.
+            risk: 'external',
+            timeoutMs: 600000,
+            description: 'Hands a self-contained subtask to a sub-agent and returns its final answer. The sub-agent starts fresh: '
+                + 'it cannot see this conversation, so put everything it needs in `task` and `context`. '
+                + 'Use it for larger tasks that split into independent parts.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    task: { type: 'string', minLength: 1, description: 'What the sub-agent should do and what it should report back.' },
+                    context: { type: 'string', description: 'Facts from this conversation the sub-agent needs.' },
+                    tools: {
+                        type: 'array',
+                        items: { type: 'string', minLength: 1 },
+                        description: 'Names of the tools the sub-agent may use. Defaults to all of yours.',
+                    },
+                    maxTurns: { type: 'integer', minimum: 1, maximum: 20, description: 'Turn limit for the sub-agent. Defaults to 6.' },
+                    provider: { type: 'string', minLength: 1, description: 'Provider for the sub-agent, e.g. "openai". Defaults to yours.' },
+                    model: { type: 'string', minLength: 1, description: 'Model for the sub-agent. Defaults to yours.' },
+                },
+                required: ['task'],
+                additionalProperties: false,
+            },
+            /**
+             * Runs the subtask in a child agent (see `Agent#delegate`).
+             * @param {{task: string, context?: string, tools?: Array<string>, maxTurns?: number, provider?: string, model?: string}} args - The arguments for the tool.
+             * @param {{signal?: AbortSignal, agent?: Agent, callId?: string}} [context] - Aborting cancels the sub-agent.
+             * @returns {Promise<object>} { agent, status, turns, answer }.
+             */
+            implementation: async (args, { signal, agent, callId } = {}) => {
+                if (!agent) throw new Error('delegate_task can only run inside an agent.');
+                return agent.delegate(args, { signal, callId });
+            },
+        },
+    },
     {
         type: 'function',
         function: {
             name: 'list_tools',
+            risk: 'read-only',
+            concurrencySafe: true,
             description: 'Lists the available tools and how to call them.',
-            usage: '{"tool": "list_tools", "arguments": {}}',
-            implementation: async () => {
+            parameters: { type: 'object', properties: {}, additionalProperties: false },
+            implementation: async (args, { agent } = {}) => {
                 const lines = ['Available tools:'];
-                for (const t of tools) {
-                    lines.push(`- ${t.function.name}: ${t.function.description} | usage: ${t.function.usage}`);
+                const available = agent ? Array.from(agent.registry.values()) : tools.map((t) => t.function);
+                for (const fn of available) {
+                    lines.push(`- ${fn.name}: ${fn.description} | usage: ${toolUsageExample(fn.name, fn.parameters)}`);
                 }
                 return lines.join('\\n');
             },
@@ -114,8 +535,17 @@ const tools = [
         type: 'function',
         function: {
             name: 'calculator',
+            risk: 'read-only',
+            concurrencySafe: true,
             description: 'Evaluates a simple arithmetic expression using + - * / % and parentheses.',
-            usage: '{"tool":"calculator","arguments":{"expression":"1 + 2 * 3"}}',
+            parameters: {
+                type: 'object',
+                properties: {
+                    expression: { type: 'string', minLength: 1, description: 'Arithmetic expression, e.g. "1 + 2 * 3".' },
+                },
+                required: ['expression'],
+                additionalProperties: false,
+            },
             implementation: async ({ expression }) => {
                 // Allow digits, whitespace (space or tab), and basic operators + - * / % and parentheses.
                 // Note: hyphen must be escaped, and we avoid double-escaping to prevent invalid ranges.
@@ -131,5 +561,62 @@ const tools = [
                 }
             },
         },
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'run_javascript',
+            // The worker's network blocking is best-effort (dynamic import() still reaches the
+            // network), so model-written code counts as an external call and always needs approval
+            // unless the policy is full-auto.
+            risk: 'external',
+            description: 'Runs JavaScript in a Web Worker sandbox (no DOM) and returns its console output, result and errors. '
+                + 'The code is an expression or a function body (use `return` for a result; top-level await works). '
+                + 'A synchronous `fs` reads and writes the virtual file system: fs.readFile(path), fs.writeFile(path, text), '
+                + 'fs.appendFile(path, text), fs.deleteFile(path), fs.exists(path), fs.listFiles(dir).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', minLength: 1, description: 'The JavaScript to run.' },
+                    timeoutMs: { type: 'integer', minimum: 100, maximum: 8000, description: 'Time limit; the sandbox is terminated when it runs out. Defaults to 3000.' },
+                },
+                required: ['code'],
+                additionalProperties: false,
+            },
+            /**
+             * Runs code in a Web Worker (see sandbox.js); file changes apply only if it finishes.
+             * @param {{code: string, timeoutMs?: number}} args - The arguments for the tool.
+             * @param {{signal?: AbortSignal}} [context] - Aborting terminates the worker.
+             * @returns {Promise<object>} { ok, result, stdout, error, filesWritten, filesDeleted, durationMs }.
+             */
+            implementation: async ({ code, timeoutMs = 3000 }, { signal } = {}) => {
+                return runJavaScriptInWorker(code, { vfs: virtualFileSystem, timeoutMs, signal });
+            },
+        },
     }
-];
\ No newline at end of file
+];
+
+/**
+ * The tools agents run with: the built-ins above, plus any added at runtime by tool packs,
+ * MCP servers or `registerTool`.
+ */
+const toolRegistry = new ToolRegistry();
+for (const tool of tools) toolRegistry.register(tool);
+
+/**
+ * Adds a tool to `toolRegistry`; see `ToolRegistry.register`. For example:
+ *   registerTool({ name: 'roll', description: 'Rolls a die.', risk: 'read-only',
+ *       implementation: async () => 1 + Math.floor(Math.random() * 6) }, { namespace: 'dice' });
+ * @returns {string} The name the model calls the tool by (here `dice__roll`).
+ */
+function registerTool(definition, options) {
+    return toolRegistry.register(definition, options);
+}
+
+/**
+ * Removes a tool from `toolRegistry` by the name the model calls it; see `ToolRegistry.unregister`.
+ * @returns {boolean} Whether a tool was removed.
+ */
+function unregisterTool(name, options) {
+    return toolRegistry.unregister(name, options);
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * The trace timeline: one collapsible group per agent run, one collapsible row per trace
+ * event with its offset from the run start and duration. Expanding a row shows the full
+ * event payload (e.g. the messages a model request added, or a tool's whole observation),
+ * and each run can be exported as JSON with its requests in full. A sub-agent's events
+ * are grouped under the delegate_task call that started it.
+ */
+class TraceView {
+    /**
+     * @param {{timeline: HTMLElement}} elements
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.current = null; // { run, group } for the run receiving live events
+    }
+
+    /**
+     * Replaces the timeline with saved runs (oldest first).
+     * @param {Array<object>} runs - Trace records from `TraceStore`.
+     */
+    showRuns(runs) {
+        this.elements.timeline.innerHTML = '';
+        this.current = null;
+        for (const run of runs) this.renderRun(run, false);
+    }
+
+    /**
+     * Opens a group for a new run; later `addEvent` calls append to it.
+     * @param {object} run - The trace record; its `events` array is filled as events arrive.
+     */
+    startRun(run) {
+        this.current = { run, group: this.renderRun(run, true) };
+    }
+
+    addEvent(event) {
+        if (!this.current || (event.rootRunId || event.runId) !== this.current.run.id) return;
+        this.appendEvent(this.current.group, event);
+        const { timeline } = this.elements;
+        timeline.scrollTop = timeline.scrollHeight;
+    }
+
+    renderRun(run, open) {
+        const group = document.createElement('li');
+        group.className = 'trace-run';
+        const details = document.createElement('details');
+        details.open = open;
+
+        const summary = document.createElement('summary');
+        const title = document.createElement('span');
+        title.className = 'trace-run-title';
+        title.textContent = `${new Date(run.startedAt).toLocaleTimeString()} · ${run.input || 'Run'}`;
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'trace-export-btn';
+        exportBtn.textContent = 'Export JSON';
+        exportBtn.title = 'Download this run\'s trace';
+        exportBtn.addEventListener('click', (event) => {
+            event.preventDefault(); // don't toggle the group
+            this.exportRun(run);
+        });
+        summary.append(title, exportBtn);
+
+        const list = document.createElement('ol');
+        list.className = 'trace-events';
+        // callRows: tool_call rows by call id; subRuns: each sub-agent run's event list.
+        const state = { list, open, startedAt: run.startedAt, callRows: new Map(), subRuns: new Map() };
+        for (const event of run.events || []) this.appendEvent(state, event);
+
+        details.append(summary, list);
+        group.appendChild(details);
+        this.elements.timeline.appendChild(group);
+        return state;
+    }
+
+    // Append an event row to its run, or to its sub-agent's group under the call that started it.
+    appendEvent(state, event) {
+        const item = this.renderEvent(event, state.startedAt);
+        if (event.type === 'tool_call') state.callRows.set(event.callId, item);
+        let list = state.list;
+        if (event.parentCallId) {
+            list = state.subRuns.get(event.runId);
+            if (!list) {
+                list = this.renderSubRun(event, state);
+                state.subRuns.set(event.runId, list);
+            }
+        }
+        list.appendChild(item);
+    }
+
+    renderSubRun(event, state) {
+        const group = document.createElement('details');
+        group.className = 'trace-subagent';
+        group.open = state.open;
+        const summary = document.createElement('summary');
+        summary.textContent = `Sub-agent ${event.agent || ''}`;
+        const list = document.createElement('ol');
+        list.className = 'trace-events';
+        group.append(summary, list);
+
+        const callRow = state.callRows.get(event.parentCallId);
+        if (callRow) {
+            callRow.appendChild(group);
+        } else {
+            const item = document.createElement('li');
+            item.appendChild(group);
+            state.list.appendChild(item);
+        }
+        return list;
+    }
+
+    renderEvent(event, startedAt) {
+        const item = document.createElement('li');
+        item.className = `trace-event trace-${event.type.replace(/_/g, '-')}`;
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+
+        const offset = document.createElement('span');
+        offset.className = 'trace-offset';
+        offset.textContent = `+${((event.time - startedAt) / 1000).toFixed(2)}s`;
+        const type = document.createElement('span');
+        type.className = 'trace-type';
+        type.textContent = event.type;
+        const label = document.createElement('span');
+        label.className = 'trace-label';
+        label.textContent = describeTraceEvent(event);
+        summary.append(offset, type, label);
+        if (typeof event.durationMs === 'number') {
+            const duration = document.createElement('span');
+            duration.className = 'trace-duration';
+            duration.textContent = `${event.durationMs} ms`;
+            summary.appendChild(duration);
+        }
+
+        // Payloads can be large (new request messages, whole observations), so they are rendered on first open.
+        const payload = document.createElement('pre');
+        payload.className = 'trace-payload';
+        details.addEventListener('toggle', () => {
+            if (details.open && !payload.textContent) payload.textContent = JSON.stringify(event, null, 2);
+        });
+
+        details.append(summary, payload);
+        item.appendChild(details);
+        return item;
+    }
+
+    exportRun(run) {
+        const json = JSON.stringify({ exportedAt: new Date().toISOString(), ...run, events: expandTraceRequests(run.events) }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `trace-${run.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
\ No newline at end of file
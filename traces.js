@@ -0,0 +1,105 @@
+/**
+ * Persists the trace of each agent run so the timeline survives reloads and can be exported.
+ *
+ * A trace record holds `{ id, sessionId, input, startedAt, events }`, where `id` is the
+ * Agent's run id and `events` are the run's trace events. Only the most recent runs of
+ * each session are kept.
+ */
+class TraceStore {
+    constructor(storeName = 'traces', maxRunsPerSession = 10) {
+        this.storeName = storeName;
+        this.maxRunsPerSession = maxRunsPerSession;
+    }
+
+    /**
+     * Saves a run's trace and drops the session's oldest runs beyond the limit.
+     * @param {object} run - The trace record.
+     */
+    async save(run) {
+        await dbPut(this.storeName, run);
+        const runs = await this.listForSession(run.sessionId);
+        for (const old of runs.slice(0, Math.max(0, runs.length - this.maxRunsPerSession))) {
+            await dbDelete(this.storeName, old.id);
+        }
+    }
+
+    /**
+     * Lists a session's runs, oldest first.
+     * @returns {Promise<Array<object>>}
+     */
+    async listForSession(sessionId) {
+        const runs = (await dbGetAll(this.storeName)) || [];
+        return runs
+            .filter((r) => r.sessionId === sessionId)
+            .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+    }
+
+    async deleteForSession(sessionId) {
+        for (const run of await this.listForSession(sessionId)) {
+            await dbDelete(this.storeName, run.id);
+        }
+    }
+}
+
+/**
+ * A run's events with each `model_request` expanded to the whole request it sent, for export.
+ * Saved requests hold only what changed since the previous request of the same agent (see
+ * `Agent#requestTraceData`); events saved whole by older versions are left as they are.
+ * @param {Array<object>} events - The run's events, in order.
+ * @returns {Array<object>}
+ */
+function expandTraceRequests(events) {
+    const previous = new Map(); // run id and sub-agent label -> that agent's last whole request
+    return events.map((event) => {
+        if (event.type !== 'model_request' || !event.request || event.request.reused === undefined) return event;
+        const key = `${event.runId}/${event.agent || ''}`;
+        const last = previous.get(key) || { messages: [] };
+        const { messages, tools, memories, instructions } = event.request;
+        const request = {
+            messages: last.messages.slice(0, event.request.reused).concat(messages),
+            tools: tools ?? last.tools,
+            memories: memories ?? last.memories,
+            instructions: instructions ?? last.instructions,
+        };
+        previous.set(key, request);
+        return { ...event, request };
+    });
+}
+
+/**
+ * A one-line summary of a trace event, as shown in the timeline and by the CLI.
+ */
+function describeTraceEvent(event) {
+    const clip = (text, max = 100) => {
+        const s = String(text ?? '').replace(/\s+/g, ' ').trim();
+        return s.length > max ? `${s.slice(0, max)}…` : s;
+    };
+    switch (event.type) {
+        case 'run_start':
+            return `${event.agent ? `${event.agent} · ` : ''}${event.model || ''} · ${clip(event.input)}`;
+        case 'turn_start':
+            return `Turn ${event.turn}`;
+        case 'model_request': {
+            const { messages, messageCount = messages.length } = event.request;
+            return `${messageCount} message(s), ~${event.estimatedTokens} tokens`;
+        }
+        case 'model_response': {
+            const calls = (event.response && (event.response.toolCalls || event.response.tool_calls)) || [];
+            return calls.length > 0
+                ? `${calls.length} tool call(s): ${calls.map((c) => c.name || c.tool).join(', ')}`
+                : clip(event.response && event.response.content) || '(empty)';
+        }
+        case 'tool_call':
+            return `${event.name} ${clip(JSON.stringify(event.args), 80)}`;
+        case 'tool_result':
+            return `${event.name} → ${clip(event.observation)}`;
+        case 'thought':
+            return clip(event.text);
+        case 'error':
+            return clip(event.kind ? `${event.kind}: ${event.message}` : event.message);
+        case 'final':
+            return clip(event.content);
+        default:
+            return '';
+    }
+}
\ No newline at end of file
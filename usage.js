@@ -0,0 +1,84 @@
+/**
+ * Token accounting: model context windows and prices, token estimates for providers
+ * that don't report usage, and cost estimates for the usage display.
+ *
+ * A usage record is { inputTokens, outputTokens, totalTokens, model, estimated? }.
+ */
+
+/**
+ * Context window (tokens) and list price (USD per million tokens) for known models.
+ * Looked up by longest prefix, so dated variants such as "gemini-2.5-flash-preview-05-20"
+ * resolve to their family. Prices are estimates for display only.
+ */
+const MODEL_INFO = {
+    'gemini-2.5-pro': { contextWindow: 1048576, inputPer1M: 1.25, outputPer1M: 10 },
+    'gemini-2.5-flash': { contextWindow: 1048576, inputPer1M: 0.30, outputPer1M: 2.50 },
+    'gemini-1.5-flash': { contextWindow: 1048576, inputPer1M: 0.075, outputPer1M: 0.30 },
+    'gemini-1.5-pro': { contextWindow: 2097152, inputPer1M: 1.25, outputPer1M: 5 },
+    'gpt-5-mini': { contextWindow: 400000, inputPer1M: 0.25, outputPer1M: 2 },
+    'gpt-5': { contextWindow: 400000, inputPer1M: 1.25, outputPer1M: 10 },
+    'gpt-3.5-turbo-instruct': { contextWindow: 4096, inputPer1M: 1.50, outputPer1M: 2 },
+};
+
+// Used for models missing from MODEL_INFO: a conservative window and no price.
+const DEFAULT_MODEL_INFO = { contextWindow: 32768, inputPer1M: null, outputPer1M: null };
+
+/**
+ * @param {string} model
+ * @returns {{contextWindow: number, inputPer1M: number|null, outputPer1M: number|null}}
+ */
+function getModelInfo(model) {
+    const name = String(model || '').toLowerCase();
+    const key = Object.keys(MODEL_INFO)
+        .filter((k) => name.startsWith(k))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? MODEL_INFO[key] : DEFAULT_MODEL_INFO;
+}
+
+/**
+ * Rough token count (about four characters per token) for strings or JSON-serializable values.
+ */
+function estimateTokens(value) {
+    if (value == null) return 0;
+    let text = value;
+    if (typeof text !== 'string') {
+        try { text = JSON.stringify(text); } catch (_) { text = String(text); }
+    }
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Estimated cost in USD of a usage record, or null when the model's price is unknown.
+ */
+function estimateCost(usage) {
+    if (!usage) return null;
+    const info = getModelInfo(usage.model);
+    if (info.inputPer1M == null || info.outputPer1M == null) return null;
+    return ((usage.inputTokens || 0) * info.inputPer1M + (usage.outputTokens || 0) * info.outputPer1M) / 1e6;
+}
+
+/**
+ * Running totals over a sequence of calls (one agent run).
+ */
+class UsageTotals {
+    constructor() {
+        this.calls = 0;
+        this.inputTokens = 0;
+        this.outputTokens = 0;
+        this.totalTokens = 0;
+        this.cost = 0;
+        this.costKnown = true; // false once any call has an unknown price
+        this.estimated = false; // true once any call's counts were estimated
+    }
+
+    add(usage) {
+        this.calls += 1;
+        this.inputTokens += usage.inputTokens || 0;
+        this.outputTokens += usage.outputTokens || 0;
+        this.totalTokens += usage.totalTokens || 0;
+        const cost = estimateCost(usage);
+        if (cost == null) this.costKnown = false;
+        else this.cost += cost;
+        if (usage.estimated) this.estimated = true;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,440 @@
+/**
+ * A hierarchical virtual file system for the agent's tools.
+ *
+ * Paths are absolute and '/'-separated ("/docs/notes.txt"); relative input is resolved
+ * against the root and any ".." segment is rejected. Each conversation gets its own
+ * namespace, persisted to IndexedDB so files survive a page reload.
+ */
+class VirtualFileSystem {
+    constructor(options = {}) {
+        this.maxFileBytes = options.maxFileBytes ?? 512 * 1024;
+        this.maxTotalBytes = options.maxTotalBytes ?? 10 * 1024 * 1024;
+        this.maxPathLength = options.maxPathLength ?? 256;
+        this.storeName = options.storeName || 'files';
+        this.namespace = null; // persistence key (the session id); null keeps files in memory only
+        this.nodes = new Map(); // path -> { type: 'file' | 'dir', content?, updatedAt }
+        this.listeners = new Set();
+        this.pendingSave = null;
+    }
+
+    /**
+     * Normalizes a path to its absolute form. Throws on ".." segments and invalid characters.
+     * @param {string} path
+     * @returns {string} e.g. "/docs/notes.txt" ("/" for the root).
+     */
+    static normalizePath(path) {
+        if (typeof path !== 'string' || !path.trim()) {
+            throw new Error('Path must be a non-empty string.');
+        }
+        if (/[\0<>:"|?*]/.test(path)) {
+            throw new Error(`Invalid character in path "${path}".`);
+        }
+        const segments = [];
+        for (const segment of path.trim().replace(/\\/g, '/').split('/')) {
+            if (!segment || segment === '.') continue;
+            if (segment === '..') {
+                throw new Error(`Path "${path}" must not contain "..".`);
+            }
+            segments.push(segment);
+        }
+        return `/${segments.join('/')}`;
+    }
+
+    static parentOf(path) {
+        const idx = path.lastIndexOf('/');
+        return idx <= 0 ? '/' : path.slice(0, idx);
+    }
+
+    static byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    // Subscribe to changes; returns an unsubscribe function.
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    changed() {
+        for (const listener of this.listeners) {
+            try { listener(); } catch (e) { console.error(e); }
+        }
+        if (this.namespace) this.scheduleSave();
+    }
+
+    resolve(path) {
+        const normalized = VirtualFileSystem.normalizePath(path);
+        if (normalized.length > this.maxPathLength) {
+            throw new Error(`Path is longer than ${this.maxPathLength} characters.`);
+        }
+        return normalized;
+    }
+
+    stat(path) {
+        const p = this.resolve(path);
+        if (p === '/') return { path: p, type: 'dir' };
+        const node = this.nodes.get(p);
+        if (!node) return null;
+        return {
+            path: p,
+            type: node.type,
+            size: node.type === 'file' ? VirtualFileSystem.byteLength(node.content) : undefined,
+            updatedAt: node.updatedAt,
+        };
+    }
+
+    exists(path) {
+        return this.stat(path) !== null;
+    }
+
+    totalBytes() {
+        let total = 0;
+        for (const node of this.nodes.values()) {
+            if (node.type === 'file') total += VirtualFileSystem.byteLength(node.content);
+        }
+        return total;
+    }
+
+    // Create missing parent directories for a path; throws if a parent is a file.
+    ensureParents(p) {
+        const missing = [];
+        for (let dir = VirtualFileSystem.parentOf(p); dir !== '/'; dir = VirtualFileSystem.parentOf(dir)) {
+            const node = this.nodes.get(dir);
+            if (node && node.type === 'file') throw new Error(`"${dir}" is a file, not a directory.`);
+            if (node) break;
+            missing.push(dir);
+        }
+        for (const dir of missing) this.nodes.set(dir, { type: 'dir', updatedAt: Date.now() });
+    }
+
+    mkdir(path) {
+        const p = this.resolve(path);
+        if (p === '/') return p;
+        const node = this.nodes.get(p);
+        if (node && node.type === 'file') throw new Error(`"${p}" already exists as a file.`);
+        if (!node) {
+            this.ensureParents(p);
+            this.nodes.set(p, { type: 'dir', updatedAt: Date.now() });
+            this.changed();
+        }
+        return p;
+    }
+
+    readFile(path) {
+        const p = this.resolve(path);
+        const node = this.nodes.get(p);
+        if (!node) throw new Error(`File "${p}" does not exist.`);
+        if (node.type !== 'file') throw new Error(`"${p}" is a directory.`);
+        return node.content;
+    }
+
+    /**
+     * Writes a file, creating parent directories as needed.
+     * @param {string} path
+     * @param {string} content
+     * @param {{overwrite?: boolean}} [options] Set `overwrite: false` to refuse replacing an existing file.
+     * @returns {string} The normalized path.
+     */
+    writeFile(path, content, options = {}) {
+        const p = this.resolve(path);
+        if (p === '/') throw new Error('Cannot write to the root directory.');
+        const text = typeof content === 'string' ? content : String(content ?? '');
+        const existing = this.nodes.get(p);
+        if (existing && existing.type === 'dir') throw new Error(`"${p}" is a directory.`);
+        if (existing && options.overwrite === false) throw new Error(`File "${p}" already exists.`);
+
+        const size = VirtualFileSystem.byteLength(text);
+        if (size > this.maxFileBytes) {
+            throw new Error(`File is ${size} bytes; the limit is ${this.maxFileBytes} bytes.`);
+        }
+        const previous = existing ? VirtualFileSystem.byteLength(existing.content) : 0;
+        if (this.totalBytes() - previous + size > this.maxTotalBytes) {
+            throw new Error(`Writing "${p}" would exceed the ${this.maxTotalBytes}-byte storage limit.`);
+        }
+
+        this.ensureParents(p);
+        this.nodes.set(p, { type: 'file', content: text, updatedAt: Date.now() });
+        this.changed();
+        return p;
+    }
+
+    appendFile(path, content) {
+        const p = this.resolve(path);
+        const current = this.nodes.has(p) ? this.readFile(p) : '';
+        return this.writeFile(p, current + (content ?? ''));
+    }
+
+    /**
+     * Deletes a file or directory. Non-empty directories require `recursive`.
+     * @returns {number} The number of entries removed.
+     */
+    delete(path, options = {}) {
+        const p = this.resolve(path);
+        if (p === '/') throw new Error('Cannot delete the root directory.');
+        const node = this.nodes.get(p);
+        if (!node) throw new Error(`"${p}" does not exist.`);
+
+        const children = Array.from(this.nodes.keys()).filter((k) => k.startsWith(`${p}/`));
+        if (node.type === 'dir' && children.length > 0 && !options.recursive) {
+            throw new Error(`Directory "${p}" is not empty.`);
+        }
+        for (const k of children) this.nodes.delete(k);
+        this.nodes.delete(p);
+        this.changed();
+        return children.length + 1;
+    }
+
+    /**
+     * Moves or renames a file or directory (with its contents).
+     * @returns {string} The normalized destination path.
+     */
+    move(from, to) {
+        const src = this.resolve(from);
+        const dest = this.resolve(to);
+        if (src === '/') throw new Error('Cannot move the root directory.');
+        const node = this.nodes.get(src);
+        if (!node) throw new Error(`"${src}" does not exist.`);
+        if (src === dest) return dest;
+        if (dest.startsWith(`${src}/`)) throw new Error(`Cannot move "${src}" into itself.`);
+        if (this.nodes.has(dest)) throw new Error(`"${dest}" already exists.`);
+
+        this.ensureParents(dest);
+        const moved = Array.from(this.nodes.entries()).filter(([k]) => k === src || k.startsWith(`${src}/`));
+        for (const [k] of moved) this.nodes.delete(k);
+        for (const [k, v] of moved) this.nodes.set(dest + k.slice(src.length), v);
+        this.changed();
+        return dest;
+    }
+
+    /**
+     * Lists entries under a directory.
+     * @param {string} [path] Directory to list (defaults to the root).
+     * @param {{recursive?: boolean}} [options]
+     * @returns {Array<{path: string, type: string, size?: number}>} Sorted by path.
+     */
+    list(path = '/', options = {}) {
+        const dir = this.resolve(path);
+        const dirNode = this.nodes.get(dir);
+        if (dir !== '/' && (!dirNode || dirNode.type !== 'dir')) {
+            throw new Error(`Directory "${dir}" does not exist.`);
+        }
+        const prefix = dir === '/' ? '/' : `${dir}/`;
+        return Array.from(this.nodes.entries())
+            .filter(([k]) => k.startsWith(prefix) && (options.recursive || !k.slice(prefix.length).includes('/')))
+            .map(([k, node]) => ({
+                path: k,
+                type: node.type,
+                size: node.type === 'file' ? VirtualFileSystem.byteLength(node.content) : undefined,
+            }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    clear() {
+        this.nodes.clear();
+        this.changed();
+    }
+
+    // Plain-data copy of every entry, suitable for storage.
+    snapshot() {
+        return Array.from(this.nodes.entries()).map(([path, node]) => ({ path, ...node }));
+    }
+
+    restore(entries) {
+        this.nodes.clear();
+        for (const { path, ...node } of entries || []) {
+            this.nodes.set(path, node);
+        }
+        for (const listener of this.listeners) listener();
+    }
+
+    /**
+     * Switches to a namespace and loads its persisted files.
+     * @param {string|null} namespace Usually the session id; null detaches persistence.
+     */
+    async load(namespace) {
+        await this.flush();
+        this.namespace = namespace;
+        const record = namespace ? await dbGet(this.storeName, namespace) : null;
+        this.restore(record ? record.entries : []);
+    }
+
+    scheduleSave() {
+        clearTimeout(this.pendingSave && this.pendingSave.timer);
+        const namespace = this.namespace;
+        const entries = this.snapshot();
+        const timer = setTimeout(() => this.flush(), 250);
+        this.pendingSave = { timer, namespace, entries };
+    }
+
+    // Write any scheduled save now.
+    async flush() {
+        const pending = this.pendingSave;
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this.pendingSave = null;
+        await dbPut(this.storeName, { id: pending.namespace, entries: pending.entries, updatedAt: Date.now() });
+    }
+
+    // Remove the persisted files of a namespace.
+    async deleteNamespace(namespace) {
+        if (this.pendingSave && this.pendingSave.namespace === namespace) {
+            clearTimeout(this.pendingSave.timer);
+            this.pendingSave = null;
+        }
+        await dbDelete(this.storeName, namespace);
+    }
+
+    /**
+     * Applies a unified diff. Each file section's target comes from its "+++" header
+     * (or `defaultPath` when the patch has no headers). "--- /dev/null" creates a file and
+     * "+++ /dev/null" deletes it. Several sections for one file apply in order.
+     * @returns {Array<string>} A summary line per section.
+     */
+    applyPatch(patch, defaultPath) {
+        const sections = parseUnifiedDiff(patch, defaultPath);
+        if (sections.length === 0) throw new Error('Patch contains no hunks.');
+
+        // Compute every result first so a failing hunk leaves the file system untouched. A path
+        // can have several sections (e.g. concatenated diffs); each applies to the content the
+        // sections before it left, so `staged` holds that content (null once deleted).
+        const staged = new Map();
+        const contentOf = (path) => {
+            if (!staged.has(path)) return this.readFile(path);
+            if (staged.get(path) === null) throw new Error(`"${path}" was deleted earlier in the patch.`);
+            return staged.get(path);
+        };
+        const results = sections.map((section) => {
+            if (section.deleted) {
+                const path = this.resolve(section.oldPath);
+                contentOf(path);
+                staged.set(path, null);
+                return { section, path };
+            }
+            const path = this.resolve(section.newPath);
+            const source = this.resolve(section.oldPath || section.newPath);
+            const content = applyHunks(section.created ? '' : contentOf(source), section.hunks, path);
+            if (!section.created && source !== path) staged.set(source, null);
+            staged.set(path, content);
+            return { section, path, content };
+        });
+
+        // A write can still fail (size limits, a directory in the way); then the entries are
+        // restored as they were before the patch, so it applies all or nothing.
+        const backup = new Map(this.nodes);
+        try {
+            return results.map(({ section, path, content }) => {
+                if (section.deleted) {
+                    this.delete(path);
+                    return `deleted ${path}`;
+                }
+                if (section.oldPath && !section.created && this.resolve(section.oldPath) !== path) {
+                    this.delete(section.oldPath);
+                }
+                this.writeFile(path, content);
+                const added = section.hunks.reduce((n, h) => n + h.lines.filter((l) => l[0] === '+').length, 0);
+                const removed = section.hunks.reduce((n, h) => n + h.lines.filter((l) => l[0] === '-').length, 0);
+                return `${section.created ? 'created' : 'patched'} ${path} (+${added} -${removed})`;
+            });
+        } catch (e) {
+            this.nodes = backup; // entries are replaced on write, never mutated, so the copy holds the old state
+            this.changed();
+            throw e;
+        }
+    }
+}
+
+/**
+ * Splits a unified diff into per-file sections of hunks.
+ */
+function parseUnifiedDiff(patch, defaultPath) {
+    const stripPrefix = (p) => p.replace(/\t.*$/, '').trim().replace(/^[ab]\//, '');
+    const sections = [];
+    let section = null;
+    let hunk = null;
+
+    const newSection = () => {
+        section = { oldPath: defaultPath, newPath: defaultPath, created: false, deleted: false, hunks: [] };
+        sections.push(section);
+    };
+
+    // A hunk is open until the line counts in its header are used up; until then "--- "
+    // is a removed line starting with "-- " (an SQL comment, say), not the next file's header.
+    const hunkOpen = () => !!hunk && (hunk.oldLeft > 0 || hunk.newLeft > 0);
+    const addLine = (text) => {
+        hunk.lines.push(text);
+        if (text[0] !== '+') hunk.oldLeft--;
+        if (text[0] !== '-') hunk.newLeft--;
+    };
+
+    for (const line of String(patch || '').replace(/\r\n?/g, '\n').split('\n')) {
+        if (line.startsWith('--- ') && !hunkOpen()) {
+            newSection();
+            hunk = null;
+            const p = stripPrefix(line.slice(4));
+            if (p === '/dev/null') section.created = true;
+            else section.oldPath = p;
+        } else if (line.startsWith('+++ ') && section && !hunk) {
+            const p = stripPrefix(line.slice(4));
+            if (p === '/dev/null') section.deleted = true;
+            else section.newPath = p;
+        } else if (line.startsWith('@@')) {
+            const m = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+            if (!m) throw new Error(`Malformed hunk header: ${line}`);
+            if (!section) newSection();
+            hunk = { oldStart: Number(m[1]), oldLeft: Number(m[2] ?? 1), newLeft: Number(m[4] ?? 1), lines: [] };
+            section.hunks.push(hunk);
+        } else if (hunk && /^[ +-]/.test(line)) {
+            addLine(line);
+        } else if (hunk && line === '') {
+            addLine(' '); // some tools drop the space on blank context lines
+        }
+        // "\ No newline at end of file", "diff --git" and other metadata lines are ignored.
+    }
+
+    for (const s of sections) {
+        if (!s.deleted && !s.newPath) throw new Error('Patch does not name a target file; pass "path".');
+        if (s.deleted && !s.oldPath) throw new Error('Patch deletes a file without naming it.');
+    }
+    return sections.filter((s) => s.hunks.length > 0 || s.deleted);
+}
+
+/**
+ * Applies parsed hunks to text. Each hunk is matched at its stated line first, then
+ * anywhere after the previous hunk, so small line-number drift is tolerated.
+ */
+function applyHunks(original, hunks, path) {
+    const lines = original === '' ? [] : original.split('\n');
+    const trailingNewline = original.endsWith('\n');
+    if (trailingNewline) lines.pop();
+
+    let offset = 0;
+    let searchFrom = 0;
+    hunks.forEach((h, idx) => {
+        // Trailing blank context lines are often artefacts of copy/paste; drop them before matching.
+        while (h.lines.length > 0 && h.lines[h.lines.length - 1] === ' ') h.lines.pop();
+        const before = h.lines.filter((l) => l[0] !== '+').map((l) => l.slice(1));
+        const after = h.lines.filter((l) => l[0] !== '-').map((l) => l.slice(1));
+
+        const matchesAt = (pos) => pos >= 0 && pos + before.length <= lines.length
+            && before.every((l, i) => lines[pos + i] === l);
+
+        let pos = Math.max(0, h.oldStart - 1 + offset);
+        if (before.length === 0 && h.oldStart === 0) pos = 0;
+        if (!matchesAt(pos)) {
+            pos = -1;
+            for (let i = searchFrom; i + before.length <= lines.length; i++) {
+                if (matchesAt(i)) { pos = i; break; }
+            }
+        }
+        if (pos === -1) {
+            throw new Error(`Hunk ${idx + 1} does not apply to "${path}": context not found.`);
+        }
+
+        lines.splice(pos, before.length, ...after);
+        offset += after.length - before.length;
+        searchFrom = pos + after.length;
+    });
+
+    const text = lines.join('\n');
+    return trailingNewline || (original === '' && text) ? `${text}\n` : text;
+}
\ No newline at end of file